@@ -15,8 +15,8 @@
   };
   var __reExport = function(target, module, desc) {
     if (module && typeof module === "object" || typeof module === "function")
-      for (var keys = __getOwnPropNames(module), i = 0, n = keys.length, key; i < n; i++) {
-        key = keys[i];
+      for (var keys2 = __getOwnPropNames(module), i = 0, n = keys2.length, key; i < n; i++) {
+        key = keys2[i];
         if (!__hasOwnProp.call(target, key) && key !== "default")
           __defProp(target, key, { get: function(k) {
             return module[k];
@@ -30,18 +30,6 @@
     }, enumerable: true } : { value: module, enumerable: true })), module);
   };
 
-  // node_modules/core-js/internals/global.js
-  var require_global = __commonJS({
-    "node_modules/core-js/internals/global.js": function(exports, module) {
-      var check = function(it) {
-        return it && it.Math == Math && it;
-      };
-      module.exports = check(typeof globalThis == "object" && globalThis) || check(typeof window == "object" && window) || check(typeof self == "object" && self) || check(typeof global == "object" && global) || function() {
-        return this;
-      }() || Function("return this")();
-    }
-  });
-
   // node_modules/core-js/internals/fails.js
   var require_fails = __commonJS({
     "node_modules/core-js/internals/fails.js": function(exports, module) {
@@ -58,8 +46,8 @@
   // node_modules/core-js/internals/descriptors.js
   var require_descriptors = __commonJS({
     "node_modules/core-js/internals/descriptors.js": function(exports, module) {
-      var fails2 = require_fails();
-      module.exports = !fails2(function() {
+      var fails10 = require_fails();
+      module.exports = !fails10(function() {
         return Object.defineProperty({}, 1, { get: function() {
           return 7;
         } })[1] != 7;
@@ -67,85 +55,65 @@
     }
   });
 
-  // node_modules/core-js/internals/object-property-is-enumerable.js
-  var require_object_property_is_enumerable = __commonJS({
-    "node_modules/core-js/internals/object-property-is-enumerable.js": function(exports) {
-      "use strict";
-      var $propertyIsEnumerable2 = {}.propertyIsEnumerable;
-      var getOwnPropertyDescriptor2 = Object.getOwnPropertyDescriptor;
-      var NASHORN_BUG = getOwnPropertyDescriptor2 && !$propertyIsEnumerable2.call({ 1: 2 }, 1);
-      exports.f = NASHORN_BUG ? function propertyIsEnumerable2(V) {
-        var descriptor = getOwnPropertyDescriptor2(this, V);
-        return !!descriptor && descriptor.enumerable;
-      } : $propertyIsEnumerable2;
-    }
-  });
-
-  // node_modules/core-js/internals/create-property-descriptor.js
-  var require_create_property_descriptor = __commonJS({
-    "node_modules/core-js/internals/create-property-descriptor.js": function(exports, module) {
-      module.exports = function(bitmap, value) {
-        return {
-          enumerable: !(bitmap & 1),
-          configurable: !(bitmap & 2),
-          writable: !(bitmap & 4),
-          value: value
-        };
+  // node_modules/core-js/internals/global.js
+  var require_global = __commonJS({
+    "node_modules/core-js/internals/global.js": function(exports, module) {
+      var check = function(it) {
+        return it && it.Math == Math && it;
       };
+      module.exports = check(typeof globalThis == "object" && globalThis) || check(typeof window == "object" && window) || check(typeof self == "object" && self) || check(typeof global == "object" && global) || function() {
+        return this;
+      }() || Function("return this")();
     }
   });
 
-  // node_modules/core-js/internals/classof-raw.js
-  var require_classof_raw = __commonJS({
-    "node_modules/core-js/internals/classof-raw.js": function(exports, module) {
-      var toString4 = {}.toString;
+  // node_modules/core-js/internals/is-object.js
+  var require_is_object = __commonJS({
+    "node_modules/core-js/internals/is-object.js": function(exports, module) {
       module.exports = function(it) {
-        return toString4.call(it).slice(8, -1);
+        return typeof it === "object" ? it !== null : typeof it === "function";
       };
     }
   });
 
-  // node_modules/core-js/internals/indexed-object.js
-  var require_indexed_object = __commonJS({
-    "node_modules/core-js/internals/indexed-object.js": function(exports, module) {
-      var fails2 = require_fails();
-      var classof = require_classof_raw();
-      var split = "".split;
-      module.exports = fails2(function() {
-        return !Object("z").propertyIsEnumerable(0);
-      }) ? function(it) {
-        return classof(it) == "String" ? split.call(it, "") : Object(it);
-      } : Object;
-    }
-  });
-
-  // node_modules/core-js/internals/require-object-coercible.js
-  var require_require_object_coercible = __commonJS({
-    "node_modules/core-js/internals/require-object-coercible.js": function(exports, module) {
+  // node_modules/core-js/internals/document-create-element.js
+  var require_document_create_element = __commonJS({
+    "node_modules/core-js/internals/document-create-element.js": function(exports, module) {
+      var global8 = require_global();
+      var isObject5 = require_is_object();
+      var document2 = global8.document;
+      var EXISTS = isObject5(document2) && isObject5(document2.createElement);
       module.exports = function(it) {
-        if (it == void 0)
-          throw TypeError("Can't call method on " + it);
-        return it;
+        return EXISTS ? document2.createElement(it) : {};
       };
     }
   });
 
-  // node_modules/core-js/internals/to-indexed-object.js
-  var require_to_indexed_object = __commonJS({
-    "node_modules/core-js/internals/to-indexed-object.js": function(exports, module) {
-      var IndexedObject = require_indexed_object();
-      var requireObjectCoercible2 = require_require_object_coercible();
-      module.exports = function(it) {
-        return IndexedObject(requireObjectCoercible2(it));
-      };
+  // node_modules/core-js/internals/ie8-dom-define.js
+  var require_ie8_dom_define = __commonJS({
+    "node_modules/core-js/internals/ie8-dom-define.js": function(exports, module) {
+      var DESCRIPTORS6 = require_descriptors();
+      var fails10 = require_fails();
+      var createElement = require_document_create_element();
+      module.exports = !DESCRIPTORS6 && !fails10(function() {
+        return Object.defineProperty(createElement("div"), "a", {
+          get: function() {
+            return 7;
+          }
+        }).a != 7;
+      });
     }
   });
 
-  // node_modules/core-js/internals/is-object.js
-  var require_is_object = __commonJS({
-    "node_modules/core-js/internals/is-object.js": function(exports, module) {
+  // node_modules/core-js/internals/an-object.js
+  var require_an_object = __commonJS({
+    "node_modules/core-js/internals/an-object.js": function(exports, module) {
+      var isObject5 = require_is_object();
       module.exports = function(it) {
-        return typeof it === "object" ? it !== null : typeof it === "function";
+        if (!isObject5(it)) {
+          throw TypeError(String(it) + " is not an object");
+        }
+        return it;
       };
     }
   });
@@ -153,12 +121,12 @@
   // node_modules/core-js/internals/get-built-in.js
   var require_get_built_in = __commonJS({
     "node_modules/core-js/internals/get-built-in.js": function(exports, module) {
-      var global5 = require_global();
-      var aFunction = function(variable) {
+      var global8 = require_global();
+      var aFunction2 = function(variable) {
         return typeof variable == "function" ? variable : void 0;
       };
       module.exports = function(namespace, method) {
-        return arguments.length < 2 ? aFunction(global5[namespace]) : global5[namespace] && global5[namespace][method];
+        return arguments.length < 2 ? aFunction2(global8[namespace]) : global8[namespace] && global8[namespace][method];
       };
     }
   });
@@ -174,10 +142,10 @@
   // node_modules/core-js/internals/engine-v8-version.js
   var require_engine_v8_version = __commonJS({
     "node_modules/core-js/internals/engine-v8-version.js": function(exports, module) {
-      var global5 = require_global();
+      var global8 = require_global();
       var userAgent = require_engine_user_agent();
-      var process = global5.process;
-      var Deno = global5.Deno;
+      var process = global8.process;
+      var Deno = global8.Deno;
       var versions = process && process.versions || Deno && Deno.version;
       var v8 = versions && versions.v8;
       var match;
@@ -200,11 +168,11 @@
   // node_modules/core-js/internals/native-symbol.js
   var require_native_symbol = __commonJS({
     "node_modules/core-js/internals/native-symbol.js": function(exports, module) {
-      var V8_VERSION = require_engine_v8_version();
-      var fails2 = require_fails();
-      module.exports = !!Object.getOwnPropertySymbols && !fails2(function() {
+      var V8_VERSION2 = require_engine_v8_version();
+      var fails10 = require_fails();
+      module.exports = !!Object.getOwnPropertySymbols && !fails10(function() {
         var symbol = Symbol();
-        return !String(symbol) || !(Object(symbol) instanceof Symbol) || !Symbol.sham && V8_VERSION && V8_VERSION < 41;
+        return !String(symbol) || !(Object(symbol) instanceof Symbol) || !Symbol.sham && V8_VERSION2 && V8_VERSION2 < 41;
       });
     }
   });
@@ -234,14 +202,14 @@
   // node_modules/core-js/internals/ordinary-to-primitive.js
   var require_ordinary_to_primitive = __commonJS({
     "node_modules/core-js/internals/ordinary-to-primitive.js": function(exports, module) {
-      var isObject4 = require_is_object();
+      var isObject5 = require_is_object();
       module.exports = function(input, pref) {
         var fn, val;
-        if (pref === "string" && typeof (fn = input.toString) == "function" && !isObject4(val = fn.call(input)))
+        if (pref === "string" && typeof (fn = input.toString) == "function" && !isObject5(val = fn.call(input)))
           return val;
-        if (typeof (fn = input.valueOf) == "function" && !isObject4(val = fn.call(input)))
+        if (typeof (fn = input.valueOf) == "function" && !isObject5(val = fn.call(input)))
           return val;
-        if (pref !== "string" && typeof (fn = input.toString) == "function" && !isObject4(val = fn.call(input)))
+        if (pref !== "string" && typeof (fn = input.toString) == "function" && !isObject5(val = fn.call(input)))
           return val;
         throw TypeError("Can't convert object to primitive value");
       };
@@ -258,12 +226,12 @@
   // node_modules/core-js/internals/set-global.js
   var require_set_global = __commonJS({
     "node_modules/core-js/internals/set-global.js": function(exports, module) {
-      var global5 = require_global();
+      var global8 = require_global();
       module.exports = function(key, value) {
         try {
-          Object.defineProperty(global5, key, { value: value, configurable: true, writable: true });
+          Object.defineProperty(global8, key, { value: value, configurable: true, writable: true });
         } catch (error) {
-          global5[key] = value;
+          global8[key] = value;
         }
         return value;
       };
@@ -273,10 +241,10 @@
   // node_modules/core-js/internals/shared-store.js
   var require_shared_store = __commonJS({
     "node_modules/core-js/internals/shared-store.js": function(exports, module) {
-      var global5 = require_global();
+      var global8 = require_global();
       var setGlobal = require_set_global();
       var SHARED = "__core-js_shared__";
-      var store = global5[SHARED] || setGlobal(SHARED, {});
+      var store = global8[SHARED] || setGlobal(SHARED, {});
       module.exports = store;
     }
   });
@@ -296,12 +264,23 @@
     }
   });
 
+  // node_modules/core-js/internals/require-object-coercible.js
+  var require_require_object_coercible = __commonJS({
+    "node_modules/core-js/internals/require-object-coercible.js": function(exports, module) {
+      module.exports = function(it) {
+        if (it == void 0)
+          throw TypeError("Can't call method on " + it);
+        return it;
+      };
+    }
+  });
+
   // node_modules/core-js/internals/to-object.js
   var require_to_object = __commonJS({
     "node_modules/core-js/internals/to-object.js": function(exports, module) {
-      var requireObjectCoercible2 = require_require_object_coercible();
+      var requireObjectCoercible3 = require_require_object_coercible();
       module.exports = function(argument) {
-        return Object(requireObjectCoercible2(argument));
+        return Object(requireObjectCoercible3(argument));
       };
     }
   });
@@ -309,10 +288,10 @@
   // node_modules/core-js/internals/has.js
   var require_has = __commonJS({
     "node_modules/core-js/internals/has.js": function(exports, module) {
-      var toObject2 = require_to_object();
+      var toObject6 = require_to_object();
       var hasOwnProperty = {}.hasOwnProperty;
       module.exports = Object.hasOwn || function hasOwn(it, key) {
-        return hasOwnProperty.call(toObject2(it), key);
+        return hasOwnProperty.call(toObject6(it), key);
       };
     }
   });
@@ -331,18 +310,18 @@
   // node_modules/core-js/internals/well-known-symbol.js
   var require_well_known_symbol = __commonJS({
     "node_modules/core-js/internals/well-known-symbol.js": function(exports, module) {
-      var global5 = require_global();
+      var global8 = require_global();
       var shared2 = require_shared();
-      var has3 = require_has();
+      var has5 = require_has();
       var uid2 = require_uid();
       var NATIVE_SYMBOL2 = require_native_symbol();
       var USE_SYMBOL_AS_UID = require_use_symbol_as_uid();
       var WellKnownSymbolsStore2 = shared2("wks");
-      var Symbol2 = global5.Symbol;
+      var Symbol2 = global8.Symbol;
       var createWellKnownSymbol = USE_SYMBOL_AS_UID ? Symbol2 : Symbol2 && Symbol2.withoutSetter || uid2;
       module.exports = function(name) {
-        if (!has3(WellKnownSymbolsStore2, name) || !(NATIVE_SYMBOL2 || typeof WellKnownSymbolsStore2[name] == "string")) {
-          if (NATIVE_SYMBOL2 && has3(Symbol2, name)) {
+        if (!has5(WellKnownSymbolsStore2, name) || !(NATIVE_SYMBOL2 || typeof WellKnownSymbolsStore2[name] == "string")) {
+          if (NATIVE_SYMBOL2 && has5(Symbol2, name)) {
             WellKnownSymbolsStore2[name] = Symbol2[name];
           } else {
             WellKnownSymbolsStore2[name] = createWellKnownSymbol("Symbol." + name);
@@ -356,13 +335,13 @@
   // node_modules/core-js/internals/to-primitive.js
   var require_to_primitive = __commonJS({
     "node_modules/core-js/internals/to-primitive.js": function(exports, module) {
-      var isObject4 = require_is_object();
-      var isSymbol2 = require_is_symbol();
+      var isObject5 = require_is_object();
+      var isSymbol3 = require_is_symbol();
       var ordinaryToPrimitive = require_ordinary_to_primitive();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var TO_PRIMITIVE2 = wellKnownSymbol4("toPrimitive");
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var TO_PRIMITIVE2 = wellKnownSymbol7("toPrimitive");
       module.exports = function(input, pref) {
-        if (!isObject4(input) || isSymbol2(input))
+        if (!isObject5(input) || isSymbol3(input))
           return input;
         var exoticToPrim = input[TO_PRIMITIVE2];
         var result;
@@ -370,7 +349,7 @@
           if (pref === void 0)
             pref = "default";
           result = exoticToPrim.call(input, pref);
-          if (!isObject4(result) || isSymbol2(result))
+          if (!isObject5(result) || isSymbol3(result))
             return result;
           throw TypeError("Can't convert object to primitive value");
         }
@@ -384,115 +363,136 @@
   // node_modules/core-js/internals/to-property-key.js
   var require_to_property_key = __commonJS({
     "node_modules/core-js/internals/to-property-key.js": function(exports, module) {
-      var toPrimitive = require_to_primitive();
-      var isSymbol2 = require_is_symbol();
+      var toPrimitive2 = require_to_primitive();
+      var isSymbol3 = require_is_symbol();
       module.exports = function(argument) {
-        var key = toPrimitive(argument, "string");
-        return isSymbol2(key) ? key : String(key);
+        var key = toPrimitive2(argument, "string");
+        return isSymbol3(key) ? key : String(key);
       };
     }
   });
 
-  // node_modules/core-js/internals/document-create-element.js
-  var require_document_create_element = __commonJS({
-    "node_modules/core-js/internals/document-create-element.js": function(exports, module) {
-      var global5 = require_global();
-      var isObject4 = require_is_object();
-      var document2 = global5.document;
-      var EXISTS = isObject4(document2) && isObject4(document2.createElement);
+  // node_modules/core-js/internals/object-define-property.js
+  var require_object_define_property = __commonJS({
+    "node_modules/core-js/internals/object-define-property.js": function(exports) {
+      var DESCRIPTORS6 = require_descriptors();
+      var IE8_DOM_DEFINE = require_ie8_dom_define();
+      var anObject5 = require_an_object();
+      var toPropertyKey2 = require_to_property_key();
+      var $defineProperty2 = Object.defineProperty;
+      exports.f = DESCRIPTORS6 ? $defineProperty2 : function defineProperty6(O, P, Attributes) {
+        anObject5(O);
+        P = toPropertyKey2(P);
+        anObject5(Attributes);
+        if (IE8_DOM_DEFINE)
+          try {
+            return $defineProperty2(O, P, Attributes);
+          } catch (error) {
+          }
+        if ("get" in Attributes || "set" in Attributes)
+          throw TypeError("Accessors not supported");
+        if ("value" in Attributes)
+          O[P] = Attributes.value;
+        return O;
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/object-property-is-enumerable.js
+  var require_object_property_is_enumerable = __commonJS({
+    "node_modules/core-js/internals/object-property-is-enumerable.js": function(exports) {
+      "use strict";
+      var $propertyIsEnumerable2 = {}.propertyIsEnumerable;
+      var getOwnPropertyDescriptor3 = Object.getOwnPropertyDescriptor;
+      var NASHORN_BUG = getOwnPropertyDescriptor3 && !$propertyIsEnumerable2.call({ 1: 2 }, 1);
+      exports.f = NASHORN_BUG ? function propertyIsEnumerable2(V) {
+        var descriptor = getOwnPropertyDescriptor3(this, V);
+        return !!descriptor && descriptor.enumerable;
+      } : $propertyIsEnumerable2;
+    }
+  });
+
+  // node_modules/core-js/internals/create-property-descriptor.js
+  var require_create_property_descriptor = __commonJS({
+    "node_modules/core-js/internals/create-property-descriptor.js": function(exports, module) {
+      module.exports = function(bitmap, value) {
+        return {
+          enumerable: !(bitmap & 1),
+          configurable: !(bitmap & 2),
+          writable: !(bitmap & 4),
+          value: value
+        };
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/classof-raw.js
+  var require_classof_raw = __commonJS({
+    "node_modules/core-js/internals/classof-raw.js": function(exports, module) {
+      var toString7 = {}.toString;
       module.exports = function(it) {
-        return EXISTS ? document2.createElement(it) : {};
+        return toString7.call(it).slice(8, -1);
       };
     }
   });
 
-  // node_modules/core-js/internals/ie8-dom-define.js
-  var require_ie8_dom_define = __commonJS({
-    "node_modules/core-js/internals/ie8-dom-define.js": function(exports, module) {
-      var DESCRIPTORS4 = require_descriptors();
-      var fails2 = require_fails();
-      var createElement = require_document_create_element();
-      module.exports = !DESCRIPTORS4 && !fails2(function() {
-        return Object.defineProperty(createElement("div"), "a", {
-          get: function() {
-            return 7;
-          }
-        }).a != 7;
-      });
+  // node_modules/core-js/internals/indexed-object.js
+  var require_indexed_object = __commonJS({
+    "node_modules/core-js/internals/indexed-object.js": function(exports, module) {
+      var fails10 = require_fails();
+      var classof2 = require_classof_raw();
+      var split = "".split;
+      module.exports = fails10(function() {
+        return !Object("z").propertyIsEnumerable(0);
+      }) ? function(it) {
+        return classof2(it) == "String" ? split.call(it, "") : Object(it);
+      } : Object;
+    }
+  });
+
+  // node_modules/core-js/internals/to-indexed-object.js
+  var require_to_indexed_object = __commonJS({
+    "node_modules/core-js/internals/to-indexed-object.js": function(exports, module) {
+      var IndexedObject2 = require_indexed_object();
+      var requireObjectCoercible3 = require_require_object_coercible();
+      module.exports = function(it) {
+        return IndexedObject2(requireObjectCoercible3(it));
+      };
     }
   });
 
   // node_modules/core-js/internals/object-get-own-property-descriptor.js
   var require_object_get_own_property_descriptor = __commonJS({
     "node_modules/core-js/internals/object-get-own-property-descriptor.js": function(exports) {
-      var DESCRIPTORS4 = require_descriptors();
+      var DESCRIPTORS6 = require_descriptors();
       var propertyIsEnumerableModule2 = require_object_property_is_enumerable();
       var createPropertyDescriptor2 = require_create_property_descriptor();
-      var toIndexedObject3 = require_to_indexed_object();
+      var toIndexedObject4 = require_to_indexed_object();
       var toPropertyKey2 = require_to_property_key();
-      var has3 = require_has();
+      var has5 = require_has();
       var IE8_DOM_DEFINE = require_ie8_dom_define();
       var $getOwnPropertyDescriptor2 = Object.getOwnPropertyDescriptor;
-      exports.f = DESCRIPTORS4 ? $getOwnPropertyDescriptor2 : function getOwnPropertyDescriptor2(O, P) {
-        O = toIndexedObject3(O);
+      exports.f = DESCRIPTORS6 ? $getOwnPropertyDescriptor2 : function getOwnPropertyDescriptor3(O, P) {
+        O = toIndexedObject4(O);
         P = toPropertyKey2(P);
         if (IE8_DOM_DEFINE)
           try {
             return $getOwnPropertyDescriptor2(O, P);
           } catch (error) {
           }
-        if (has3(O, P))
+        if (has5(O, P))
           return createPropertyDescriptor2(!propertyIsEnumerableModule2.f.call(O, P), O[P]);
       };
     }
   });
 
-  // node_modules/core-js/internals/an-object.js
-  var require_an_object = __commonJS({
-    "node_modules/core-js/internals/an-object.js": function(exports, module) {
-      var isObject4 = require_is_object();
-      module.exports = function(it) {
-        if (!isObject4(it)) {
-          throw TypeError(String(it) + " is not an object");
-        }
-        return it;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/object-define-property.js
-  var require_object_define_property = __commonJS({
-    "node_modules/core-js/internals/object-define-property.js": function(exports) {
-      var DESCRIPTORS4 = require_descriptors();
-      var IE8_DOM_DEFINE = require_ie8_dom_define();
-      var anObject3 = require_an_object();
-      var toPropertyKey2 = require_to_property_key();
-      var $defineProperty2 = Object.defineProperty;
-      exports.f = DESCRIPTORS4 ? $defineProperty2 : function defineProperty4(O, P, Attributes) {
-        anObject3(O);
-        P = toPropertyKey2(P);
-        anObject3(Attributes);
-        if (IE8_DOM_DEFINE)
-          try {
-            return $defineProperty2(O, P, Attributes);
-          } catch (error) {
-          }
-        if ("get" in Attributes || "set" in Attributes)
-          throw TypeError("Accessors not supported");
-        if ("value" in Attributes)
-          O[P] = Attributes.value;
-        return O;
-      };
-    }
-  });
-
   // node_modules/core-js/internals/create-non-enumerable-property.js
   var require_create_non_enumerable_property = __commonJS({
     "node_modules/core-js/internals/create-non-enumerable-property.js": function(exports, module) {
-      var DESCRIPTORS4 = require_descriptors();
+      var DESCRIPTORS6 = require_descriptors();
       var definePropertyModule2 = require_object_define_property();
       var createPropertyDescriptor2 = require_create_property_descriptor();
-      module.exports = DESCRIPTORS4 ? function(object, key, value) {
+      module.exports = DESCRIPTORS6 ? function(object, key, value) {
         return definePropertyModule2.f(object, key, createPropertyDescriptor2(1, value));
       } : function(object, key, value) {
         object[key] = value;
@@ -518,9 +518,9 @@
   // node_modules/core-js/internals/native-weak-map.js
   var require_native_weak_map = __commonJS({
     "node_modules/core-js/internals/native-weak-map.js": function(exports, module) {
-      var global5 = require_global();
+      var global8 = require_global();
       var inspectSource = require_inspect_source();
-      var WeakMap = global5.WeakMap;
+      var WeakMap = global8.WeakMap;
       module.exports = typeof WeakMap === "function" && /native code/.test(inspectSource(WeakMap));
     }
   });
@@ -530,9 +530,9 @@
     "node_modules/core-js/internals/shared-key.js": function(exports, module) {
       var shared2 = require_shared();
       var uid2 = require_uid();
-      var keys = shared2("keys");
+      var keys2 = shared2("keys");
       module.exports = function(key) {
-        return keys[key] || (keys[key] = uid2(key));
+        return keys2[key] || (keys2[key] = uid2(key));
       };
     }
   });
@@ -548,25 +548,25 @@
   var require_internal_state = __commonJS({
     "node_modules/core-js/internals/internal-state.js": function(exports, module) {
       var NATIVE_WEAK_MAP = require_native_weak_map();
-      var global5 = require_global();
-      var isObject4 = require_is_object();
-      var createNonEnumerableProperty3 = require_create_non_enumerable_property();
+      var global8 = require_global();
+      var isObject5 = require_is_object();
+      var createNonEnumerableProperty5 = require_create_non_enumerable_property();
       var objectHas = require_has();
       var shared2 = require_shared_store();
       var sharedKey2 = require_shared_key();
       var hiddenKeys2 = require_hidden_keys();
       var OBJECT_ALREADY_INITIALIZED = "Object already initialized";
-      var WeakMap = global5.WeakMap;
+      var WeakMap = global8.WeakMap;
       var set;
       var get;
-      var has3;
+      var has5;
       var enforce = function(it) {
-        return has3(it) ? get(it) : set(it, {});
+        return has5(it) ? get(it) : set(it, {});
       };
       var getterFor = function(TYPE) {
         return function(it) {
           var state;
-          if (!isObject4(it) || (state = get(it)).type !== TYPE) {
+          if (!isObject5(it) || (state = get(it)).type !== TYPE) {
             throw TypeError("Incompatible receiver, " + TYPE + " required");
           }
           return state;
@@ -587,7 +587,7 @@
         get = function(it) {
           return wmget.call(store, it) || {};
         };
-        has3 = function(it) {
+        has5 = function(it) {
           return wmhas.call(store, it);
         };
       } else {
@@ -597,13 +597,13 @@
           if (objectHas(it, STATE))
             throw new TypeError(OBJECT_ALREADY_INITIALIZED);
           metadata.facade = it;
-          createNonEnumerableProperty3(it, STATE, metadata);
+          createNonEnumerableProperty5(it, STATE, metadata);
           return metadata;
         };
         get = function(it) {
           return objectHas(it, STATE) ? it[STATE] : {};
         };
-        has3 = function(it) {
+        has5 = function(it) {
           return objectHas(it, STATE);
         };
       }
@@ -615,7 +615,7 @@
       module.exports = {
         set: set,
         get: get,
-        has: has3,
+        has: has5,
         enforce: enforce,
         getterFor: getterFor
       };
@@ -625,14 +625,14 @@
   // node_modules/core-js/internals/redefine.js
   var require_redefine = __commonJS({
     "node_modules/core-js/internals/redefine.js": function(exports, module) {
-      var global5 = require_global();
-      var createNonEnumerableProperty3 = require_create_non_enumerable_property();
-      var has3 = require_has();
+      var global8 = require_global();
+      var createNonEnumerableProperty5 = require_create_non_enumerable_property();
+      var has5 = require_has();
       var setGlobal = require_set_global();
       var inspectSource = require_inspect_source();
       var InternalStateModule3 = require_internal_state();
       var getInternalState3 = InternalStateModule3.get;
-      var enforceInternalState = InternalStateModule3.enforce;
+      var enforceInternalState2 = InternalStateModule3.enforce;
       var TEMPLATE = String(String).split("String");
       (module.exports = function(O, key, value, options) {
         var unsafe = options ? !!options.unsafe : false;
@@ -640,15 +640,15 @@
         var noTargetGet = options ? !!options.noTargetGet : false;
         var state;
         if (typeof value == "function") {
-          if (typeof key == "string" && !has3(value, "name")) {
-            createNonEnumerableProperty3(value, "name", key);
+          if (typeof key == "string" && !has5(value, "name")) {
+            createNonEnumerableProperty5(value, "name", key);
           }
-          state = enforceInternalState(value);
+          state = enforceInternalState2(value);
           if (!state.source) {
             state.source = TEMPLATE.join(typeof key == "string" ? key : "");
           }
         }
-        if (O === global5) {
+        if (O === global8) {
           if (simple)
             O[key] = value;
           else
@@ -662,8 +662,8 @@
         if (simple)
           O[key] = value;
         else
-          createNonEnumerableProperty3(O, key, value);
-      })(Function.prototype, "toString", function toString4() {
+          createNonEnumerableProperty5(O, key, value);
+      })(Function.prototype, "toString", function toString7() {
         return typeof this == "function" && getInternalState3(this).source || inspectSource(this);
       });
     }
@@ -683,10 +683,10 @@
   // node_modules/core-js/internals/to-length.js
   var require_to_length = __commonJS({
     "node_modules/core-js/internals/to-length.js": function(exports, module) {
-      var toInteger = require_to_integer();
-      var min = Math.min;
+      var toInteger3 = require_to_integer();
+      var min4 = Math.min;
       module.exports = function(argument) {
-        return argument > 0 ? min(toInteger(argument), 9007199254740991) : 0;
+        return argument > 0 ? min4(toInteger3(argument), 9007199254740991) : 0;
       };
     }
   });
@@ -694,12 +694,12 @@
   // node_modules/core-js/internals/to-absolute-index.js
   var require_to_absolute_index = __commonJS({
     "node_modules/core-js/internals/to-absolute-index.js": function(exports, module) {
-      var toInteger = require_to_integer();
-      var max2 = Math.max;
-      var min = Math.min;
+      var toInteger3 = require_to_integer();
+      var max4 = Math.max;
+      var min4 = Math.min;
       module.exports = function(index, length) {
-        var integer = toInteger(index);
-        return integer < 0 ? max2(integer + length, 0) : min(integer, length);
+        var integer2 = toInteger3(index);
+        return integer2 < 0 ? max4(integer2 + length, 0) : min4(integer2, length);
       };
     }
   });
@@ -707,14 +707,14 @@
   // node_modules/core-js/internals/array-includes.js
   var require_array_includes = __commonJS({
     "node_modules/core-js/internals/array-includes.js": function(exports, module) {
-      var toIndexedObject3 = require_to_indexed_object();
-      var toLength3 = require_to_length();
-      var toAbsoluteIndex2 = require_to_absolute_index();
+      var toIndexedObject4 = require_to_indexed_object();
+      var toLength7 = require_to_length();
+      var toAbsoluteIndex3 = require_to_absolute_index();
       var createMethod = function(IS_INCLUDES) {
         return function($this, el, fromIndex) {
-          var O = toIndexedObject3($this);
-          var length = toLength3(O.length);
-          var index = toAbsoluteIndex2(fromIndex, length);
+          var O = toIndexedObject4($this);
+          var length = toLength7(O.length);
+          var index = toAbsoluteIndex3(fromIndex, length);
           var value;
           if (IS_INCLUDES && el != el)
             while (length > index) {
@@ -740,20 +740,20 @@
   // node_modules/core-js/internals/object-keys-internal.js
   var require_object_keys_internal = __commonJS({
     "node_modules/core-js/internals/object-keys-internal.js": function(exports, module) {
-      var has3 = require_has();
-      var toIndexedObject3 = require_to_indexed_object();
-      var indexOf = require_array_includes().indexOf;
+      var has5 = require_has();
+      var toIndexedObject4 = require_to_indexed_object();
+      var indexOf2 = require_array_includes().indexOf;
       var hiddenKeys2 = require_hidden_keys();
       module.exports = function(object, names) {
-        var O = toIndexedObject3(object);
+        var O = toIndexedObject4(object);
         var i = 0;
         var result = [];
         var key;
         for (key in O)
-          !has3(hiddenKeys2, key) && has3(O, key) && result.push(key);
+          !has5(hiddenKeys2, key) && has5(O, key) && result.push(key);
         while (names.length > i)
-          if (has3(O, key = names[i++])) {
-            ~indexOf(result, key) || result.push(key);
+          if (has5(O, key = names[i++])) {
+            ~indexOf2(result, key) || result.push(key);
           }
         return result;
       };
@@ -781,7 +781,7 @@
       var internalObjectKeys = require_object_keys_internal();
       var enumBugKeys = require_enum_bug_keys();
       var hiddenKeys2 = enumBugKeys.concat("length", "prototype");
-      exports.f = Object.getOwnPropertyNames || function getOwnPropertyNames2(O) {
+      exports.f = Object.getOwnPropertyNames || function getOwnPropertyNames4(O) {
         return internalObjectKeys(O, hiddenKeys2);
       };
     }
@@ -800,11 +800,11 @@
       var getBuiltIn2 = require_get_built_in();
       var getOwnPropertyNamesModule2 = require_object_get_own_property_names();
       var getOwnPropertySymbolsModule2 = require_object_get_own_property_symbols();
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       module.exports = getBuiltIn2("Reflect", "ownKeys") || function ownKeys(it) {
-        var keys = getOwnPropertyNamesModule2.f(anObject3(it));
+        var keys2 = getOwnPropertyNamesModule2.f(anObject5(it));
         var getOwnPropertySymbols3 = getOwnPropertySymbolsModule2.f;
-        return getOwnPropertySymbols3 ? keys.concat(getOwnPropertySymbols3(it)) : keys;
+        return getOwnPropertySymbols3 ? keys2.concat(getOwnPropertySymbols3(it)) : keys2;
       };
     }
   });
@@ -812,18 +812,18 @@
   // node_modules/core-js/internals/copy-constructor-properties.js
   var require_copy_constructor_properties = __commonJS({
     "node_modules/core-js/internals/copy-constructor-properties.js": function(exports, module) {
-      var has3 = require_has();
+      var has5 = require_has();
       var ownKeys = require_own_keys();
       var getOwnPropertyDescriptorModule2 = require_object_get_own_property_descriptor();
       var definePropertyModule2 = require_object_define_property();
       module.exports = function(target, source) {
-        var keys = ownKeys(source);
-        var defineProperty4 = definePropertyModule2.f;
-        var getOwnPropertyDescriptor2 = getOwnPropertyDescriptorModule2.f;
-        for (var i = 0; i < keys.length; i++) {
-          var key = keys[i];
-          if (!has3(target, key))
-            defineProperty4(target, key, getOwnPropertyDescriptor2(source, key));
+        var keys2 = ownKeys(source);
+        var defineProperty6 = definePropertyModule2.f;
+        var getOwnPropertyDescriptor3 = getOwnPropertyDescriptorModule2.f;
+        for (var i = 0; i < keys2.length; i++) {
+          var key = keys2[i];
+          if (!has5(target, key))
+            defineProperty6(target, key, getOwnPropertyDescriptor3(source, key));
         }
       };
     }
@@ -832,120 +832,322 @@
   // node_modules/core-js/internals/is-forced.js
   var require_is_forced = __commonJS({
     "node_modules/core-js/internals/is-forced.js": function(exports, module) {
-      var fails2 = require_fails();
+      var fails10 = require_fails();
       var replacement = /#|\.prototype\./;
-      var isForced = function(feature, detection) {
+      var isForced3 = function(feature, detection) {
         var value = data[normalize(feature)];
-        return value == POLYFILL ? true : value == NATIVE ? false : typeof detection == "function" ? fails2(detection) : !!detection;
+        return value == POLYFILL ? true : value == NATIVE ? false : typeof detection == "function" ? fails10(detection) : !!detection;
       };
-      var normalize = isForced.normalize = function(string) {
+      var normalize = isForced3.normalize = function(string) {
         return String(string).replace(replacement, ".").toLowerCase();
       };
-      var data = isForced.data = {};
-      var NATIVE = isForced.NATIVE = "N";
-      var POLYFILL = isForced.POLYFILL = "P";
-      module.exports = isForced;
+      var data = isForced3.data = {};
+      var NATIVE = isForced3.NATIVE = "N";
+      var POLYFILL = isForced3.POLYFILL = "P";
+      module.exports = isForced3;
     }
   });
 
   // node_modules/core-js/internals/export.js
   var require_export = __commonJS({
     "node_modules/core-js/internals/export.js": function(exports, module) {
-      var global5 = require_global();
-      var getOwnPropertyDescriptor2 = require_object_get_own_property_descriptor().f;
-      var createNonEnumerableProperty3 = require_create_non_enumerable_property();
-      var redefine3 = require_redefine();
+      var global8 = require_global();
+      var getOwnPropertyDescriptor3 = require_object_get_own_property_descriptor().f;
+      var createNonEnumerableProperty5 = require_create_non_enumerable_property();
+      var redefine6 = require_redefine();
       var setGlobal = require_set_global();
       var copyConstructorProperties2 = require_copy_constructor_properties();
-      var isForced = require_is_forced();
+      var isForced3 = require_is_forced();
       module.exports = function(options, source) {
         var TARGET = options.target;
         var GLOBAL = options.global;
         var STATIC = options.stat;
-        var FORCED, target, key, targetProperty, sourceProperty, descriptor;
+        var FORCED3, target, key, targetProperty, sourceProperty, descriptor;
         if (GLOBAL) {
-          target = global5;
+          target = global8;
         } else if (STATIC) {
-          target = global5[TARGET] || setGlobal(TARGET, {});
+          target = global8[TARGET] || setGlobal(TARGET, {});
         } else {
-          target = (global5[TARGET] || {}).prototype;
+          target = (global8[TARGET] || {}).prototype;
         }
         if (target)
           for (key in source) {
             sourceProperty = source[key];
             if (options.noTargetGet) {
-              descriptor = getOwnPropertyDescriptor2(target, key);
+              descriptor = getOwnPropertyDescriptor3(target, key);
               targetProperty = descriptor && descriptor.value;
             } else
               targetProperty = target[key];
-            FORCED = isForced(GLOBAL ? key : TARGET + (STATIC ? "." : "#") + key, options.forced);
-            if (!FORCED && targetProperty !== void 0) {
+            FORCED3 = isForced3(GLOBAL ? key : TARGET + (STATIC ? "." : "#") + key, options.forced);
+            if (!FORCED3 && targetProperty !== void 0) {
               if (typeof sourceProperty === typeof targetProperty)
                 continue;
               copyConstructorProperties2(sourceProperty, targetProperty);
             }
             if (options.sham || targetProperty && targetProperty.sham) {
-              createNonEnumerableProperty3(sourceProperty, "sham", true);
+              createNonEnumerableProperty5(sourceProperty, "sham", true);
             }
-            redefine3(target, key, sourceProperty, options);
+            redefine6(target, key, sourceProperty, options);
           }
       };
     }
   });
 
-  // node_modules/core-js/internals/to-string.js
-  var require_to_string = __commonJS({
-    "node_modules/core-js/internals/to-string.js": function(exports, module) {
-      var isSymbol2 = require_is_symbol();
-      module.exports = function(argument) {
-        if (isSymbol2(argument))
-          throw TypeError("Cannot convert a Symbol value to a string");
-        return String(argument);
+  // node_modules/core-js/internals/is-array.js
+  var require_is_array = __commonJS({
+    "node_modules/core-js/internals/is-array.js": function(exports, module) {
+      var classof2 = require_classof_raw();
+      module.exports = Array.isArray || function isArray4(arg) {
+        return classof2(arg) == "Array";
       };
     }
   });
 
-  // node_modules/core-js/internals/regexp-flags.js
-  var require_regexp_flags = __commonJS({
-    "node_modules/core-js/internals/regexp-flags.js": function(exports, module) {
-      "use strict";
-      var anObject3 = require_an_object();
-      module.exports = function() {
-        var that = anObject3(this);
-        var result = "";
-        if (that.global)
-          result += "g";
-        if (that.ignoreCase)
-          result += "i";
-        if (that.multiline)
-          result += "m";
-        if (that.dotAll)
-          result += "s";
-        if (that.unicode)
-          result += "u";
-        if (that.sticky)
-          result += "y";
-        return result;
+  // node_modules/core-js/internals/array-species-constructor.js
+  var require_array_species_constructor = __commonJS({
+    "node_modules/core-js/internals/array-species-constructor.js": function(exports, module) {
+      var isObject5 = require_is_object();
+      var isArray4 = require_is_array();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var SPECIES2 = wellKnownSymbol7("species");
+      module.exports = function(originalArray) {
+        var C;
+        if (isArray4(originalArray)) {
+          C = originalArray.constructor;
+          if (typeof C == "function" && (C === Array || isArray4(C.prototype)))
+            C = void 0;
+          else if (isObject5(C)) {
+            C = C[SPECIES2];
+            if (C === null)
+              C = void 0;
+          }
+        }
+        return C === void 0 ? Array : C;
       };
     }
   });
 
-  // node_modules/core-js/internals/regexp-sticky-helpers.js
-  var require_regexp_sticky_helpers = __commonJS({
-    "node_modules/core-js/internals/regexp-sticky-helpers.js": function(exports) {
-      var fails2 = require_fails();
-      var global5 = require_global();
-      var $RegExp = global5.RegExp;
-      exports.UNSUPPORTED_Y = fails2(function() {
-        var re = $RegExp("a", "y");
-        re.lastIndex = 2;
-        return re.exec("abcd") != null;
-      });
-      exports.BROKEN_CARET = fails2(function() {
-        var re = $RegExp("^r", "gy");
-        re.lastIndex = 2;
-        return re.exec("str") != null;
-      });
+  // node_modules/core-js/internals/array-species-create.js
+  var require_array_species_create = __commonJS({
+    "node_modules/core-js/internals/array-species-create.js": function(exports, module) {
+      var arraySpeciesConstructor = require_array_species_constructor();
+      module.exports = function(originalArray, length) {
+        return new (arraySpeciesConstructor(originalArray))(length === 0 ? 0 : length);
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/create-property.js
+  var require_create_property = __commonJS({
+    "node_modules/core-js/internals/create-property.js": function(exports, module) {
+      "use strict";
+      var toPropertyKey2 = require_to_property_key();
+      var definePropertyModule2 = require_object_define_property();
+      var createPropertyDescriptor2 = require_create_property_descriptor();
+      module.exports = function(object, key, value) {
+        var propertyKey = toPropertyKey2(key);
+        if (propertyKey in object)
+          definePropertyModule2.f(object, propertyKey, createPropertyDescriptor2(0, value));
+        else
+          object[propertyKey] = value;
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/array-method-has-species-support.js
+  var require_array_method_has_species_support = __commonJS({
+    "node_modules/core-js/internals/array-method-has-species-support.js": function(exports, module) {
+      var fails10 = require_fails();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var V8_VERSION2 = require_engine_v8_version();
+      var SPECIES2 = wellKnownSymbol7("species");
+      module.exports = function(METHOD_NAME) {
+        return V8_VERSION2 >= 51 || !fails10(function() {
+          var array = [];
+          var constructor = array.constructor = {};
+          constructor[SPECIES2] = function() {
+            return { foo: 1 };
+          };
+          return array[METHOD_NAME](Boolean).foo !== 1;
+        });
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/a-function.js
+  var require_a_function = __commonJS({
+    "node_modules/core-js/internals/a-function.js": function(exports, module) {
+      module.exports = function(it) {
+        if (typeof it != "function") {
+          throw TypeError(String(it) + " is not a function");
+        }
+        return it;
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/function-bind-context.js
+  var require_function_bind_context = __commonJS({
+    "node_modules/core-js/internals/function-bind-context.js": function(exports, module) {
+      var aFunction2 = require_a_function();
+      module.exports = function(fn, that, length) {
+        aFunction2(fn);
+        if (that === void 0)
+          return fn;
+        switch (length) {
+          case 0:
+            return function() {
+              return fn.call(that);
+            };
+          case 1:
+            return function(a) {
+              return fn.call(that, a);
+            };
+          case 2:
+            return function(a, b) {
+              return fn.call(that, a, b);
+            };
+          case 3:
+            return function(a, b, c) {
+              return fn.call(that, a, b, c);
+            };
+        }
+        return function() {
+          return fn.apply(that, arguments);
+        };
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/array-iteration.js
+  var require_array_iteration = __commonJS({
+    "node_modules/core-js/internals/array-iteration.js": function(exports, module) {
+      var bind = require_function_bind_context();
+      var IndexedObject2 = require_indexed_object();
+      var toObject6 = require_to_object();
+      var toLength7 = require_to_length();
+      var arraySpeciesCreate3 = require_array_species_create();
+      var push2 = [].push;
+      var createMethod = function(TYPE) {
+        var IS_MAP = TYPE == 1;
+        var IS_FILTER = TYPE == 2;
+        var IS_SOME = TYPE == 3;
+        var IS_EVERY = TYPE == 4;
+        var IS_FIND_INDEX = TYPE == 6;
+        var IS_FILTER_REJECT = TYPE == 7;
+        var NO_HOLES = TYPE == 5 || IS_FIND_INDEX;
+        return function($this, callbackfn, that, specificCreate) {
+          var O = toObject6($this);
+          var self2 = IndexedObject2(O);
+          var boundFunction = bind(callbackfn, that, 3);
+          var length = toLength7(self2.length);
+          var index = 0;
+          var create3 = specificCreate || arraySpeciesCreate3;
+          var target = IS_MAP ? create3($this, length) : IS_FILTER || IS_FILTER_REJECT ? create3($this, 0) : void 0;
+          var value, result;
+          for (; length > index; index++)
+            if (NO_HOLES || index in self2) {
+              value = self2[index];
+              result = boundFunction(value, index, O);
+              if (TYPE) {
+                if (IS_MAP)
+                  target[index] = result;
+                else if (result)
+                  switch (TYPE) {
+                    case 3:
+                      return true;
+                    case 5:
+                      return value;
+                    case 6:
+                      return index;
+                    case 2:
+                      push2.call(target, value);
+                  }
+                else
+                  switch (TYPE) {
+                    case 4:
+                      return false;
+                    case 7:
+                      push2.call(target, value);
+                  }
+              }
+            }
+          return IS_FIND_INDEX ? -1 : IS_SOME || IS_EVERY ? IS_EVERY : target;
+        };
+      };
+      module.exports = {
+        forEach: createMethod(0),
+        map: createMethod(1),
+        filter: createMethod(2),
+        some: createMethod(3),
+        every: createMethod(4),
+        find: createMethod(5),
+        findIndex: createMethod(6),
+        filterReject: createMethod(7)
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/to-string.js
+  var require_to_string = __commonJS({
+    "node_modules/core-js/internals/to-string.js": function(exports, module) {
+      var isSymbol3 = require_is_symbol();
+      module.exports = function(argument) {
+        if (isSymbol3(argument))
+          throw TypeError("Cannot convert a Symbol value to a string");
+        return String(argument);
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/whitespaces.js
+  var require_whitespaces = __commonJS({
+    "node_modules/core-js/internals/whitespaces.js": function(exports, module) {
+      module.exports = "	\n\v\f\r \xA0\u1680\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200A\u202F\u205F\u3000\u2028\u2029\uFEFF";
+    }
+  });
+
+  // node_modules/core-js/internals/string-trim.js
+  var require_string_trim = __commonJS({
+    "node_modules/core-js/internals/string-trim.js": function(exports, module) {
+      var requireObjectCoercible3 = require_require_object_coercible();
+      var toString7 = require_to_string();
+      var whitespaces = require_whitespaces();
+      var whitespace = "[" + whitespaces + "]";
+      var ltrim = RegExp("^" + whitespace + whitespace + "*");
+      var rtrim = RegExp(whitespace + whitespace + "*$");
+      var createMethod = function(TYPE) {
+        return function($this) {
+          var string = toString7(requireObjectCoercible3($this));
+          if (TYPE & 1)
+            string = string.replace(ltrim, "");
+          if (TYPE & 2)
+            string = string.replace(rtrim, "");
+          return string;
+        };
+      };
+      module.exports = {
+        start: createMethod(1),
+        end: createMethod(2),
+        trim: createMethod(3)
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/number-parse-int.js
+  var require_number_parse_int = __commonJS({
+    "node_modules/core-js/internals/number-parse-int.js": function(exports, module) {
+      var global8 = require_global();
+      var toString7 = require_to_string();
+      var trim3 = require_string_trim().trim;
+      var whitespaces = require_whitespaces();
+      var $parseInt = global8.parseInt;
+      var hex = /^[+-]?0[Xx]/;
+      var FORCED3 = $parseInt(whitespaces + "08") !== 8 || $parseInt(whitespaces + "0x16") !== 22;
+      module.exports = FORCED3 ? function parseInt2(string, radix) {
+        var S = trim3(toString7(string));
+        return $parseInt(S, radix >>> 0 || (hex.test(S) ? 16 : 10));
+      } : $parseInt;
     }
   });
 
@@ -954,7 +1156,7 @@
     "node_modules/core-js/internals/object-keys.js": function(exports, module) {
       var internalObjectKeys = require_object_keys_internal();
       var enumBugKeys = require_enum_bug_keys();
-      module.exports = Object.keys || function keys(O) {
+      module.exports = Object.keys || function keys2(O) {
         return internalObjectKeys(O, enumBugKeys);
       };
     }
@@ -963,18 +1165,18 @@
   // node_modules/core-js/internals/object-define-properties.js
   var require_object_define_properties = __commonJS({
     "node_modules/core-js/internals/object-define-properties.js": function(exports, module) {
-      var DESCRIPTORS4 = require_descriptors();
+      var DESCRIPTORS6 = require_descriptors();
       var definePropertyModule2 = require_object_define_property();
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       var objectKeys2 = require_object_keys();
-      module.exports = DESCRIPTORS4 ? Object.defineProperties : function defineProperties2(O, Properties) {
-        anObject3(O);
-        var keys = objectKeys2(Properties);
-        var length = keys.length;
+      module.exports = DESCRIPTORS6 ? Object.defineProperties : function defineProperties2(O, Properties) {
+        anObject5(O);
+        var keys2 = objectKeys2(Properties);
+        var length = keys2.length;
         var index = 0;
         var key;
         while (length > index)
-          definePropertyModule2.f(O, key = keys[index++], Properties[key]);
+          definePropertyModule2.f(O, key = keys2[index++], Properties[key]);
         return O;
       };
     }
@@ -991,7 +1193,7 @@
   // node_modules/core-js/internals/object-create.js
   var require_object_create = __commonJS({
     "node_modules/core-js/internals/object-create.js": function(exports, module) {
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       var defineProperties2 = require_object_define_properties();
       var enumBugKeys = require_enum_bug_keys();
       var hiddenKeys2 = require_hidden_keys();
@@ -1041,10 +1243,10 @@
         return NullProtoObject();
       };
       hiddenKeys2[IE_PROTO] = true;
-      module.exports = Object.create || function create2(O, Properties) {
+      module.exports = Object.create || function create3(O, Properties) {
         var result;
         if (O !== null) {
-          EmptyConstructor[PROTOTYPE2] = anObject3(O);
+          EmptyConstructor[PROTOTYPE2] = anObject5(O);
           result = new EmptyConstructor();
           EmptyConstructor[PROTOTYPE2] = null;
           result[IE_PROTO] = O;
@@ -1055,625 +1257,214 @@
     }
   });
 
-  // node_modules/core-js/internals/regexp-unsupported-dot-all.js
-  var require_regexp_unsupported_dot_all = __commonJS({
-    "node_modules/core-js/internals/regexp-unsupported-dot-all.js": function(exports, module) {
-      var fails2 = require_fails();
-      var global5 = require_global();
-      var $RegExp = global5.RegExp;
-      module.exports = fails2(function() {
-        var re = $RegExp(".", "s");
-        return !(re.dotAll && re.exec("\n") && re.flags === "s");
-      });
+  // node_modules/core-js/internals/add-to-unscopables.js
+  var require_add_to_unscopables = __commonJS({
+    "node_modules/core-js/internals/add-to-unscopables.js": function(exports, module) {
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var create3 = require_object_create();
+      var definePropertyModule2 = require_object_define_property();
+      var UNSCOPABLES = wellKnownSymbol7("unscopables");
+      var ArrayPrototype = Array.prototype;
+      if (ArrayPrototype[UNSCOPABLES] == void 0) {
+        definePropertyModule2.f(ArrayPrototype, UNSCOPABLES, {
+          configurable: true,
+          value: create3(null)
+        });
+      }
+      module.exports = function(key) {
+        ArrayPrototype[UNSCOPABLES][key] = true;
+      };
     }
   });
 
-  // node_modules/core-js/internals/regexp-unsupported-ncg.js
-  var require_regexp_unsupported_ncg = __commonJS({
-    "node_modules/core-js/internals/regexp-unsupported-ncg.js": function(exports, module) {
-      var fails2 = require_fails();
-      var global5 = require_global();
-      var $RegExp = global5.RegExp;
-      module.exports = fails2(function() {
-        var re = $RegExp("(?<a>b)", "g");
-        return re.exec("b").groups.a !== "b" || "b".replace(re, "$<a>c") !== "bc";
+  // node_modules/core-js/internals/iterators.js
+  var require_iterators = __commonJS({
+    "node_modules/core-js/internals/iterators.js": function(exports, module) {
+      module.exports = {};
+    }
+  });
+
+  // node_modules/core-js/internals/correct-prototype-getter.js
+  var require_correct_prototype_getter = __commonJS({
+    "node_modules/core-js/internals/correct-prototype-getter.js": function(exports, module) {
+      var fails10 = require_fails();
+      module.exports = !fails10(function() {
+        function F() {
+        }
+        F.prototype.constructor = null;
+        return Object.getPrototypeOf(new F()) !== F.prototype;
       });
     }
   });
 
-  // node_modules/core-js/internals/regexp-exec.js
-  var require_regexp_exec = __commonJS({
-    "node_modules/core-js/internals/regexp-exec.js": function(exports, module) {
+  // node_modules/core-js/internals/object-get-prototype-of.js
+  var require_object_get_prototype_of = __commonJS({
+    "node_modules/core-js/internals/object-get-prototype-of.js": function(exports, module) {
+      var has5 = require_has();
+      var toObject6 = require_to_object();
+      var sharedKey2 = require_shared_key();
+      var CORRECT_PROTOTYPE_GETTER = require_correct_prototype_getter();
+      var IE_PROTO = sharedKey2("IE_PROTO");
+      var ObjectPrototype2 = Object.prototype;
+      module.exports = CORRECT_PROTOTYPE_GETTER ? Object.getPrototypeOf : function(O) {
+        O = toObject6(O);
+        if (has5(O, IE_PROTO))
+          return O[IE_PROTO];
+        if (typeof O.constructor == "function" && O instanceof O.constructor) {
+          return O.constructor.prototype;
+        }
+        return O instanceof Object ? ObjectPrototype2 : null;
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/iterators-core.js
+  var require_iterators_core = __commonJS({
+    "node_modules/core-js/internals/iterators-core.js": function(exports, module) {
       "use strict";
-      var toString4 = require_to_string();
-      var regexpFlags = require_regexp_flags();
-      var stickyHelpers = require_regexp_sticky_helpers();
-      var shared2 = require_shared();
-      var create2 = require_object_create();
-      var getInternalState3 = require_internal_state().get;
-      var UNSUPPORTED_DOT_ALL = require_regexp_unsupported_dot_all();
-      var UNSUPPORTED_NCG = require_regexp_unsupported_ncg();
-      var nativeExec = RegExp.prototype.exec;
-      var nativeReplace = shared2("native-string-replace", String.prototype.replace);
-      var patchedExec = nativeExec;
-      var UPDATES_LAST_INDEX_WRONG = function() {
-        var re1 = /a/;
-        var re2 = /b*/g;
-        nativeExec.call(re1, "a");
-        nativeExec.call(re2, "a");
-        return re1.lastIndex !== 0 || re2.lastIndex !== 0;
-      }();
-      var UNSUPPORTED_Y = stickyHelpers.UNSUPPORTED_Y || stickyHelpers.BROKEN_CARET;
-      var NPCG_INCLUDED = /()??/.exec("")[1] !== void 0;
-      var PATCH = UPDATES_LAST_INDEX_WRONG || NPCG_INCLUDED || UNSUPPORTED_Y || UNSUPPORTED_DOT_ALL || UNSUPPORTED_NCG;
-      if (PATCH) {
-        patchedExec = function exec(string) {
-          var re = this;
-          var state = getInternalState3(re);
-          var str = toString4(string);
-          var raw = state.raw;
-          var result, reCopy, lastIndex, match, i, object, group;
-          if (raw) {
-            raw.lastIndex = re.lastIndex;
-            result = patchedExec.call(raw, str);
-            re.lastIndex = raw.lastIndex;
-            return result;
-          }
-          var groups = state.groups;
-          var sticky = UNSUPPORTED_Y && re.sticky;
-          var flags = regexpFlags.call(re);
-          var source = re.source;
-          var charsAdded = 0;
-          var strCopy = str;
-          if (sticky) {
-            flags = flags.replace("y", "");
-            if (flags.indexOf("g") === -1) {
-              flags += "g";
-            }
-            strCopy = str.slice(re.lastIndex);
-            if (re.lastIndex > 0 && (!re.multiline || re.multiline && str.charAt(re.lastIndex - 1) !== "\n")) {
-              source = "(?: " + source + ")";
-              strCopy = " " + strCopy;
-              charsAdded++;
-            }
-            reCopy = new RegExp("^(?:" + source + ")", flags);
-          }
-          if (NPCG_INCLUDED) {
-            reCopy = new RegExp("^" + source + "$(?!\\s)", flags);
-          }
-          if (UPDATES_LAST_INDEX_WRONG)
-            lastIndex = re.lastIndex;
-          match = nativeExec.call(sticky ? reCopy : re, strCopy);
-          if (sticky) {
-            if (match) {
-              match.input = match.input.slice(charsAdded);
-              match[0] = match[0].slice(charsAdded);
-              match.index = re.lastIndex;
-              re.lastIndex += match[0].length;
-            } else
-              re.lastIndex = 0;
-          } else if (UPDATES_LAST_INDEX_WRONG && match) {
-            re.lastIndex = re.global ? match.index + match[0].length : lastIndex;
-          }
-          if (NPCG_INCLUDED && match && match.length > 1) {
-            nativeReplace.call(match[0], reCopy, function() {
-              for (i = 1; i < arguments.length - 2; i++) {
-                if (arguments[i] === void 0)
-                  match[i] = void 0;
-              }
-            });
-          }
-          if (match && groups) {
-            match.groups = object = create2(null);
-            for (i = 0; i < groups.length; i++) {
-              group = groups[i];
-              object[group[0]] = match[group[1]];
-            }
-          }
-          return match;
-        };
+      var fails10 = require_fails();
+      var getPrototypeOf = require_object_get_prototype_of();
+      var createNonEnumerableProperty5 = require_create_non_enumerable_property();
+      var has5 = require_has();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var IS_PURE2 = require_is_pure();
+      var ITERATOR2 = wellKnownSymbol7("iterator");
+      var BUGGY_SAFARI_ITERATORS = false;
+      var returnThis = function() {
+        return this;
+      };
+      var IteratorPrototype;
+      var PrototypeOfArrayIteratorPrototype;
+      var arrayIterator;
+      if ([].keys) {
+        arrayIterator = [].keys();
+        if (!("next" in arrayIterator))
+          BUGGY_SAFARI_ITERATORS = true;
+        else {
+          PrototypeOfArrayIteratorPrototype = getPrototypeOf(getPrototypeOf(arrayIterator));
+          if (PrototypeOfArrayIteratorPrototype !== Object.prototype)
+            IteratorPrototype = PrototypeOfArrayIteratorPrototype;
+        }
       }
-      module.exports = patchedExec;
-    }
-  });
-
-  // node_modules/core-js/modules/es.regexp.exec.js
-  var require_es_regexp_exec = __commonJS({
-    "node_modules/core-js/modules/es.regexp.exec.js": function() {
-      "use strict";
-      var $8 = require_export();
-      var exec = require_regexp_exec();
-      $8({ target: "RegExp", proto: true, forced: /./.exec !== exec }, {
-        exec: exec
+      var NEW_ITERATOR_PROTOTYPE = IteratorPrototype == void 0 || fails10(function() {
+        var test2 = {};
+        return IteratorPrototype[ITERATOR2].call(test2) !== test2;
       });
-    }
-  });
-
-  // node_modules/core-js/internals/fix-regexp-well-known-symbol-logic.js
-  var require_fix_regexp_well_known_symbol_logic = __commonJS({
-    "node_modules/core-js/internals/fix-regexp-well-known-symbol-logic.js": function(exports, module) {
-      "use strict";
-      require_es_regexp_exec();
-      var redefine3 = require_redefine();
-      var regexpExec = require_regexp_exec();
-      var fails2 = require_fails();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var createNonEnumerableProperty3 = require_create_non_enumerable_property();
-      var SPECIES2 = wellKnownSymbol4("species");
-      var RegExpPrototype = RegExp.prototype;
-      module.exports = function(KEY, exec, FORCED, SHAM) {
-        var SYMBOL2 = wellKnownSymbol4(KEY);
-        var DELEGATES_TO_SYMBOL = !fails2(function() {
-          var O = {};
-          O[SYMBOL2] = function() {
-            return 7;
-          };
-          return ""[KEY](O) != 7;
-        });
-        var DELEGATES_TO_EXEC = DELEGATES_TO_SYMBOL && !fails2(function() {
-          var execCalled = false;
-          var re = /a/;
-          if (KEY === "split") {
-            re = {};
-            re.constructor = {};
-            re.constructor[SPECIES2] = function() {
-              return re;
-            };
-            re.flags = "";
-            re[SYMBOL2] = /./[SYMBOL2];
-          }
-          re.exec = function() {
-            execCalled = true;
-            return null;
-          };
-          re[SYMBOL2]("");
-          return !execCalled;
-        });
-        if (!DELEGATES_TO_SYMBOL || !DELEGATES_TO_EXEC || FORCED) {
-          var nativeRegExpMethod = /./[SYMBOL2];
-          var methods = exec(SYMBOL2, ""[KEY], function(nativeMethod, regexp, str, arg2, forceStringMethod) {
-            var $exec = regexp.exec;
-            if ($exec === regexpExec || $exec === RegExpPrototype.exec) {
-              if (DELEGATES_TO_SYMBOL && !forceStringMethod) {
-                return { done: true, value: nativeRegExpMethod.call(regexp, str, arg2) };
-              }
-              return { done: true, value: nativeMethod.call(str, regexp, arg2) };
-            }
-            return { done: false };
-          });
-          redefine3(String.prototype, KEY, methods[0]);
-          redefine3(RegExpPrototype, SYMBOL2, methods[1]);
-        }
-        if (SHAM)
-          createNonEnumerableProperty3(RegExpPrototype[SYMBOL2], "sham", true);
+      if (NEW_ITERATOR_PROTOTYPE)
+        IteratorPrototype = {};
+      if ((!IS_PURE2 || NEW_ITERATOR_PROTOTYPE) && !has5(IteratorPrototype, ITERATOR2)) {
+        createNonEnumerableProperty5(IteratorPrototype, ITERATOR2, returnThis);
+      }
+      module.exports = {
+        IteratorPrototype: IteratorPrototype,
+        BUGGY_SAFARI_ITERATORS: BUGGY_SAFARI_ITERATORS
       };
     }
   });
 
-  // node_modules/core-js/internals/string-multibyte.js
-  var require_string_multibyte = __commonJS({
-    "node_modules/core-js/internals/string-multibyte.js": function(exports, module) {
-      var toInteger = require_to_integer();
-      var toString4 = require_to_string();
-      var requireObjectCoercible2 = require_require_object_coercible();
-      var createMethod = function(CONVERT_TO_STRING) {
-        return function($this, pos) {
-          var S = toString4(requireObjectCoercible2($this));
-          var position = toInteger(pos);
-          var size = S.length;
-          var first, second;
-          if (position < 0 || position >= size)
-            return CONVERT_TO_STRING ? "" : void 0;
-          first = S.charCodeAt(position);
-          return first < 55296 || first > 56319 || position + 1 === size || (second = S.charCodeAt(position + 1)) < 56320 || second > 57343 ? CONVERT_TO_STRING ? S.charAt(position) : first : CONVERT_TO_STRING ? S.slice(position, position + 2) : (first - 55296 << 10) + (second - 56320) + 65536;
-        };
-      };
-      module.exports = {
-        codeAt: createMethod(false),
-        charAt: createMethod(true)
+  // node_modules/core-js/internals/set-to-string-tag.js
+  var require_set_to_string_tag = __commonJS({
+    "node_modules/core-js/internals/set-to-string-tag.js": function(exports, module) {
+      var defineProperty6 = require_object_define_property().f;
+      var has5 = require_has();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var TO_STRING_TAG2 = wellKnownSymbol7("toStringTag");
+      module.exports = function(it, TAG, STATIC) {
+        if (it && !has5(it = STATIC ? it : it.prototype, TO_STRING_TAG2)) {
+          defineProperty6(it, TO_STRING_TAG2, { configurable: true, value: TAG });
+        }
       };
     }
   });
 
-  // node_modules/core-js/internals/advance-string-index.js
-  var require_advance_string_index = __commonJS({
-    "node_modules/core-js/internals/advance-string-index.js": function(exports, module) {
+  // node_modules/core-js/internals/create-iterator-constructor.js
+  var require_create_iterator_constructor = __commonJS({
+    "node_modules/core-js/internals/create-iterator-constructor.js": function(exports, module) {
       "use strict";
-      var charAt2 = require_string_multibyte().charAt;
-      module.exports = function(S, index, unicode) {
-        return index + (unicode ? charAt2(S, index).length : 1);
+      var IteratorPrototype = require_iterators_core().IteratorPrototype;
+      var create3 = require_object_create();
+      var createPropertyDescriptor2 = require_create_property_descriptor();
+      var setToStringTag2 = require_set_to_string_tag();
+      var Iterators = require_iterators();
+      var returnThis = function() {
+        return this;
       };
-    }
-  });
-
-  // node_modules/core-js/internals/regexp-exec-abstract.js
-  var require_regexp_exec_abstract = __commonJS({
-    "node_modules/core-js/internals/regexp-exec-abstract.js": function(exports, module) {
-      var classof = require_classof_raw();
-      var regexpExec = require_regexp_exec();
-      module.exports = function(R, S) {
-        var exec = R.exec;
-        if (typeof exec === "function") {
-          var result = exec.call(R, S);
-          if (typeof result !== "object") {
-            throw TypeError("RegExp exec method returned something other than an Object or null");
-          }
-          return result;
-        }
-        if (classof(R) !== "RegExp") {
-          throw TypeError("RegExp#exec called on incompatible receiver");
-        }
-        return regexpExec.call(R, S);
+      module.exports = function(IteratorConstructor, NAME2, next2) {
+        var TO_STRING_TAG2 = NAME2 + " Iterator";
+        IteratorConstructor.prototype = create3(IteratorPrototype, { next: createPropertyDescriptor2(1, next2) });
+        setToStringTag2(IteratorConstructor, TO_STRING_TAG2, false, true);
+        Iterators[TO_STRING_TAG2] = returnThis;
+        return IteratorConstructor;
       };
     }
   });
 
-  // node_modules/core-js/internals/a-function.js
-  var require_a_function = __commonJS({
-    "node_modules/core-js/internals/a-function.js": function(exports, module) {
+  // node_modules/core-js/internals/a-possible-prototype.js
+  var require_a_possible_prototype = __commonJS({
+    "node_modules/core-js/internals/a-possible-prototype.js": function(exports, module) {
+      var isObject5 = require_is_object();
       module.exports = function(it) {
-        if (typeof it != "function") {
-          throw TypeError(String(it) + " is not a function");
+        if (!isObject5(it) && it !== null) {
+          throw TypeError("Can't set " + String(it) + " as a prototype");
         }
         return it;
       };
     }
   });
 
-  // node_modules/core-js/internals/function-bind-context.js
-  var require_function_bind_context = __commonJS({
-    "node_modules/core-js/internals/function-bind-context.js": function(exports, module) {
-      var aFunction = require_a_function();
-      module.exports = function(fn, that, length) {
-        aFunction(fn);
-        if (that === void 0)
-          return fn;
-        switch (length) {
-          case 0:
-            return function() {
-              return fn.call(that);
-            };
-          case 1:
-            return function(a) {
-              return fn.call(that, a);
-            };
-          case 2:
-            return function(a, b) {
-              return fn.call(that, a, b);
-            };
-          case 3:
-            return function(a, b, c) {
-              return fn.call(that, a, b, c);
-            };
+  // node_modules/core-js/internals/object-set-prototype-of.js
+  var require_object_set_prototype_of = __commonJS({
+    "node_modules/core-js/internals/object-set-prototype-of.js": function(exports, module) {
+      var anObject5 = require_an_object();
+      var aPossiblePrototype = require_a_possible_prototype();
+      module.exports = Object.setPrototypeOf || ("__proto__" in {} ? function() {
+        var CORRECT_SETTER = false;
+        var test2 = {};
+        var setter;
+        try {
+          setter = Object.getOwnPropertyDescriptor(Object.prototype, "__proto__").set;
+          setter.call(test2, []);
+          CORRECT_SETTER = test2 instanceof Array;
+        } catch (error) {
         }
-        return function() {
-          return fn.apply(that, arguments);
+        return function setPrototypeOf(O, proto) {
+          anObject5(O);
+          aPossiblePrototype(proto);
+          if (CORRECT_SETTER)
+            setter.call(O, proto);
+          else
+            O.__proto__ = proto;
+          return O;
         };
-      };
+      }() : void 0);
     }
   });
 
-  // node_modules/core-js/internals/is-array.js
-  var require_is_array = __commonJS({
-    "node_modules/core-js/internals/is-array.js": function(exports, module) {
-      var classof = require_classof_raw();
-      module.exports = Array.isArray || function isArray3(arg) {
-        return classof(arg) == "Array";
+  // node_modules/core-js/internals/define-iterator.js
+  var require_define_iterator = __commonJS({
+    "node_modules/core-js/internals/define-iterator.js": function(exports, module) {
+      "use strict";
+      var $25 = require_export();
+      var createIteratorConstructor = require_create_iterator_constructor();
+      var getPrototypeOf = require_object_get_prototype_of();
+      var setPrototypeOf = require_object_set_prototype_of();
+      var setToStringTag2 = require_set_to_string_tag();
+      var createNonEnumerableProperty5 = require_create_non_enumerable_property();
+      var redefine6 = require_redefine();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var IS_PURE2 = require_is_pure();
+      var Iterators = require_iterators();
+      var IteratorsCore = require_iterators_core();
+      var IteratorPrototype = IteratorsCore.IteratorPrototype;
+      var BUGGY_SAFARI_ITERATORS = IteratorsCore.BUGGY_SAFARI_ITERATORS;
+      var ITERATOR2 = wellKnownSymbol7("iterator");
+      var KEYS = "keys";
+      var VALUES = "values";
+      var ENTRIES = "entries";
+      var returnThis = function() {
+        return this;
       };
-    }
-  });
-
-  // node_modules/core-js/internals/array-species-constructor.js
-  var require_array_species_constructor = __commonJS({
-    "node_modules/core-js/internals/array-species-constructor.js": function(exports, module) {
-      var isObject4 = require_is_object();
-      var isArray3 = require_is_array();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var SPECIES2 = wellKnownSymbol4("species");
-      module.exports = function(originalArray) {
-        var C;
-        if (isArray3(originalArray)) {
-          C = originalArray.constructor;
-          if (typeof C == "function" && (C === Array || isArray3(C.prototype)))
-            C = void 0;
-          else if (isObject4(C)) {
-            C = C[SPECIES2];
-            if (C === null)
-              C = void 0;
-          }
-        }
-        return C === void 0 ? Array : C;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/array-species-create.js
-  var require_array_species_create = __commonJS({
-    "node_modules/core-js/internals/array-species-create.js": function(exports, module) {
-      var arraySpeciesConstructor = require_array_species_constructor();
-      module.exports = function(originalArray, length) {
-        return new (arraySpeciesConstructor(originalArray))(length === 0 ? 0 : length);
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/array-iteration.js
-  var require_array_iteration = __commonJS({
-    "node_modules/core-js/internals/array-iteration.js": function(exports, module) {
-      var bind = require_function_bind_context();
-      var IndexedObject = require_indexed_object();
-      var toObject2 = require_to_object();
-      var toLength3 = require_to_length();
-      var arraySpeciesCreate = require_array_species_create();
-      var push = [].push;
-      var createMethod = function(TYPE) {
-        var IS_MAP = TYPE == 1;
-        var IS_FILTER = TYPE == 2;
-        var IS_SOME = TYPE == 3;
-        var IS_EVERY = TYPE == 4;
-        var IS_FIND_INDEX = TYPE == 6;
-        var IS_FILTER_REJECT = TYPE == 7;
-        var NO_HOLES = TYPE == 5 || IS_FIND_INDEX;
-        return function($this, callbackfn, that, specificCreate) {
-          var O = toObject2($this);
-          var self2 = IndexedObject(O);
-          var boundFunction = bind(callbackfn, that, 3);
-          var length = toLength3(self2.length);
-          var index = 0;
-          var create2 = specificCreate || arraySpeciesCreate;
-          var target = IS_MAP ? create2($this, length) : IS_FILTER || IS_FILTER_REJECT ? create2($this, 0) : void 0;
-          var value, result;
-          for (; length > index; index++)
-            if (NO_HOLES || index in self2) {
-              value = self2[index];
-              result = boundFunction(value, index, O);
-              if (TYPE) {
-                if (IS_MAP)
-                  target[index] = result;
-                else if (result)
-                  switch (TYPE) {
-                    case 3:
-                      return true;
-                    case 5:
-                      return value;
-                    case 6:
-                      return index;
-                    case 2:
-                      push.call(target, value);
-                  }
-                else
-                  switch (TYPE) {
-                    case 4:
-                      return false;
-                    case 7:
-                      push.call(target, value);
-                  }
-              }
-            }
-          return IS_FIND_INDEX ? -1 : IS_SOME || IS_EVERY ? IS_EVERY : target;
-        };
-      };
-      module.exports = {
-        forEach: createMethod(0),
-        map: createMethod(1),
-        filter: createMethod(2),
-        some: createMethod(3),
-        every: createMethod(4),
-        find: createMethod(5),
-        findIndex: createMethod(6),
-        filterReject: createMethod(7)
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/add-to-unscopables.js
-  var require_add_to_unscopables = __commonJS({
-    "node_modules/core-js/internals/add-to-unscopables.js": function(exports, module) {
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var create2 = require_object_create();
-      var definePropertyModule2 = require_object_define_property();
-      var UNSCOPABLES = wellKnownSymbol4("unscopables");
-      var ArrayPrototype = Array.prototype;
-      if (ArrayPrototype[UNSCOPABLES] == void 0) {
-        definePropertyModule2.f(ArrayPrototype, UNSCOPABLES, {
-          configurable: true,
-          value: create2(null)
-        });
-      }
-      module.exports = function(key) {
-        ArrayPrototype[UNSCOPABLES][key] = true;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/iterators.js
-  var require_iterators = __commonJS({
-    "node_modules/core-js/internals/iterators.js": function(exports, module) {
-      module.exports = {};
-    }
-  });
-
-  // node_modules/core-js/internals/correct-prototype-getter.js
-  var require_correct_prototype_getter = __commonJS({
-    "node_modules/core-js/internals/correct-prototype-getter.js": function(exports, module) {
-      var fails2 = require_fails();
-      module.exports = !fails2(function() {
-        function F() {
-        }
-        F.prototype.constructor = null;
-        return Object.getPrototypeOf(new F()) !== F.prototype;
-      });
-    }
-  });
-
-  // node_modules/core-js/internals/object-get-prototype-of.js
-  var require_object_get_prototype_of = __commonJS({
-    "node_modules/core-js/internals/object-get-prototype-of.js": function(exports, module) {
-      var has3 = require_has();
-      var toObject2 = require_to_object();
-      var sharedKey2 = require_shared_key();
-      var CORRECT_PROTOTYPE_GETTER = require_correct_prototype_getter();
-      var IE_PROTO = sharedKey2("IE_PROTO");
-      var ObjectPrototype2 = Object.prototype;
-      module.exports = CORRECT_PROTOTYPE_GETTER ? Object.getPrototypeOf : function(O) {
-        O = toObject2(O);
-        if (has3(O, IE_PROTO))
-          return O[IE_PROTO];
-        if (typeof O.constructor == "function" && O instanceof O.constructor) {
-          return O.constructor.prototype;
-        }
-        return O instanceof Object ? ObjectPrototype2 : null;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/iterators-core.js
-  var require_iterators_core = __commonJS({
-    "node_modules/core-js/internals/iterators-core.js": function(exports, module) {
-      "use strict";
-      var fails2 = require_fails();
-      var getPrototypeOf = require_object_get_prototype_of();
-      var createNonEnumerableProperty3 = require_create_non_enumerable_property();
-      var has3 = require_has();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var IS_PURE2 = require_is_pure();
-      var ITERATOR2 = wellKnownSymbol4("iterator");
-      var BUGGY_SAFARI_ITERATORS = false;
-      var returnThis = function() {
-        return this;
-      };
-      var IteratorPrototype;
-      var PrototypeOfArrayIteratorPrototype;
-      var arrayIterator;
-      if ([].keys) {
-        arrayIterator = [].keys();
-        if (!("next" in arrayIterator))
-          BUGGY_SAFARI_ITERATORS = true;
-        else {
-          PrototypeOfArrayIteratorPrototype = getPrototypeOf(getPrototypeOf(arrayIterator));
-          if (PrototypeOfArrayIteratorPrototype !== Object.prototype)
-            IteratorPrototype = PrototypeOfArrayIteratorPrototype;
-        }
-      }
-      var NEW_ITERATOR_PROTOTYPE = IteratorPrototype == void 0 || fails2(function() {
-        var test = {};
-        return IteratorPrototype[ITERATOR2].call(test) !== test;
-      });
-      if (NEW_ITERATOR_PROTOTYPE)
-        IteratorPrototype = {};
-      if ((!IS_PURE2 || NEW_ITERATOR_PROTOTYPE) && !has3(IteratorPrototype, ITERATOR2)) {
-        createNonEnumerableProperty3(IteratorPrototype, ITERATOR2, returnThis);
-      }
-      module.exports = {
-        IteratorPrototype: IteratorPrototype,
-        BUGGY_SAFARI_ITERATORS: BUGGY_SAFARI_ITERATORS
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/set-to-string-tag.js
-  var require_set_to_string_tag = __commonJS({
-    "node_modules/core-js/internals/set-to-string-tag.js": function(exports, module) {
-      var defineProperty4 = require_object_define_property().f;
-      var has3 = require_has();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var TO_STRING_TAG2 = wellKnownSymbol4("toStringTag");
-      module.exports = function(it, TAG, STATIC) {
-        if (it && !has3(it = STATIC ? it : it.prototype, TO_STRING_TAG2)) {
-          defineProperty4(it, TO_STRING_TAG2, { configurable: true, value: TAG });
-        }
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/create-iterator-constructor.js
-  var require_create_iterator_constructor = __commonJS({
-    "node_modules/core-js/internals/create-iterator-constructor.js": function(exports, module) {
-      "use strict";
-      var IteratorPrototype = require_iterators_core().IteratorPrototype;
-      var create2 = require_object_create();
-      var createPropertyDescriptor2 = require_create_property_descriptor();
-      var setToStringTag2 = require_set_to_string_tag();
-      var Iterators = require_iterators();
-      var returnThis = function() {
-        return this;
-      };
-      module.exports = function(IteratorConstructor, NAME2, next2) {
-        var TO_STRING_TAG2 = NAME2 + " Iterator";
-        IteratorConstructor.prototype = create2(IteratorPrototype, { next: createPropertyDescriptor2(1, next2) });
-        setToStringTag2(IteratorConstructor, TO_STRING_TAG2, false, true);
-        Iterators[TO_STRING_TAG2] = returnThis;
-        return IteratorConstructor;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/a-possible-prototype.js
-  var require_a_possible_prototype = __commonJS({
-    "node_modules/core-js/internals/a-possible-prototype.js": function(exports, module) {
-      var isObject4 = require_is_object();
-      module.exports = function(it) {
-        if (!isObject4(it) && it !== null) {
-          throw TypeError("Can't set " + String(it) + " as a prototype");
-        }
-        return it;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/object-set-prototype-of.js
-  var require_object_set_prototype_of = __commonJS({
-    "node_modules/core-js/internals/object-set-prototype-of.js": function(exports, module) {
-      var anObject3 = require_an_object();
-      var aPossiblePrototype = require_a_possible_prototype();
-      module.exports = Object.setPrototypeOf || ("__proto__" in {} ? function() {
-        var CORRECT_SETTER = false;
-        var test = {};
-        var setter;
-        try {
-          setter = Object.getOwnPropertyDescriptor(Object.prototype, "__proto__").set;
-          setter.call(test, []);
-          CORRECT_SETTER = test instanceof Array;
-        } catch (error) {
-        }
-        return function setPrototypeOf(O, proto) {
-          anObject3(O);
-          aPossiblePrototype(proto);
-          if (CORRECT_SETTER)
-            setter.call(O, proto);
-          else
-            O.__proto__ = proto;
-          return O;
-        };
-      }() : void 0);
-    }
-  });
-
-  // node_modules/core-js/internals/define-iterator.js
-  var require_define_iterator = __commonJS({
-    "node_modules/core-js/internals/define-iterator.js": function(exports, module) {
-      "use strict";
-      var $8 = require_export();
-      var createIteratorConstructor = require_create_iterator_constructor();
-      var getPrototypeOf = require_object_get_prototype_of();
-      var setPrototypeOf = require_object_set_prototype_of();
-      var setToStringTag2 = require_set_to_string_tag();
-      var createNonEnumerableProperty3 = require_create_non_enumerable_property();
-      var redefine3 = require_redefine();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var IS_PURE2 = require_is_pure();
-      var Iterators = require_iterators();
-      var IteratorsCore = require_iterators_core();
-      var IteratorPrototype = IteratorsCore.IteratorPrototype;
-      var BUGGY_SAFARI_ITERATORS = IteratorsCore.BUGGY_SAFARI_ITERATORS;
-      var ITERATOR2 = wellKnownSymbol4("iterator");
-      var KEYS = "keys";
-      var VALUES = "values";
-      var ENTRIES = "entries";
-      var returnThis = function() {
-        return this;
-      };
-      module.exports = function(Iterable, NAME2, IteratorConstructor, next2, DEFAULT, IS_SET, FORCED) {
+      module.exports = function(Iterable, NAME2, IteratorConstructor, next2, DEFAULT, IS_SET, FORCED3) {
         createIteratorConstructor(IteratorConstructor, NAME2, next2);
         var getIterationMethod = function(KIND) {
           if (KIND === DEFAULT && defaultIterator)
@@ -1682,11 +1473,11 @@
             return IterablePrototype[KIND];
           switch (KIND) {
             case KEYS:
-              return function keys() {
+              return function keys2() {
                 return new IteratorConstructor(this, KIND);
               };
             case VALUES:
-              return function values() {
+              return function values2() {
                 return new IteratorConstructor(this, KIND);
               };
             case ENTRIES:
@@ -1712,7 +1503,7 @@
               if (setPrototypeOf) {
                 setPrototypeOf(CurrentIteratorPrototype, IteratorPrototype);
               } else if (typeof CurrentIteratorPrototype[ITERATOR2] != "function") {
-                createNonEnumerableProperty3(CurrentIteratorPrototype, ITERATOR2, returnThis);
+                createNonEnumerableProperty5(CurrentIteratorPrototype, ITERATOR2, returnThis);
               }
             }
             setToStringTag2(CurrentIteratorPrototype, TO_STRING_TAG2, true, true);
@@ -1722,12 +1513,12 @@
         }
         if (DEFAULT == VALUES && nativeIterator && nativeIterator.name !== VALUES) {
           INCORRECT_VALUES_NAME = true;
-          defaultIterator = function values() {
+          defaultIterator = function values2() {
             return nativeIterator.call(this);
           };
         }
-        if ((!IS_PURE2 || FORCED) && IterablePrototype[ITERATOR2] !== defaultIterator) {
-          createNonEnumerableProperty3(IterablePrototype, ITERATOR2, defaultIterator);
+        if ((!IS_PURE2 || FORCED3) && IterablePrototype[ITERATOR2] !== defaultIterator) {
+          createNonEnumerableProperty5(IterablePrototype, ITERATOR2, defaultIterator);
         }
         Iterators[NAME2] = defaultIterator;
         if (DEFAULT) {
@@ -1736,14 +1527,14 @@
             keys: IS_SET ? defaultIterator : getIterationMethod(KEYS),
             entries: getIterationMethod(ENTRIES)
           };
-          if (FORCED)
+          if (FORCED3)
             for (KEY in methods) {
               if (BUGGY_SAFARI_ITERATORS || INCORRECT_VALUES_NAME || !(KEY in IterablePrototype)) {
-                redefine3(IterablePrototype, KEY, methods[KEY]);
+                redefine6(IterablePrototype, KEY, methods[KEY]);
               }
             }
           else
-            $8({ target: NAME2, proto: true, forced: BUGGY_SAFARI_ITERATORS || INCORRECT_VALUES_NAME }, methods);
+            $25({ target: NAME2, proto: true, forced: BUGGY_SAFARI_ITERATORS || INCORRECT_VALUES_NAME }, methods);
         }
         return methods;
       };
@@ -1754,8 +1545,8 @@
   var require_es_array_iterator = __commonJS({
     "node_modules/core-js/modules/es.array.iterator.js": function(exports, module) {
       "use strict";
-      var toIndexedObject3 = require_to_indexed_object();
-      var addToUnscopables2 = require_add_to_unscopables();
+      var toIndexedObject4 = require_to_indexed_object();
+      var addToUnscopables3 = require_add_to_unscopables();
       var Iterators = require_iterators();
       var InternalStateModule3 = require_internal_state();
       var defineIterator2 = require_define_iterator();
@@ -1765,7 +1556,7 @@
       module.exports = defineIterator2(Array, "Array", function(iterated, kind) {
         setInternalState3(this, {
           type: ARRAY_ITERATOR,
-          target: toIndexedObject3(iterated),
+          target: toIndexedObject4(iterated),
           index: 0,
           kind: kind
         });
@@ -1785,18 +1576,18 @@
         return { value: [index, target[index]], done: false };
       }, "values");
       Iterators.Arguments = Iterators.Array;
-      addToUnscopables2("keys");
-      addToUnscopables2("values");
-      addToUnscopables2("entries");
+      addToUnscopables3("keys");
+      addToUnscopables3("values");
+      addToUnscopables3("entries");
     }
   });
 
   // node_modules/core-js/internals/object-get-own-property-names-external.js
   var require_object_get_own_property_names_external = __commonJS({
     "node_modules/core-js/internals/object-get-own-property-names-external.js": function(exports, module) {
-      var toIndexedObject3 = require_to_indexed_object();
+      var toIndexedObject4 = require_to_indexed_object();
       var $getOwnPropertyNames2 = require_object_get_own_property_names().f;
-      var toString4 = {}.toString;
+      var toString7 = {}.toString;
       var windowNames = typeof window == "object" && window && Object.getOwnPropertyNames ? Object.getOwnPropertyNames(window) : [];
       var getWindowNames = function(it) {
         try {
@@ -1805,8 +1596,8 @@
           return windowNames.slice();
         }
       };
-      module.exports.f = function getOwnPropertyNames2(it) {
-        return windowNames && toString4.call(it) == "[object Window]" ? getWindowNames(it) : $getOwnPropertyNames2(toIndexedObject3(it));
+      module.exports.f = function getOwnPropertyNames4(it) {
+        return windowNames && toString7.call(it) == "[object Window]" ? getWindowNames(it) : $getOwnPropertyNames2(toIndexedObject4(it));
       };
     }
   });
@@ -1814,8 +1605,8 @@
   // node_modules/core-js/internals/freezing.js
   var require_freezing = __commonJS({
     "node_modules/core-js/internals/freezing.js": function(exports, module) {
-      var fails2 = require_fails();
-      module.exports = !fails2(function() {
+      var fails10 = require_fails();
+      module.exports = !fails10(function() {
         return Object.isExtensible(Object.preventExtensions({}));
       });
     }
@@ -1824,11 +1615,11 @@
   // node_modules/core-js/internals/internal-metadata.js
   var require_internal_metadata = __commonJS({
     "node_modules/core-js/internals/internal-metadata.js": function(exports, module) {
-      var $8 = require_export();
+      var $25 = require_export();
       var hiddenKeys2 = require_hidden_keys();
-      var isObject4 = require_is_object();
-      var has3 = require_has();
-      var defineProperty4 = require_object_define_property().f;
+      var isObject5 = require_is_object();
+      var has5 = require_has();
+      var defineProperty6 = require_object_define_property().f;
       var getOwnPropertyNamesModule2 = require_object_get_own_property_names();
       var getOwnPropertyNamesExternalModule = require_object_get_own_property_names_external();
       var uid2 = require_uid();
@@ -1840,35 +1631,35 @@
         return true;
       };
       var setMetadata = function(it) {
-        defineProperty4(it, METADATA, { value: {
+        defineProperty6(it, METADATA, { value: {
           objectID: "O" + id++,
           weakData: {}
         } });
       };
-      var fastKey = function(it, create2) {
-        if (!isObject4(it))
+      var fastKey = function(it, create3) {
+        if (!isObject5(it))
           return typeof it == "symbol" ? it : (typeof it == "string" ? "S" : "P") + it;
-        if (!has3(it, METADATA)) {
+        if (!has5(it, METADATA)) {
           if (!isExtensible(it))
             return "F";
-          if (!create2)
+          if (!create3)
             return "E";
           setMetadata(it);
         }
         return it[METADATA].objectID;
       };
-      var getWeakData = function(it, create2) {
-        if (!has3(it, METADATA)) {
+      var getWeakData = function(it, create3) {
+        if (!has5(it, METADATA)) {
           if (!isExtensible(it))
             return true;
-          if (!create2)
+          if (!create3)
             return false;
           setMetadata(it);
         }
         return it[METADATA].weakData;
       };
       var onFreeze = function(it) {
-        if (FREEZING && REQUIRED && isExtensible(it) && !has3(it, METADATA))
+        if (FREEZING && REQUIRED && isExtensible(it) && !has5(it, METADATA))
           setMetadata(it);
         return it;
       };
@@ -1876,22 +1667,22 @@
         meta.enable = function() {
         };
         REQUIRED = true;
-        var getOwnPropertyNames2 = getOwnPropertyNamesModule2.f;
-        var splice = [].splice;
-        var test = {};
-        test[METADATA] = 1;
-        if (getOwnPropertyNames2(test).length) {
+        var getOwnPropertyNames4 = getOwnPropertyNamesModule2.f;
+        var splice2 = [].splice;
+        var test2 = {};
+        test2[METADATA] = 1;
+        if (getOwnPropertyNames4(test2).length) {
           getOwnPropertyNamesModule2.f = function(it) {
-            var result = getOwnPropertyNames2(it);
+            var result = getOwnPropertyNames4(it);
             for (var i = 0, length = result.length; i < length; i++) {
               if (result[i] === METADATA) {
-                splice.call(result, i, 1);
+                splice2.call(result, i, 1);
                 break;
               }
             }
             return result;
           };
-          $8({ target: "Object", stat: true, forced: true }, {
+          $25({ target: "Object", stat: true, forced: true }, {
             getOwnPropertyNames: getOwnPropertyNamesExternalModule.f
           });
         }
@@ -1909,9 +1700,9 @@
   // node_modules/core-js/internals/is-array-iterator-method.js
   var require_is_array_iterator_method = __commonJS({
     "node_modules/core-js/internals/is-array-iterator-method.js": function(exports, module) {
-      var wellKnownSymbol4 = require_well_known_symbol();
+      var wellKnownSymbol7 = require_well_known_symbol();
       var Iterators = require_iterators();
-      var ITERATOR2 = wellKnownSymbol4("iterator");
+      var ITERATOR2 = wellKnownSymbol7("iterator");
       var ArrayPrototype = Array.prototype;
       module.exports = function(it) {
         return it !== void 0 && (Iterators.Array === it || ArrayPrototype[ITERATOR2] === it);
@@ -1922,11 +1713,11 @@
   // node_modules/core-js/internals/to-string-tag-support.js
   var require_to_string_tag_support = __commonJS({
     "node_modules/core-js/internals/to-string-tag-support.js": function(exports, module) {
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var TO_STRING_TAG2 = wellKnownSymbol4("toStringTag");
-      var test = {};
-      test[TO_STRING_TAG2] = "z";
-      module.exports = String(test) === "[object z]";
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var TO_STRING_TAG2 = wellKnownSymbol7("toStringTag");
+      var test2 = {};
+      test2[TO_STRING_TAG2] = "z";
+      module.exports = String(test2) === "[object z]";
     }
   });
 
@@ -1935,8 +1726,8 @@
     "node_modules/core-js/internals/classof.js": function(exports, module) {
       var TO_STRING_TAG_SUPPORT2 = require_to_string_tag_support();
       var classofRaw = require_classof_raw();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var TO_STRING_TAG2 = wellKnownSymbol4("toStringTag");
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var TO_STRING_TAG2 = wellKnownSymbol7("toStringTag");
       var CORRECT_ARGUMENTS = classofRaw(function() {
         return arguments;
       }()) == "Arguments";
@@ -1956,13 +1747,13 @@
   // node_modules/core-js/internals/get-iterator-method.js
   var require_get_iterator_method = __commonJS({
     "node_modules/core-js/internals/get-iterator-method.js": function(exports, module) {
-      var classof = require_classof();
+      var classof2 = require_classof();
       var Iterators = require_iterators();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var ITERATOR2 = wellKnownSymbol4("iterator");
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var ITERATOR2 = wellKnownSymbol7("iterator");
       module.exports = function(it) {
         if (it != void 0)
-          return it[ITERATOR2] || it["@@iterator"] || Iterators[classof(it)];
+          return it[ITERATOR2] || it["@@iterator"] || Iterators[classof2(it)];
       };
     }
   });
@@ -1970,14 +1761,14 @@
   // node_modules/core-js/internals/get-iterator.js
   var require_get_iterator = __commonJS({
     "node_modules/core-js/internals/get-iterator.js": function(exports, module) {
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       var getIteratorMethod = require_get_iterator_method();
       module.exports = function(it, usingIterator) {
         var iteratorMethod = arguments.length < 2 ? getIteratorMethod(it) : usingIterator;
         if (typeof iteratorMethod != "function") {
           throw TypeError(String(it) + " is not iterable");
         }
-        return anObject3(iteratorMethod.call(it));
+        return anObject5(iteratorMethod.call(it));
       };
     }
   });
@@ -1985,10 +1776,10 @@
   // node_modules/core-js/internals/iterator-close.js
   var require_iterator_close = __commonJS({
     "node_modules/core-js/internals/iterator-close.js": function(exports, module) {
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       module.exports = function(iterator, kind, value) {
         var innerResult, innerError;
-        anObject3(iterator);
+        anObject5(iterator);
         try {
           innerResult = iterator["return"];
           if (innerResult === void 0) {
@@ -2005,7 +1796,7 @@
           throw value;
         if (innerError)
           throw innerResult;
-        anObject3(innerResult);
+        anObject5(innerResult);
         return value;
       };
     }
@@ -2014,9 +1805,9 @@
   // node_modules/core-js/internals/iterate.js
   var require_iterate = __commonJS({
     "node_modules/core-js/internals/iterate.js": function(exports, module) {
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       var isArrayIteratorMethod = require_is_array_iterator_method();
-      var toLength3 = require_to_length();
+      var toLength7 = require_to_length();
       var bind = require_function_bind_context();
       var getIterator = require_get_iterator();
       var getIteratorMethod = require_get_iterator_method();
@@ -2039,7 +1830,7 @@
         };
         var callFn = function(value) {
           if (AS_ENTRIES) {
-            anObject3(value);
+            anObject5(value);
             return INTERRUPTED ? fn(value[0], value[1], stop) : fn(value[0], value[1]);
           }
           return INTERRUPTED ? fn(value, stop) : fn(value);
@@ -2051,7 +1842,7 @@
           if (typeof iterFn != "function")
             throw TypeError("Target is not iterable");
           if (isArrayIteratorMethod(iterFn)) {
-            for (index = 0, length = toLength3(iterable.length); length > index; index++) {
+            for (index = 0, length = toLength7(iterable.length); length > index; index++) {
               result = callFn(iterable[index]);
               if (result && result instanceof Result)
                 return result;
@@ -2090,8 +1881,8 @@
   // node_modules/core-js/internals/check-correctness-of-iteration.js
   var require_check_correctness_of_iteration = __commonJS({
     "node_modules/core-js/internals/check-correctness-of-iteration.js": function(exports, module) {
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var ITERATOR2 = wellKnownSymbol4("iterator");
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var ITERATOR2 = wellKnownSymbol7("iterator");
       var SAFE_CLOSING = false;
       try {
         called = 0;
@@ -2137,11 +1928,11 @@
   // node_modules/core-js/internals/inherit-if-required.js
   var require_inherit_if_required = __commonJS({
     "node_modules/core-js/internals/inherit-if-required.js": function(exports, module) {
-      var isObject4 = require_is_object();
+      var isObject5 = require_is_object();
       var setPrototypeOf = require_object_set_prototype_of();
       module.exports = function($this, dummy, Wrapper) {
         var NewTarget, NewTargetPrototype;
-        if (setPrototypeOf && typeof (NewTarget = dummy.constructor) == "function" && NewTarget !== Wrapper && isObject4(NewTargetPrototype = NewTarget.prototype) && NewTargetPrototype !== Wrapper.prototype)
+        if (setPrototypeOf && typeof (NewTarget = dummy.constructor) == "function" && NewTarget !== Wrapper && isObject5(NewTargetPrototype = NewTarget.prototype) && NewTargetPrototype !== Wrapper.prototype)
           setPrototypeOf($this, NewTargetPrototype);
         return $this;
       };
@@ -2152,58 +1943,58 @@
   var require_collection = __commonJS({
     "node_modules/core-js/internals/collection.js": function(exports, module) {
       "use strict";
-      var $8 = require_export();
-      var global5 = require_global();
-      var isForced = require_is_forced();
-      var redefine3 = require_redefine();
+      var $25 = require_export();
+      var global8 = require_global();
+      var isForced3 = require_is_forced();
+      var redefine6 = require_redefine();
       var InternalMetadataModule = require_internal_metadata();
       var iterate = require_iterate();
       var anInstance = require_an_instance();
-      var isObject4 = require_is_object();
-      var fails2 = require_fails();
+      var isObject5 = require_is_object();
+      var fails10 = require_fails();
       var checkCorrectnessOfIteration2 = require_check_correctness_of_iteration();
       var setToStringTag2 = require_set_to_string_tag();
-      var inheritIfRequired = require_inherit_if_required();
+      var inheritIfRequired3 = require_inherit_if_required();
       module.exports = function(CONSTRUCTOR_NAME, wrapper, common) {
         var IS_MAP = CONSTRUCTOR_NAME.indexOf("Map") !== -1;
         var IS_WEAK = CONSTRUCTOR_NAME.indexOf("Weak") !== -1;
         var ADDER = IS_MAP ? "set" : "add";
-        var NativeConstructor = global5[CONSTRUCTOR_NAME];
+        var NativeConstructor = global8[CONSTRUCTOR_NAME];
         var NativePrototype = NativeConstructor && NativeConstructor.prototype;
         var Constructor = NativeConstructor;
         var exported = {};
         var fixMethod = function(KEY) {
           var nativeMethod = NativePrototype[KEY];
-          redefine3(NativePrototype, KEY, KEY == "add" ? function add(value) {
+          redefine6(NativePrototype, KEY, KEY == "add" ? function add(value) {
             nativeMethod.call(this, value === 0 ? 0 : value);
             return this;
           } : KEY == "delete" ? function(key) {
-            return IS_WEAK && !isObject4(key) ? false : nativeMethod.call(this, key === 0 ? 0 : key);
+            return IS_WEAK && !isObject5(key) ? false : nativeMethod.call(this, key === 0 ? 0 : key);
           } : KEY == "get" ? function get(key) {
-            return IS_WEAK && !isObject4(key) ? void 0 : nativeMethod.call(this, key === 0 ? 0 : key);
-          } : KEY == "has" ? function has3(key) {
-            return IS_WEAK && !isObject4(key) ? false : nativeMethod.call(this, key === 0 ? 0 : key);
+            return IS_WEAK && !isObject5(key) ? void 0 : nativeMethod.call(this, key === 0 ? 0 : key);
+          } : KEY == "has" ? function has5(key) {
+            return IS_WEAK && !isObject5(key) ? false : nativeMethod.call(this, key === 0 ? 0 : key);
           } : function set(key, value) {
             nativeMethod.call(this, key === 0 ? 0 : key, value);
             return this;
           });
         };
-        var REPLACE = isForced(CONSTRUCTOR_NAME, typeof NativeConstructor != "function" || !(IS_WEAK || NativePrototype.forEach && !fails2(function() {
+        var REPLACE2 = isForced3(CONSTRUCTOR_NAME, typeof NativeConstructor != "function" || !(IS_WEAK || NativePrototype.forEach && !fails10(function() {
           new NativeConstructor().entries().next();
         })));
-        if (REPLACE) {
+        if (REPLACE2) {
           Constructor = common.getConstructor(wrapper, CONSTRUCTOR_NAME, IS_MAP, ADDER);
           InternalMetadataModule.enable();
-        } else if (isForced(CONSTRUCTOR_NAME, true)) {
+        } else if (isForced3(CONSTRUCTOR_NAME, true)) {
           var instance = new Constructor();
           var HASNT_CHAINING = instance[ADDER](IS_WEAK ? {} : -0, 1) != instance;
-          var THROWS_ON_PRIMITIVES = fails2(function() {
+          var THROWS_ON_PRIMITIVES = fails10(function() {
             instance.has(1);
           });
           var ACCEPT_ITERABLES = checkCorrectnessOfIteration2(function(iterable) {
             new NativeConstructor(iterable);
           });
-          var BUGGY_ZERO = !IS_WEAK && fails2(function() {
+          var BUGGY_ZERO = !IS_WEAK && fails10(function() {
             var $instance = new NativeConstructor();
             var index = 5;
             while (index--)
@@ -2213,7 +2004,7 @@
           if (!ACCEPT_ITERABLES) {
             Constructor = wrapper(function(dummy, iterable) {
               anInstance(dummy, Constructor, CONSTRUCTOR_NAME);
-              var that = inheritIfRequired(new NativeConstructor(), dummy, Constructor);
+              var that = inheritIfRequired3(new NativeConstructor(), dummy, Constructor);
               if (iterable != void 0)
                 iterate(iterable, that[ADDER], { that: that, AS_ENTRIES: IS_MAP });
               return that;
@@ -2232,7 +2023,7 @@
             delete NativePrototype.clear;
         }
         exported[CONSTRUCTOR_NAME] = Constructor;
-        $8({ global: true, forced: Constructor != NativeConstructor }, exported);
+        $25({ global: true, forced: Constructor != NativeConstructor }, exported);
         setToStringTag2(Constructor, CONSTRUCTOR_NAME);
         if (!IS_WEAK)
           common.setStrong(Constructor, CONSTRUCTOR_NAME, IS_MAP);
@@ -2244,10 +2035,10 @@
   // node_modules/core-js/internals/redefine-all.js
   var require_redefine_all = __commonJS({
     "node_modules/core-js/internals/redefine-all.js": function(exports, module) {
-      var redefine3 = require_redefine();
+      var redefine6 = require_redefine();
       module.exports = function(target, src, options) {
         for (var key in src)
-          redefine3(target, key, src[key], options);
+          redefine6(target, key, src[key], options);
         return target;
       };
     }
@@ -2259,14 +2050,14 @@
       "use strict";
       var getBuiltIn2 = require_get_built_in();
       var definePropertyModule2 = require_object_define_property();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var DESCRIPTORS4 = require_descriptors();
-      var SPECIES2 = wellKnownSymbol4("species");
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var DESCRIPTORS6 = require_descriptors();
+      var SPECIES2 = wellKnownSymbol7("species");
       module.exports = function(CONSTRUCTOR_NAME) {
         var Constructor = getBuiltIn2(CONSTRUCTOR_NAME);
-        var defineProperty4 = definePropertyModule2.f;
-        if (DESCRIPTORS4 && Constructor && !Constructor[SPECIES2]) {
-          defineProperty4(Constructor, SPECIES2, {
+        var defineProperty6 = definePropertyModule2.f;
+        if (DESCRIPTORS6 && Constructor && !Constructor[SPECIES2]) {
+          defineProperty6(Constructor, SPECIES2, {
             configurable: true,
             get: function() {
               return this;
@@ -2281,15 +2072,15 @@
   var require_collection_strong = __commonJS({
     "node_modules/core-js/internals/collection-strong.js": function(exports, module) {
       "use strict";
-      var defineProperty4 = require_object_define_property().f;
-      var create2 = require_object_create();
+      var defineProperty6 = require_object_define_property().f;
+      var create3 = require_object_create();
       var redefineAll = require_redefine_all();
       var bind = require_function_bind_context();
       var anInstance = require_an_instance();
       var iterate = require_iterate();
       var defineIterator2 = require_define_iterator();
-      var setSpecies = require_set_species();
-      var DESCRIPTORS4 = require_descriptors();
+      var setSpecies2 = require_set_species();
+      var DESCRIPTORS6 = require_descriptors();
       var fastKey = require_internal_metadata().fastKey;
       var InternalStateModule3 = require_internal_state();
       var setInternalState3 = InternalStateModule3.set;
@@ -2300,12 +2091,12 @@
             anInstance(that, C, CONSTRUCTOR_NAME);
             setInternalState3(that, {
               type: CONSTRUCTOR_NAME,
-              index: create2(null),
+              index: create3(null),
               first: void 0,
               last: void 0,
               size: 0
             });
-            if (!DESCRIPTORS4)
+            if (!DESCRIPTORS6)
               that.size = 0;
             if (iterable != void 0)
               iterate(iterable, that[ADDER], { that: that, AS_ENTRIES: IS_MAP });
@@ -2330,7 +2121,7 @@
                 state.first = entry;
               if (previous)
                 previous.next = entry;
-              if (DESCRIPTORS4)
+              if (DESCRIPTORS6)
                 state.size++;
               else
                 that.size++;
@@ -2364,7 +2155,7 @@
                 entry = entry.next;
               }
               state.first = state.last = void 0;
-              if (DESCRIPTORS4)
+              if (DESCRIPTORS6)
                 state.size = 0;
               else
                 that.size = 0;
@@ -2386,14 +2177,14 @@
                   state.first = next2;
                 if (state.last == entry)
                   state.last = prev;
-                if (DESCRIPTORS4)
+                if (DESCRIPTORS6)
                   state.size--;
                 else
                   that.size--;
               }
               return !!entry;
             },
-            forEach: function forEach(callbackfn) {
+            forEach: function forEach3(callbackfn) {
               var state = getInternalState3(this);
               var boundFunction = bind(callbackfn, arguments.length > 1 ? arguments[1] : void 0, 3);
               var entry;
@@ -2403,7 +2194,7 @@
                   entry = entry.previous;
               }
             },
-            has: function has3(key) {
+            has: function has5(key) {
               return !!getEntry(this, key);
             }
           });
@@ -2420,8 +2211,8 @@
               return define(this, value = value === 0 ? 0 : value, value);
             }
           });
-          if (DESCRIPTORS4)
-            defineProperty4(C.prototype, "size", {
+          if (DESCRIPTORS6)
+            defineProperty6(C.prototype, "size", {
               get: function() {
                 return getInternalState3(this).size;
               }
@@ -2456,7 +2247,7 @@
               return { value: entry.value, done: false };
             return { value: [entry.key, entry.value], done: false };
           }, IS_MAP ? "entries" : "values", !IS_MAP, true);
-          setSpecies(CONSTRUCTOR_NAME);
+          setSpecies2(CONSTRUCTOR_NAME);
         }
       };
     }
@@ -2481,17 +2272,42 @@
     "node_modules/core-js/internals/object-to-string.js": function(exports, module) {
       "use strict";
       var TO_STRING_TAG_SUPPORT2 = require_to_string_tag_support();
-      var classof = require_classof();
-      module.exports = TO_STRING_TAG_SUPPORT2 ? {}.toString : function toString4() {
-        return "[object " + classof(this) + "]";
+      var classof2 = require_classof();
+      module.exports = TO_STRING_TAG_SUPPORT2 ? {}.toString : function toString7() {
+        return "[object " + classof2(this) + "]";
       };
     }
   });
 
-  // node_modules/core-js/internals/dom-iterables.js
-  var require_dom_iterables = __commonJS({
-    "node_modules/core-js/internals/dom-iterables.js": function(exports, module) {
-      module.exports = {
+  // node_modules/core-js/internals/string-multibyte.js
+  var require_string_multibyte = __commonJS({
+    "node_modules/core-js/internals/string-multibyte.js": function(exports, module) {
+      var toInteger3 = require_to_integer();
+      var toString7 = require_to_string();
+      var requireObjectCoercible3 = require_require_object_coercible();
+      var createMethod = function(CONVERT_TO_STRING) {
+        return function($this, pos) {
+          var S = toString7(requireObjectCoercible3($this));
+          var position = toInteger3(pos);
+          var size = S.length;
+          var first, second;
+          if (position < 0 || position >= size)
+            return CONVERT_TO_STRING ? "" : void 0;
+          first = S.charCodeAt(position);
+          return first < 55296 || first > 56319 || position + 1 === size || (second = S.charCodeAt(position + 1)) < 56320 || second > 57343 ? CONVERT_TO_STRING ? S.charAt(position) : first : CONVERT_TO_STRING ? S.slice(position, position + 2) : (first - 55296 << 10) + (second - 56320) + 65536;
+        };
+      };
+      module.exports = {
+        codeAt: createMethod(false),
+        charAt: createMethod(true)
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/dom-iterables.js
+  var require_dom_iterables = __commonJS({
+    "node_modules/core-js/internals/dom-iterables.js": function(exports, module) {
+      module.exports = {
         CSSRuleList: 0,
         CSSStyleDeclaration: 0,
         CSSValueList: 0,
@@ -2527,24 +2343,40 @@
     }
   });
 
+  // node_modules/core-js/internals/array-method-is-strict.js
+  var require_array_method_is_strict = __commonJS({
+    "node_modules/core-js/internals/array-method-is-strict.js": function(exports, module) {
+      "use strict";
+      var fails10 = require_fails();
+      module.exports = function(METHOD_NAME, argument) {
+        var method = [][METHOD_NAME];
+        return !!method && fails10(function() {
+          method.call(null, argument || function() {
+            throw 1;
+          }, 1);
+        });
+      };
+    }
+  });
+
   // node_modules/core-js/internals/object-to-array.js
   var require_object_to_array = __commonJS({
     "node_modules/core-js/internals/object-to-array.js": function(exports, module) {
-      var DESCRIPTORS4 = require_descriptors();
+      var DESCRIPTORS6 = require_descriptors();
       var objectKeys2 = require_object_keys();
-      var toIndexedObject3 = require_to_indexed_object();
+      var toIndexedObject4 = require_to_indexed_object();
       var propertyIsEnumerable2 = require_object_property_is_enumerable().f;
       var createMethod = function(TO_ENTRIES) {
         return function(it) {
-          var O = toIndexedObject3(it);
-          var keys = objectKeys2(O);
-          var length = keys.length;
+          var O = toIndexedObject4(it);
+          var keys2 = objectKeys2(O);
+          var length = keys2.length;
           var i = 0;
           var result = [];
           var key;
           while (length > i) {
-            key = keys[i++];
-            if (!DESCRIPTORS4 || propertyIsEnumerable2.call(O, key)) {
+            key = keys2[i++];
+            if (!DESCRIPTORS6 || propertyIsEnumerable2.call(O, key)) {
               result.push(TO_ENTRIES ? [key, O[key]] : O[key]);
             }
           }
@@ -2558,84 +2390,14 @@
     }
   });
 
-  // node_modules/core-js/internals/well-known-symbol-wrapped.js
-  var require_well_known_symbol_wrapped = __commonJS({
-    "node_modules/core-js/internals/well-known-symbol-wrapped.js": function(exports) {
-      var wellKnownSymbol4 = require_well_known_symbol();
-      exports.f = wellKnownSymbol4;
-    }
-  });
-
-  // node_modules/core-js/internals/path.js
-  var require_path = __commonJS({
-    "node_modules/core-js/internals/path.js": function(exports, module) {
-      var global5 = require_global();
-      module.exports = global5;
-    }
-  });
-
-  // node_modules/core-js/internals/define-well-known-symbol.js
-  var require_define_well_known_symbol = __commonJS({
-    "node_modules/core-js/internals/define-well-known-symbol.js": function(exports, module) {
-      var path = require_path();
-      var has3 = require_has();
-      var wrappedWellKnownSymbolModule2 = require_well_known_symbol_wrapped();
-      var defineProperty4 = require_object_define_property().f;
-      module.exports = function(NAME2) {
-        var Symbol2 = path.Symbol || (path.Symbol = {});
-        if (!has3(Symbol2, NAME2))
-          defineProperty4(Symbol2, NAME2, {
-            value: wrappedWellKnownSymbolModule2.f(NAME2)
-          });
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/create-property.js
-  var require_create_property = __commonJS({
-    "node_modules/core-js/internals/create-property.js": function(exports, module) {
-      "use strict";
-      var toPropertyKey2 = require_to_property_key();
-      var definePropertyModule2 = require_object_define_property();
-      var createPropertyDescriptor2 = require_create_property_descriptor();
-      module.exports = function(object, key, value) {
-        var propertyKey = toPropertyKey2(key);
-        if (propertyKey in object)
-          definePropertyModule2.f(object, propertyKey, createPropertyDescriptor2(0, value));
-        else
-          object[propertyKey] = value;
-      };
-    }
-  });
-
-  // node_modules/core-js/internals/array-method-has-species-support.js
-  var require_array_method_has_species_support = __commonJS({
-    "node_modules/core-js/internals/array-method-has-species-support.js": function(exports, module) {
-      var fails2 = require_fails();
-      var wellKnownSymbol4 = require_well_known_symbol();
-      var V8_VERSION = require_engine_v8_version();
-      var SPECIES2 = wellKnownSymbol4("species");
-      module.exports = function(METHOD_NAME) {
-        return V8_VERSION >= 51 || !fails2(function() {
-          var array = [];
-          var constructor = array.constructor = {};
-          constructor[SPECIES2] = function() {
-            return { foo: 1 };
-          };
-          return array[METHOD_NAME](Boolean).foo !== 1;
-        });
-      };
-    }
-  });
-
   // node_modules/core-js/internals/call-with-safe-iteration-closing.js
   var require_call_with_safe_iteration_closing = __commonJS({
     "node_modules/core-js/internals/call-with-safe-iteration-closing.js": function(exports, module) {
-      var anObject3 = require_an_object();
+      var anObject5 = require_an_object();
       var iteratorClose = require_iterator_close();
       module.exports = function(iterator, fn, value, ENTRIES) {
         try {
-          return ENTRIES ? fn(anObject3(value)[0], value[1]) : fn(value);
+          return ENTRIES ? fn(anObject5(value)[0], value[1]) : fn(value);
         } catch (error) {
           iteratorClose(iterator, "throw", error);
         }
@@ -2648,15 +2410,15 @@
     "node_modules/core-js/internals/array-from.js": function(exports, module) {
       "use strict";
       var bind = require_function_bind_context();
-      var toObject2 = require_to_object();
+      var toObject6 = require_to_object();
       var callWithSafeIterationClosing = require_call_with_safe_iteration_closing();
       var isArrayIteratorMethod = require_is_array_iterator_method();
-      var toLength3 = require_to_length();
-      var createProperty2 = require_create_property();
+      var toLength7 = require_to_length();
+      var createProperty4 = require_create_property();
       var getIterator = require_get_iterator();
       var getIteratorMethod = require_get_iterator_method();
       module.exports = function from2(arrayLike) {
-        var O = toObject2(arrayLike);
+        var O = toObject6(arrayLike);
         var C = typeof this == "function" ? this : Array;
         var argumentsLength = arguments.length;
         var mapfn = argumentsLength > 1 ? arguments[1] : void 0;
@@ -2672,14 +2434,14 @@
           result = new C();
           for (; !(step = next2.call(iterator)).done; index++) {
             value = mapping ? callWithSafeIterationClosing(iterator, mapfn, [step.value, index], true) : step.value;
-            createProperty2(result, index, value);
+            createProperty4(result, index, value);
           }
         } else {
-          length = toLength3(O.length);
+          length = toLength7(O.length);
           result = new C(length);
           for (; length > index; index++) {
             value = mapping ? mapfn(O[index], index) : O[index];
-            createProperty2(result, index, value);
+            createProperty4(result, index, value);
           }
         }
         result.length = index;
@@ -2688,170 +2450,1053 @@
     }
   });
 
-  // srcjs/shinyvalidate.js
-  var import_es_regexp_exec = __toModule(require_es_regexp_exec());
+  // node_modules/core-js/internals/array-for-each.js
+  var require_array_for_each = __commonJS({
+    "node_modules/core-js/internals/array-for-each.js": function(exports, module) {
+      "use strict";
+      var $forEach2 = require_array_iteration().forEach;
+      var arrayMethodIsStrict6 = require_array_method_is_strict();
+      var STRICT_METHOD6 = arrayMethodIsStrict6("forEach");
+      module.exports = !STRICT_METHOD6 ? function forEach3(callbackfn) {
+        return $forEach2(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+      } : [].forEach;
+    }
+  });
 
-  // node_modules/core-js/modules/es.string.match.js
-  "use strict";
-  var fixRegExpWellKnownSymbolLogic = require_fix_regexp_well_known_symbol_logic();
-  var anObject = require_an_object();
-  var toLength = require_to_length();
-  var toString = require_to_string();
-  var requireObjectCoercible = require_require_object_coercible();
-  var advanceStringIndex = require_advance_string_index();
-  var regExpExec = require_regexp_exec_abstract();
-  fixRegExpWellKnownSymbolLogic("match", function(MATCH, nativeMatch, maybeCallNative) {
-    return [
-      function match(regexp) {
-        var O = requireObjectCoercible(this);
-        var matcher = regexp == void 0 ? void 0 : regexp[MATCH];
-        return matcher !== void 0 ? matcher.call(regexp, O) : new RegExp(regexp)[MATCH](toString(O));
-      },
-      function(string) {
-        var rx = anObject(this);
-        var S = toString(string);
-        var res = maybeCallNative(nativeMatch, rx, S);
-        if (res.done)
-          return res.value;
-        if (!rx.global)
-          return regExpExec(rx, S);
-        var fullUnicode = rx.unicode;
-        rx.lastIndex = 0;
-        var A = [];
-        var n = 0;
-        var result;
-        while ((result = regExpExec(rx, S)) !== null) {
-          var matchStr = toString(result[0]);
-          A[n] = matchStr;
-          if (matchStr === "")
-            rx.lastIndex = advanceStringIndex(S, toLength(rx.lastIndex), fullUnicode);
-          n++;
+  // node_modules/core-js/modules/es.set.js
+  var require_es_set = __commonJS({
+    "node_modules/core-js/modules/es.set.js": function(exports, module) {
+      "use strict";
+      var collection = require_collection();
+      var collectionStrong = require_collection_strong();
+      module.exports = collection("Set", function(init) {
+        return function Set2() {
+          return init(this, arguments.length ? arguments[0] : void 0);
+        };
+      }, collectionStrong);
+    }
+  });
+
+  // node_modules/core-js/internals/array-sort.js
+  var require_array_sort = __commonJS({
+    "node_modules/core-js/internals/array-sort.js": function(exports, module) {
+      var floor = Math.floor;
+      var mergeSort = function(array, comparefn) {
+        var length = array.length;
+        var middle = floor(length / 2);
+        return length < 8 ? insertionSort(array, comparefn) : merge(mergeSort(array.slice(0, middle), comparefn), mergeSort(array.slice(middle), comparefn), comparefn);
+      };
+      var insertionSort = function(array, comparefn) {
+        var length = array.length;
+        var i = 1;
+        var element, j;
+        while (i < length) {
+          j = i;
+          element = array[i];
+          while (j && comparefn(array[j - 1], element) > 0) {
+            array[j] = array[--j];
+          }
+          if (j !== i++)
+            array[j] = element;
         }
-        return n === 0 ? null : A;
-      }
-    ];
+        return array;
+      };
+      var merge = function(left, right, comparefn) {
+        var llength = left.length;
+        var rlength = right.length;
+        var lindex = 0;
+        var rindex = 0;
+        var result = [];
+        while (lindex < llength || rindex < rlength) {
+          if (lindex < llength && rindex < rlength) {
+            result.push(comparefn(left[lindex], right[rindex]) <= 0 ? left[lindex++] : right[rindex++]);
+          } else {
+            result.push(lindex < llength ? left[lindex++] : right[rindex++]);
+          }
+        }
+        return result;
+      };
+      module.exports = mergeSort;
+    }
   });
 
-  // node_modules/core-js/modules/es.array.find.js
-  "use strict";
-  var $2 = require_export();
-  var $find = require_array_iteration().find;
-  var addToUnscopables = require_add_to_unscopables();
-  var FIND = "find";
-  var SKIPS_HOLES = true;
-  if (FIND in [])
-    Array(1)[FIND](function() {
-      SKIPS_HOLES = false;
-    });
-  $2({ target: "Array", proto: true, forced: SKIPS_HOLES }, {
-    find: function find(callbackfn) {
-      return $find(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+  // node_modules/core-js/internals/engine-ff-version.js
+  var require_engine_ff_version = __commonJS({
+    "node_modules/core-js/internals/engine-ff-version.js": function(exports, module) {
+      var userAgent = require_engine_user_agent();
+      var firefox = userAgent.match(/firefox\/(\d+)/i);
+      module.exports = !!firefox && +firefox[1];
     }
   });
-  addToUnscopables(FIND);
 
-  // srcjs/shinyvalidate.js
-  var import_es_array_iterator = __toModule(require_es_array_iterator());
-  var import_es_map = __toModule(require_es_map());
+  // node_modules/core-js/internals/engine-is-ie-or-edge.js
+  var require_engine_is_ie_or_edge = __commonJS({
+    "node_modules/core-js/internals/engine-is-ie-or-edge.js": function(exports, module) {
+      var UA = require_engine_user_agent();
+      module.exports = /MSIE|Trident/.test(UA);
+    }
+  });
 
-  // node_modules/core-js/modules/es.object.to-string.js
-  var TO_STRING_TAG_SUPPORT = require_to_string_tag_support();
-  var redefine = require_redefine();
-  var toString2 = require_object_to_string();
-  if (!TO_STRING_TAG_SUPPORT) {
-    redefine(Object.prototype, "toString", toString2, { unsafe: true });
-  }
+  // node_modules/core-js/internals/engine-webkit-version.js
+  var require_engine_webkit_version = __commonJS({
+    "node_modules/core-js/internals/engine-webkit-version.js": function(exports, module) {
+      var userAgent = require_engine_user_agent();
+      var webkit = userAgent.match(/AppleWebKit\/(\d+)\./);
+      module.exports = !!webkit && +webkit[1];
+    }
+  });
 
-  // node_modules/core-js/modules/es.string.iterator.js
-  "use strict";
-  var charAt = require_string_multibyte().charAt;
-  var toString3 = require_to_string();
-  var InternalStateModule = require_internal_state();
-  var defineIterator = require_define_iterator();
-  var STRING_ITERATOR = "String Iterator";
-  var setInternalState = InternalStateModule.set;
-  var getInternalState = InternalStateModule.getterFor(STRING_ITERATOR);
-  defineIterator(String, "String", function(iterated) {
-    setInternalState(this, {
-      type: STRING_ITERATOR,
-      string: toString3(iterated),
-      index: 0
-    });
-  }, function next() {
-    var state = getInternalState(this);
-    var string = state.string;
-    var index = state.index;
-    var point;
-    if (index >= string.length)
-      return { value: void 0, done: true };
-    point = charAt(string, index);
-    state.index += point.length;
-    return { value: point, done: false };
+  // node_modules/core-js/internals/well-known-symbol-wrapped.js
+  var require_well_known_symbol_wrapped = __commonJS({
+    "node_modules/core-js/internals/well-known-symbol-wrapped.js": function(exports) {
+      var wellKnownSymbol7 = require_well_known_symbol();
+      exports.f = wellKnownSymbol7;
+    }
   });
 
-  // node_modules/core-js/modules/web.dom-collections.iterator.js
-  var global2 = require_global();
-  var DOMIterables = require_dom_iterables();
-  var ArrayIteratorMethods = require_es_array_iterator();
-  var createNonEnumerableProperty = require_create_non_enumerable_property();
-  var wellKnownSymbol = require_well_known_symbol();
-  var ITERATOR = wellKnownSymbol("iterator");
-  var TO_STRING_TAG = wellKnownSymbol("toStringTag");
-  var ArrayValues = ArrayIteratorMethods.values;
-  for (COLLECTION_NAME in DOMIterables) {
-    Collection = global2[COLLECTION_NAME];
-    CollectionPrototype = Collection && Collection.prototype;
-    if (CollectionPrototype) {
-      if (CollectionPrototype[ITERATOR] !== ArrayValues)
-        try {
-          createNonEnumerableProperty(CollectionPrototype, ITERATOR, ArrayValues);
-        } catch (error) {
-          CollectionPrototype[ITERATOR] = ArrayValues;
-        }
-      if (!CollectionPrototype[TO_STRING_TAG]) {
-        createNonEnumerableProperty(CollectionPrototype, TO_STRING_TAG, COLLECTION_NAME);
-      }
-      if (DOMIterables[COLLECTION_NAME])
-        for (METHOD_NAME in ArrayIteratorMethods) {
-          if (CollectionPrototype[METHOD_NAME] !== ArrayIteratorMethods[METHOD_NAME])
-            try {
-              createNonEnumerableProperty(CollectionPrototype, METHOD_NAME, ArrayIteratorMethods[METHOD_NAME]);
-            } catch (error) {
-              CollectionPrototype[METHOD_NAME] = ArrayIteratorMethods[METHOD_NAME];
-            }
-        }
+  // node_modules/core-js/internals/path.js
+  var require_path = __commonJS({
+    "node_modules/core-js/internals/path.js": function(exports, module) {
+      var global8 = require_global();
+      module.exports = global8;
     }
-  }
-  var Collection;
-  var CollectionPrototype;
-  var METHOD_NAME;
-  var COLLECTION_NAME;
+  });
 
-  // node_modules/core-js/modules/es.object.entries.js
-  var $3 = require_export();
-  var $entries = require_object_to_array().entries;
-  $3({ target: "Object", stat: true }, {
-    entries: function entries(O) {
-      return $entries(O);
+  // node_modules/core-js/internals/define-well-known-symbol.js
+  var require_define_well_known_symbol = __commonJS({
+    "node_modules/core-js/internals/define-well-known-symbol.js": function(exports, module) {
+      var path = require_path();
+      var has5 = require_has();
+      var wrappedWellKnownSymbolModule2 = require_well_known_symbol_wrapped();
+      var defineProperty6 = require_object_define_property().f;
+      module.exports = function(NAME2) {
+        var Symbol2 = path.Symbol || (path.Symbol = {});
+        if (!has5(Symbol2, NAME2))
+          defineProperty6(Symbol2, NAME2, {
+            value: wrappedWellKnownSymbolModule2.f(NAME2)
+          });
+      };
     }
   });
 
-  // node_modules/core-js/modules/es.symbol.js
-  "use strict";
-  var $4 = require_export();
-  var global3 = require_global();
-  var getBuiltIn = require_get_built_in();
-  var IS_PURE = require_is_pure();
-  var DESCRIPTORS = require_descriptors();
-  var NATIVE_SYMBOL = require_native_symbol();
-  var fails = require_fails();
-  var has = require_has();
-  var isArray = require_is_array();
-  var isObject = require_is_object();
-  var isSymbol = require_is_symbol();
-  var anObject2 = require_an_object();
-  var toObject = require_to_object();
-  var toIndexedObject = require_to_indexed_object();
+  // node_modules/core-js/internals/regexp-flags.js
+  var require_regexp_flags = __commonJS({
+    "node_modules/core-js/internals/regexp-flags.js": function(exports, module) {
+      "use strict";
+      var anObject5 = require_an_object();
+      module.exports = function() {
+        var that = anObject5(this);
+        var result = "";
+        if (that.global)
+          result += "g";
+        if (that.ignoreCase)
+          result += "i";
+        if (that.multiline)
+          result += "m";
+        if (that.dotAll)
+          result += "s";
+        if (that.unicode)
+          result += "u";
+        if (that.sticky)
+          result += "y";
+        return result;
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/regexp-sticky-helpers.js
+  var require_regexp_sticky_helpers = __commonJS({
+    "node_modules/core-js/internals/regexp-sticky-helpers.js": function(exports) {
+      var fails10 = require_fails();
+      var global8 = require_global();
+      var $RegExp = global8.RegExp;
+      exports.UNSUPPORTED_Y = fails10(function() {
+        var re = $RegExp("a", "y");
+        re.lastIndex = 2;
+        return re.exec("abcd") != null;
+      });
+      exports.BROKEN_CARET = fails10(function() {
+        var re = $RegExp("^r", "gy");
+        re.lastIndex = 2;
+        return re.exec("str") != null;
+      });
+    }
+  });
+
+  // node_modules/core-js/internals/regexp-unsupported-dot-all.js
+  var require_regexp_unsupported_dot_all = __commonJS({
+    "node_modules/core-js/internals/regexp-unsupported-dot-all.js": function(exports, module) {
+      var fails10 = require_fails();
+      var global8 = require_global();
+      var $RegExp = global8.RegExp;
+      module.exports = fails10(function() {
+        var re = $RegExp(".", "s");
+        return !(re.dotAll && re.exec("\n") && re.flags === "s");
+      });
+    }
+  });
+
+  // node_modules/core-js/internals/regexp-unsupported-ncg.js
+  var require_regexp_unsupported_ncg = __commonJS({
+    "node_modules/core-js/internals/regexp-unsupported-ncg.js": function(exports, module) {
+      var fails10 = require_fails();
+      var global8 = require_global();
+      var $RegExp = global8.RegExp;
+      module.exports = fails10(function() {
+        var re = $RegExp("(?<a>b)", "g");
+        return re.exec("b").groups.a !== "b" || "b".replace(re, "$<a>c") !== "bc";
+      });
+    }
+  });
+
+  // node_modules/core-js/internals/regexp-exec.js
+  var require_regexp_exec = __commonJS({
+    "node_modules/core-js/internals/regexp-exec.js": function(exports, module) {
+      "use strict";
+      var toString7 = require_to_string();
+      var regexpFlags = require_regexp_flags();
+      var stickyHelpers3 = require_regexp_sticky_helpers();
+      var shared2 = require_shared();
+      var create3 = require_object_create();
+      var getInternalState3 = require_internal_state().get;
+      var UNSUPPORTED_DOT_ALL2 = require_regexp_unsupported_dot_all();
+      var UNSUPPORTED_NCG2 = require_regexp_unsupported_ncg();
+      var nativeExec = RegExp.prototype.exec;
+      var nativeReplace = shared2("native-string-replace", String.prototype.replace);
+      var patchedExec = nativeExec;
+      var UPDATES_LAST_INDEX_WRONG = function() {
+        var re12 = /a/;
+        var re22 = /b*/g;
+        nativeExec.call(re12, "a");
+        nativeExec.call(re22, "a");
+        return re12.lastIndex !== 0 || re22.lastIndex !== 0;
+      }();
+      var UNSUPPORTED_Y3 = stickyHelpers3.UNSUPPORTED_Y || stickyHelpers3.BROKEN_CARET;
+      var NPCG_INCLUDED = /()??/.exec("")[1] !== void 0;
+      var PATCH = UPDATES_LAST_INDEX_WRONG || NPCG_INCLUDED || UNSUPPORTED_Y3 || UNSUPPORTED_DOT_ALL2 || UNSUPPORTED_NCG2;
+      if (PATCH) {
+        patchedExec = function exec(string) {
+          var re = this;
+          var state = getInternalState3(re);
+          var str = toString7(string);
+          var raw = state.raw;
+          var result, reCopy, lastIndex, match, i, object, group;
+          if (raw) {
+            raw.lastIndex = re.lastIndex;
+            result = patchedExec.call(raw, str);
+            re.lastIndex = raw.lastIndex;
+            return result;
+          }
+          var groups = state.groups;
+          var sticky = UNSUPPORTED_Y3 && re.sticky;
+          var flags2 = regexpFlags.call(re);
+          var source = re.source;
+          var charsAdded = 0;
+          var strCopy = str;
+          if (sticky) {
+            flags2 = flags2.replace("y", "");
+            if (flags2.indexOf("g") === -1) {
+              flags2 += "g";
+            }
+            strCopy = str.slice(re.lastIndex);
+            if (re.lastIndex > 0 && (!re.multiline || re.multiline && str.charAt(re.lastIndex - 1) !== "\n")) {
+              source = "(?: " + source + ")";
+              strCopy = " " + strCopy;
+              charsAdded++;
+            }
+            reCopy = new RegExp("^(?:" + source + ")", flags2);
+          }
+          if (NPCG_INCLUDED) {
+            reCopy = new RegExp("^" + source + "$(?!\\s)", flags2);
+          }
+          if (UPDATES_LAST_INDEX_WRONG)
+            lastIndex = re.lastIndex;
+          match = nativeExec.call(sticky ? reCopy : re, strCopy);
+          if (sticky) {
+            if (match) {
+              match.input = match.input.slice(charsAdded);
+              match[0] = match[0].slice(charsAdded);
+              match.index = re.lastIndex;
+              re.lastIndex += match[0].length;
+            } else
+              re.lastIndex = 0;
+          } else if (UPDATES_LAST_INDEX_WRONG && match) {
+            re.lastIndex = re.global ? match.index + match[0].length : lastIndex;
+          }
+          if (NPCG_INCLUDED && match && match.length > 1) {
+            nativeReplace.call(match[0], reCopy, function() {
+              for (i = 1; i < arguments.length - 2; i++) {
+                if (arguments[i] === void 0)
+                  match[i] = void 0;
+              }
+            });
+          }
+          if (match && groups) {
+            match.groups = object = create3(null);
+            for (i = 0; i < groups.length; i++) {
+              group = groups[i];
+              object[group[0]] = match[group[1]];
+            }
+          }
+          return match;
+        };
+      }
+      module.exports = patchedExec;
+    }
+  });
+
+  // node_modules/core-js/modules/es.regexp.exec.js
+  var require_es_regexp_exec = __commonJS({
+    "node_modules/core-js/modules/es.regexp.exec.js": function() {
+      "use strict";
+      var $25 = require_export();
+      var exec = require_regexp_exec();
+      $25({ target: "RegExp", proto: true, forced: /./.exec !== exec }, {
+        exec: exec
+      });
+    }
+  });
+
+  // node_modules/core-js/internals/fix-regexp-well-known-symbol-logic.js
+  var require_fix_regexp_well_known_symbol_logic = __commonJS({
+    "node_modules/core-js/internals/fix-regexp-well-known-symbol-logic.js": function(exports, module) {
+      "use strict";
+      require_es_regexp_exec();
+      var redefine6 = require_redefine();
+      var regexpExec2 = require_regexp_exec();
+      var fails10 = require_fails();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var createNonEnumerableProperty5 = require_create_non_enumerable_property();
+      var SPECIES2 = wellKnownSymbol7("species");
+      var RegExpPrototype3 = RegExp.prototype;
+      module.exports = function(KEY, exec, FORCED3, SHAM) {
+        var SYMBOL2 = wellKnownSymbol7(KEY);
+        var DELEGATES_TO_SYMBOL = !fails10(function() {
+          var O = {};
+          O[SYMBOL2] = function() {
+            return 7;
+          };
+          return ""[KEY](O) != 7;
+        });
+        var DELEGATES_TO_EXEC = DELEGATES_TO_SYMBOL && !fails10(function() {
+          var execCalled = false;
+          var re = /a/;
+          if (KEY === "split") {
+            re = {};
+            re.constructor = {};
+            re.constructor[SPECIES2] = function() {
+              return re;
+            };
+            re.flags = "";
+            re[SYMBOL2] = /./[SYMBOL2];
+          }
+          re.exec = function() {
+            execCalled = true;
+            return null;
+          };
+          re[SYMBOL2]("");
+          return !execCalled;
+        });
+        if (!DELEGATES_TO_SYMBOL || !DELEGATES_TO_EXEC || FORCED3) {
+          var nativeRegExpMethod = /./[SYMBOL2];
+          var methods = exec(SYMBOL2, ""[KEY], function(nativeMethod, regexp, str, arg2, forceStringMethod) {
+            var $exec = regexp.exec;
+            if ($exec === regexpExec2 || $exec === RegExpPrototype3.exec) {
+              if (DELEGATES_TO_SYMBOL && !forceStringMethod) {
+                return { done: true, value: nativeRegExpMethod.call(regexp, str, arg2) };
+              }
+              return { done: true, value: nativeMethod.call(str, regexp, arg2) };
+            }
+            return { done: false };
+          });
+          redefine6(String.prototype, KEY, methods[0]);
+          redefine6(RegExpPrototype3, SYMBOL2, methods[1]);
+        }
+        if (SHAM)
+          createNonEnumerableProperty5(RegExpPrototype3[SYMBOL2], "sham", true);
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/is-regexp.js
+  var require_is_regexp = __commonJS({
+    "node_modules/core-js/internals/is-regexp.js": function(exports, module) {
+      var isObject5 = require_is_object();
+      var classof2 = require_classof_raw();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var MATCH2 = wellKnownSymbol7("match");
+      module.exports = function(it) {
+        var isRegExp3;
+        return isObject5(it) && ((isRegExp3 = it[MATCH2]) !== void 0 ? !!isRegExp3 : classof2(it) == "RegExp");
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/species-constructor.js
+  var require_species_constructor = __commonJS({
+    "node_modules/core-js/internals/species-constructor.js": function(exports, module) {
+      var anObject5 = require_an_object();
+      var aFunction2 = require_a_function();
+      var wellKnownSymbol7 = require_well_known_symbol();
+      var SPECIES2 = wellKnownSymbol7("species");
+      module.exports = function(O, defaultConstructor) {
+        var C = anObject5(O).constructor;
+        var S;
+        return C === void 0 || (S = anObject5(C)[SPECIES2]) == void 0 ? defaultConstructor : aFunction2(S);
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/advance-string-index.js
+  var require_advance_string_index = __commonJS({
+    "node_modules/core-js/internals/advance-string-index.js": function(exports, module) {
+      "use strict";
+      var charAt2 = require_string_multibyte().charAt;
+      module.exports = function(S, index, unicode) {
+        return index + (unicode ? charAt2(S, index).length : 1);
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/regexp-exec-abstract.js
+  var require_regexp_exec_abstract = __commonJS({
+    "node_modules/core-js/internals/regexp-exec-abstract.js": function(exports, module) {
+      var classof2 = require_classof_raw();
+      var regexpExec2 = require_regexp_exec();
+      module.exports = function(R, S) {
+        var exec = R.exec;
+        if (typeof exec === "function") {
+          var result = exec.call(R, S);
+          if (typeof result !== "object") {
+            throw TypeError("RegExp exec method returned something other than an Object or null");
+          }
+          return result;
+        }
+        if (classof2(R) !== "RegExp") {
+          throw TypeError("RegExp#exec called on incompatible receiver");
+        }
+        return regexpExec2.call(R, S);
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/string-trim-forced.js
+  var require_string_trim_forced = __commonJS({
+    "node_modules/core-js/internals/string-trim-forced.js": function(exports, module) {
+      var fails10 = require_fails();
+      var whitespaces = require_whitespaces();
+      var non = "\u200B\x85\u180E";
+      module.exports = function(METHOD_NAME) {
+        return fails10(function() {
+          return !!whitespaces[METHOD_NAME]() || non[METHOD_NAME]() != non || whitespaces[METHOD_NAME].name !== METHOD_NAME;
+        });
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/get-substitution.js
+  var require_get_substitution = __commonJS({
+    "node_modules/core-js/internals/get-substitution.js": function(exports, module) {
+      var toObject6 = require_to_object();
+      var floor = Math.floor;
+      var replace = "".replace;
+      var SUBSTITUTION_SYMBOLS = /\$([$&'`]|\d{1,2}|<[^>]*>)/g;
+      var SUBSTITUTION_SYMBOLS_NO_NAMED = /\$([$&'`]|\d{1,2})/g;
+      module.exports = function(matched, str, position, captures, namedCaptures, replacement) {
+        var tailPos = position + matched.length;
+        var m = captures.length;
+        var symbols = SUBSTITUTION_SYMBOLS_NO_NAMED;
+        if (namedCaptures !== void 0) {
+          namedCaptures = toObject6(namedCaptures);
+          symbols = SUBSTITUTION_SYMBOLS;
+        }
+        return replace.call(replacement, symbols, function(match, ch) {
+          var capture;
+          switch (ch.charAt(0)) {
+            case "$":
+              return "$";
+            case "&":
+              return matched;
+            case "`":
+              return str.slice(0, position);
+            case "'":
+              return str.slice(tailPos);
+            case "<":
+              capture = namedCaptures[ch.slice(1, -1)];
+              break;
+            default:
+              var n = +ch;
+              if (n === 0)
+                return match;
+              if (n > m) {
+                var f = floor(n / 10);
+                if (f === 0)
+                  return match;
+                if (f <= m)
+                  return captures[f - 1] === void 0 ? ch.charAt(1) : captures[f - 1] + ch.charAt(1);
+                return match;
+              }
+              capture = captures[n - 1];
+          }
+          return capture === void 0 ? "" : capture;
+        });
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/create-html.js
+  var require_create_html = __commonJS({
+    "node_modules/core-js/internals/create-html.js": function(exports, module) {
+      var requireObjectCoercible3 = require_require_object_coercible();
+      var toString7 = require_to_string();
+      var quot = /"/g;
+      module.exports = function(string, tag, attribute, value) {
+        var S = toString7(requireObjectCoercible3(string));
+        var p1 = "<" + tag;
+        if (attribute !== "")
+          p1 += " " + attribute + '="' + toString7(value).replace(quot, "&quot;") + '"';
+        return p1 + ">" + S + "</" + tag + ">";
+      };
+    }
+  });
+
+  // node_modules/core-js/internals/string-html-forced.js
+  var require_string_html_forced = __commonJS({
+    "node_modules/core-js/internals/string-html-forced.js": function(exports, module) {
+      var fails10 = require_fails();
+      module.exports = function(METHOD_NAME) {
+        return fails10(function() {
+          var test2 = ""[METHOD_NAME]('"');
+          return test2 !== test2.toLowerCase() || test2.split('"').length > 3;
+        });
+      };
+    }
+  });
+
+  // node_modules/core-js/modules/es.function.name.js
+  var DESCRIPTORS = require_descriptors();
+  var defineProperty = require_object_define_property().f;
+  var FunctionPrototype = Function.prototype;
+  var FunctionPrototypeToString = FunctionPrototype.toString;
+  var nameRE = /^\s*function ([^ (]*)/;
+  var NAME = "name";
+  if (DESCRIPTORS && !(NAME in FunctionPrototype)) {
+    defineProperty(FunctionPrototype, NAME, {
+      configurable: true,
+      get: function() {
+        try {
+          return FunctionPrototypeToString.call(this).match(nameRE)[1];
+        } catch (error) {
+          return "";
+        }
+      }
+    });
+  }
+
+  // node_modules/core-js/modules/es.array.splice.js
+  "use strict";
+  var $2 = require_export();
+  var toAbsoluteIndex = require_to_absolute_index();
+  var toInteger = require_to_integer();
+  var toLength = require_to_length();
+  var toObject = require_to_object();
+  var arraySpeciesCreate = require_array_species_create();
+  var createProperty = require_create_property();
+  var arrayMethodHasSpeciesSupport = require_array_method_has_species_support();
+  var HAS_SPECIES_SUPPORT = arrayMethodHasSpeciesSupport("splice");
+  var max = Math.max;
+  var min = Math.min;
+  var MAX_SAFE_INTEGER = 9007199254740991;
+  var MAXIMUM_ALLOWED_LENGTH_EXCEEDED = "Maximum allowed length exceeded";
+  $2({ target: "Array", proto: true, forced: !HAS_SPECIES_SUPPORT }, {
+    splice: function splice(start, deleteCount) {
+      var O = toObject(this);
+      var len = toLength(O.length);
+      var actualStart = toAbsoluteIndex(start, len);
+      var argumentsLength = arguments.length;
+      var insertCount, actualDeleteCount, A, k, from2, to;
+      if (argumentsLength === 0) {
+        insertCount = actualDeleteCount = 0;
+      } else if (argumentsLength === 1) {
+        insertCount = 0;
+        actualDeleteCount = len - actualStart;
+      } else {
+        insertCount = argumentsLength - 2;
+        actualDeleteCount = min(max(toInteger(deleteCount), 0), len - actualStart);
+      }
+      if (len + insertCount - actualDeleteCount > MAX_SAFE_INTEGER) {
+        throw TypeError(MAXIMUM_ALLOWED_LENGTH_EXCEEDED);
+      }
+      A = arraySpeciesCreate(O, actualDeleteCount);
+      for (k = 0; k < actualDeleteCount; k++) {
+        from2 = actualStart + k;
+        if (from2 in O)
+          createProperty(A, k, O[from2]);
+      }
+      A.length = actualDeleteCount;
+      if (insertCount < actualDeleteCount) {
+        for (k = actualStart; k < len - actualDeleteCount; k++) {
+          from2 = k + actualDeleteCount;
+          to = k + insertCount;
+          if (from2 in O)
+            O[to] = O[from2];
+          else
+            delete O[to];
+        }
+        for (k = len; k > len - actualDeleteCount + insertCount; k--)
+          delete O[k - 1];
+      } else if (insertCount > actualDeleteCount) {
+        for (k = len - actualDeleteCount; k > actualStart; k--) {
+          from2 = k + actualDeleteCount - 1;
+          to = k + insertCount - 1;
+          if (from2 in O)
+            O[to] = O[from2];
+          else
+            delete O[to];
+        }
+      }
+      for (k = 0; k < insertCount; k++) {
+        O[k + actualStart] = arguments[k + 2];
+      }
+      O.length = len - actualDeleteCount + insertCount;
+      return A;
+    }
+  });
+
+  // node_modules/core-js/modules/es.array.map.js
+  "use strict";
+  var $3 = require_export();
+  var $map = require_array_iteration().map;
+  var arrayMethodHasSpeciesSupport2 = require_array_method_has_species_support();
+  var HAS_SPECIES_SUPPORT2 = arrayMethodHasSpeciesSupport2("map");
+  $3({ target: "Array", proto: true, forced: !HAS_SPECIES_SUPPORT2 }, {
+    map: function map(callbackfn) {
+      return $map(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+
+  // node_modules/core-js/modules/es.parse-int.js
+  var $4 = require_export();
+  var parseIntImplementation = require_number_parse_int();
+  $4({ global: true, forced: parseInt != parseIntImplementation }, {
+    parseInt: parseIntImplementation
+  });
+
+  // srcjs/shinyvalidate.js
+  var import_es_array_iterator11 = __toModule(require_es_array_iterator());
+  var import_es_map9 = __toModule(require_es_map());
+
+  // node_modules/core-js/modules/es.object.to-string.js
+  var TO_STRING_TAG_SUPPORT = require_to_string_tag_support();
+  var redefine = require_redefine();
+  var toString = require_object_to_string();
+  if (!TO_STRING_TAG_SUPPORT) {
+    redefine(Object.prototype, "toString", toString, { unsafe: true });
+  }
+
+  // node_modules/core-js/modules/es.string.iterator.js
+  "use strict";
+  var charAt = require_string_multibyte().charAt;
+  var toString2 = require_to_string();
+  var InternalStateModule = require_internal_state();
+  var defineIterator = require_define_iterator();
+  var STRING_ITERATOR = "String Iterator";
+  var setInternalState = InternalStateModule.set;
+  var getInternalState = InternalStateModule.getterFor(STRING_ITERATOR);
+  defineIterator(String, "String", function(iterated) {
+    setInternalState(this, {
+      type: STRING_ITERATOR,
+      string: toString2(iterated),
+      index: 0
+    });
+  }, function next() {
+    var state = getInternalState(this);
+    var string = state.string;
+    var index = state.index;
+    var point;
+    if (index >= string.length)
+      return { value: void 0, done: true };
+    point = charAt(string, index);
+    state.index += point.length;
+    return { value: point, done: false };
+  });
+
+  // node_modules/core-js/modules/web.dom-collections.iterator.js
+  var global2 = require_global();
+  var DOMIterables = require_dom_iterables();
+  var ArrayIteratorMethods = require_es_array_iterator();
+  var createNonEnumerableProperty = require_create_non_enumerable_property();
+  var wellKnownSymbol = require_well_known_symbol();
+  var ITERATOR = wellKnownSymbol("iterator");
+  var TO_STRING_TAG = wellKnownSymbol("toStringTag");
+  var ArrayValues = ArrayIteratorMethods.values;
+  for (COLLECTION_NAME in DOMIterables) {
+    Collection = global2[COLLECTION_NAME];
+    CollectionPrototype = Collection && Collection.prototype;
+    if (CollectionPrototype) {
+      if (CollectionPrototype[ITERATOR] !== ArrayValues)
+        try {
+          createNonEnumerableProperty(CollectionPrototype, ITERATOR, ArrayValues);
+        } catch (error) {
+          CollectionPrototype[ITERATOR] = ArrayValues;
+        }
+      if (!CollectionPrototype[TO_STRING_TAG]) {
+        createNonEnumerableProperty(CollectionPrototype, TO_STRING_TAG, COLLECTION_NAME);
+      }
+      if (DOMIterables[COLLECTION_NAME])
+        for (METHOD_NAME in ArrayIteratorMethods) {
+          if (CollectionPrototype[METHOD_NAME] !== ArrayIteratorMethods[METHOD_NAME])
+            try {
+              createNonEnumerableProperty(CollectionPrototype, METHOD_NAME, ArrayIteratorMethods[METHOD_NAME]);
+            } catch (error) {
+              CollectionPrototype[METHOD_NAME] = ArrayIteratorMethods[METHOD_NAME];
+            }
+        }
+    }
+  }
+  var Collection;
+  var CollectionPrototype;
+  var METHOD_NAME;
+  var COLLECTION_NAME;
+
+  // node_modules/core-js/modules/es.array.find.js
+  "use strict";
+  var $5 = require_export();
+  var $find = require_array_iteration().find;
+  var addToUnscopables = require_add_to_unscopables();
+  var FIND = "find";
+  var SKIPS_HOLES = true;
+  if (FIND in [])
+    Array(1)[FIND](function() {
+      SKIPS_HOLES = false;
+    });
+  $5({ target: "Array", proto: true, forced: SKIPS_HOLES }, {
+    find: function find(callbackfn) {
+      return $find(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+  addToUnscopables(FIND);
+
+  // node_modules/core-js/modules/es.array.join.js
+  "use strict";
+  var $6 = require_export();
+  var IndexedObject = require_indexed_object();
+  var toIndexedObject = require_to_indexed_object();
+  var arrayMethodIsStrict = require_array_method_is_strict();
+  var nativeJoin = [].join;
+  var ES3_STRINGS = IndexedObject != Object;
+  var STRICT_METHOD = arrayMethodIsStrict("join", ",");
+  $6({ target: "Array", proto: true, forced: ES3_STRINGS || !STRICT_METHOD }, {
+    join: function join(separator) {
+      return nativeJoin.call(toIndexedObject(this), separator === void 0 ? "," : separator);
+    }
+  });
+
+  // node_modules/core-js/modules/es.object.values.js
+  var $7 = require_export();
+  var $values = require_object_to_array().values;
+  $7({ target: "Object", stat: true }, {
+    values: function values(O) {
+      return $values(O);
+    }
+  });
+
+  // node_modules/core-js/modules/es.array.find-index.js
+  "use strict";
+  var $8 = require_export();
+  var $findIndex = require_array_iteration().findIndex;
+  var addToUnscopables2 = require_add_to_unscopables();
+  var FIND_INDEX = "findIndex";
+  var SKIPS_HOLES2 = true;
+  if (FIND_INDEX in [])
+    Array(1)[FIND_INDEX](function() {
+      SKIPS_HOLES2 = false;
+    });
+  $8({ target: "Array", proto: true, forced: SKIPS_HOLES2 }, {
+    findIndex: function findIndex(callbackfn) {
+      return $findIndex(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+  addToUnscopables2(FIND_INDEX);
+
+  // node_modules/core-js/modules/es.array.slice.js
+  "use strict";
+  var $9 = require_export();
+  var isObject = require_is_object();
+  var isArray = require_is_array();
+  var toAbsoluteIndex2 = require_to_absolute_index();
+  var toLength2 = require_to_length();
+  var toIndexedObject2 = require_to_indexed_object();
+  var createProperty2 = require_create_property();
+  var wellKnownSymbol2 = require_well_known_symbol();
+  var arrayMethodHasSpeciesSupport3 = require_array_method_has_species_support();
+  var HAS_SPECIES_SUPPORT3 = arrayMethodHasSpeciesSupport3("slice");
+  var SPECIES = wellKnownSymbol2("species");
+  var nativeSlice = [].slice;
+  var max2 = Math.max;
+  $9({ target: "Array", proto: true, forced: !HAS_SPECIES_SUPPORT3 }, {
+    slice: function slice(start, end) {
+      var O = toIndexedObject2(this);
+      var length = toLength2(O.length);
+      var k = toAbsoluteIndex2(start, length);
+      var fin = toAbsoluteIndex2(end === void 0 ? length : end, length);
+      var Constructor, result, n;
+      if (isArray(O)) {
+        Constructor = O.constructor;
+        if (typeof Constructor == "function" && (Constructor === Array || isArray(Constructor.prototype))) {
+          Constructor = void 0;
+        } else if (isObject(Constructor)) {
+          Constructor = Constructor[SPECIES];
+          if (Constructor === null)
+            Constructor = void 0;
+        }
+        if (Constructor === Array || Constructor === void 0) {
+          return nativeSlice.call(O, k, fin);
+        }
+      }
+      result = new (Constructor === void 0 ? Array : Constructor)(max2(fin - k, 0));
+      for (n = 0; k < fin; k++, n++)
+        if (k in O)
+          createProperty2(result, n, O[k]);
+      result.length = n;
+      return result;
+    }
+  });
+
+  // node_modules/core-js/modules/es.array.from.js
+  var $10 = require_export();
+  var from = require_array_from();
+  var checkCorrectnessOfIteration = require_check_correctness_of_iteration();
+  var INCORRECT_ITERATION = !checkCorrectnessOfIteration(function(iterable) {
+    Array.from(iterable);
+  });
+  $10({ target: "Array", stat: true, forced: INCORRECT_ITERATION }, {
+    from: from
+  });
+
+  // node_modules/core-js/modules/es.array.for-each.js
+  "use strict";
+  var $11 = require_export();
+  var forEach = require_array_for_each();
+  $11({ target: "Array", proto: true, forced: [].forEach != forEach }, {
+    forEach: forEach
+  });
+
+  // node_modules/core-js/modules/web.dom-collections.for-each.js
+  var global3 = require_global();
+  var DOMIterables2 = require_dom_iterables();
+  var forEach2 = require_array_for_each();
+  var createNonEnumerableProperty2 = require_create_non_enumerable_property();
+  for (COLLECTION_NAME in DOMIterables2) {
+    Collection = global3[COLLECTION_NAME];
+    CollectionPrototype = Collection && Collection.prototype;
+    if (CollectionPrototype && CollectionPrototype.forEach !== forEach2)
+      try {
+        createNonEnumerableProperty2(CollectionPrototype, "forEach", forEach2);
+      } catch (error) {
+        CollectionPrototype.forEach = forEach2;
+      }
+  }
+  var Collection;
+  var CollectionPrototype;
+  var COLLECTION_NAME;
+
+  // node_modules/core-js/modules/es.array.some.js
+  "use strict";
+  var $12 = require_export();
+  var $some = require_array_iteration().some;
+  var arrayMethodIsStrict2 = require_array_method_is_strict();
+  var STRICT_METHOD2 = arrayMethodIsStrict2("some");
+  $12({ target: "Array", proto: true, forced: !STRICT_METHOD2 }, {
+    some: function some(callbackfn) {
+      return $some(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+
+  // srcjs/shinyvalidate.js
+  var import_es_set5 = __toModule(require_es_set());
+
+  // node_modules/core-js/modules/es.object.entries.js
+  var $13 = require_export();
+  var $entries = require_object_to_array().entries;
+  $13({ target: "Object", stat: true }, {
+    entries: function entries(O) {
+      return $entries(O);
+    }
+  });
+
+  // node_modules/core-js/modules/es.array.concat.js
+  "use strict";
+  var $14 = require_export();
+  var fails = require_fails();
+  var isArray2 = require_is_array();
+  var isObject2 = require_is_object();
+  var toObject2 = require_to_object();
+  var toLength3 = require_to_length();
+  var createProperty3 = require_create_property();
+  var arraySpeciesCreate2 = require_array_species_create();
+  var arrayMethodHasSpeciesSupport4 = require_array_method_has_species_support();
+  var wellKnownSymbol3 = require_well_known_symbol();
+  var V8_VERSION = require_engine_v8_version();
+  var IS_CONCAT_SPREADABLE = wellKnownSymbol3("isConcatSpreadable");
+  var MAX_SAFE_INTEGER2 = 9007199254740991;
+  var MAXIMUM_ALLOWED_INDEX_EXCEEDED = "Maximum allowed index exceeded";
+  var IS_CONCAT_SPREADABLE_SUPPORT = V8_VERSION >= 51 || !fails(function() {
+    var array = [];
+    array[IS_CONCAT_SPREADABLE] = false;
+    return array.concat()[0] !== array;
+  });
+  var SPECIES_SUPPORT = arrayMethodHasSpeciesSupport4("concat");
+  var isConcatSpreadable = function(O) {
+    if (!isObject2(O))
+      return false;
+    var spreadable = O[IS_CONCAT_SPREADABLE];
+    return spreadable !== void 0 ? !!spreadable : isArray2(O);
+  };
+  var FORCED = !IS_CONCAT_SPREADABLE_SUPPORT || !SPECIES_SUPPORT;
+  $14({ target: "Array", proto: true, forced: FORCED }, {
+    concat: function concat(arg) {
+      var O = toObject2(this);
+      var A = arraySpeciesCreate2(O, 0);
+      var n = 0;
+      var i, k, length, len, E;
+      for (i = -1, length = arguments.length; i < length; i++) {
+        E = i === -1 ? O : arguments[i];
+        if (isConcatSpreadable(E)) {
+          len = toLength3(E.length);
+          if (n + len > MAX_SAFE_INTEGER2)
+            throw TypeError(MAXIMUM_ALLOWED_INDEX_EXCEEDED);
+          for (k = 0; k < len; k++, n++)
+            if (k in E)
+              createProperty3(A, n, E[k]);
+        } else {
+          if (n >= MAX_SAFE_INTEGER2)
+            throw TypeError(MAXIMUM_ALLOWED_INDEX_EXCEEDED);
+          createProperty3(A, n++, E);
+        }
+      }
+      A.length = n;
+      return A;
+    }
+  });
+
+  // node_modules/core-js/modules/es.array.sort.js
+  "use strict";
+  var $15 = require_export();
+  var aFunction = require_a_function();
+  var toObject3 = require_to_object();
+  var toLength4 = require_to_length();
+  var toString3 = require_to_string();
+  var fails2 = require_fails();
+  var internalSort = require_array_sort();
+  var arrayMethodIsStrict3 = require_array_method_is_strict();
+  var FF = require_engine_ff_version();
+  var IE_OR_EDGE = require_engine_is_ie_or_edge();
+  var V8 = require_engine_v8_version();
+  var WEBKIT = require_engine_webkit_version();
+  var test = [];
+  var nativeSort = test.sort;
+  var FAILS_ON_UNDEFINED = fails2(function() {
+    test.sort(void 0);
+  });
+  var FAILS_ON_NULL = fails2(function() {
+    test.sort(null);
+  });
+  var STRICT_METHOD3 = arrayMethodIsStrict3("sort");
+  var STABLE_SORT = !fails2(function() {
+    if (V8)
+      return V8 < 70;
+    if (FF && FF > 3)
+      return;
+    if (IE_OR_EDGE)
+      return true;
+    if (WEBKIT)
+      return WEBKIT < 603;
+    var result = "";
+    var code, chr, value, index;
+    for (code = 65; code < 76; code++) {
+      chr = String.fromCharCode(code);
+      switch (code) {
+        case 66:
+        case 69:
+        case 70:
+        case 72:
+          value = 3;
+          break;
+        case 68:
+        case 71:
+          value = 4;
+          break;
+        default:
+          value = 2;
+      }
+      for (index = 0; index < 47; index++) {
+        test.push({ k: chr + index, v: value });
+      }
+    }
+    test.sort(function(a, b) {
+      return b.v - a.v;
+    });
+    for (index = 0; index < test.length; index++) {
+      chr = test[index].k.charAt(0);
+      if (result.charAt(result.length - 1) !== chr)
+        result += chr;
+    }
+    return result !== "DGBEFHACIJK";
+  });
+  var FORCED2 = FAILS_ON_UNDEFINED || !FAILS_ON_NULL || !STRICT_METHOD3 || !STABLE_SORT;
+  var getSortCompare = function(comparefn) {
+    return function(x, y) {
+      if (y === void 0)
+        return -1;
+      if (x === void 0)
+        return 1;
+      if (comparefn !== void 0)
+        return +comparefn(x, y) || 0;
+      return toString3(x) > toString3(y) ? 1 : -1;
+    };
+  };
+  $15({ target: "Array", proto: true, forced: FORCED2 }, {
+    sort: function sort(comparefn) {
+      if (comparefn !== void 0)
+        aFunction(comparefn);
+      var array = toObject3(this);
+      if (STABLE_SORT)
+        return comparefn === void 0 ? nativeSort.call(array) : nativeSort.call(array, comparefn);
+      var items = [];
+      var arrayLength = toLength4(array.length);
+      var itemsLength, index;
+      for (index = 0; index < arrayLength; index++) {
+        if (index in array)
+          items.push(array[index]);
+      }
+      items = internalSort(items, getSortCompare(comparefn));
+      itemsLength = items.length;
+      index = 0;
+      while (index < itemsLength)
+        array[index] = items[index++];
+      while (index < arrayLength)
+        delete array[index++];
+      return array;
+    }
+  });
+
+  // node_modules/core-js/modules/es.symbol.js
+  "use strict";
+  var $16 = require_export();
+  var global4 = require_global();
+  var getBuiltIn = require_get_built_in();
+  var IS_PURE = require_is_pure();
+  var DESCRIPTORS2 = require_descriptors();
+  var NATIVE_SYMBOL = require_native_symbol();
+  var fails3 = require_fails();
+  var has = require_has();
+  var isArray3 = require_is_array();
+  var isObject3 = require_is_object();
+  var isSymbol = require_is_symbol();
+  var anObject = require_an_object();
+  var toObject4 = require_to_object();
+  var toIndexedObject3 = require_to_indexed_object();
   var toPropertyKey = require_to_property_key();
   var $toString = require_to_string();
   var createPropertyDescriptor = require_create_property_descriptor();
@@ -2863,13 +3508,13 @@
   var getOwnPropertyDescriptorModule = require_object_get_own_property_descriptor();
   var definePropertyModule = require_object_define_property();
   var propertyIsEnumerableModule = require_object_property_is_enumerable();
-  var createNonEnumerableProperty2 = require_create_non_enumerable_property();
+  var createNonEnumerableProperty3 = require_create_non_enumerable_property();
   var redefine2 = require_redefine();
   var shared = require_shared();
   var sharedKey = require_shared_key();
   var hiddenKeys = require_hidden_keys();
   var uid = require_uid();
-  var wellKnownSymbol2 = require_well_known_symbol();
+  var wellKnownSymbol4 = require_well_known_symbol();
   var wrappedWellKnownSymbolModule = require_well_known_symbol_wrapped();
   var defineWellKnownSymbol = require_define_well_known_symbol();
   var setToStringTag = require_set_to_string_tag();
@@ -2878,11 +3523,11 @@
   var HIDDEN = sharedKey("hidden");
   var SYMBOL = "Symbol";
   var PROTOTYPE = "prototype";
-  var TO_PRIMITIVE = wellKnownSymbol2("toPrimitive");
+  var TO_PRIMITIVE = wellKnownSymbol4("toPrimitive");
   var setInternalState2 = InternalStateModule2.set;
   var getInternalState2 = InternalStateModule2.getterFor(SYMBOL);
   var ObjectPrototype = Object[PROTOTYPE];
-  var $Symbol = global3.Symbol;
+  var $Symbol = global4.Symbol;
   var $stringify = getBuiltIn("JSON", "stringify");
   var nativeGetOwnPropertyDescriptor = getOwnPropertyDescriptorModule.f;
   var nativeDefineProperty = definePropertyModule.f;
@@ -2893,375 +3538,2486 @@
   var StringToSymbolRegistry = shared("string-to-symbol-registry");
   var SymbolToStringRegistry = shared("symbol-to-string-registry");
   var WellKnownSymbolsStore = shared("wks");
-  var QObject = global3.QObject;
+  var QObject = global4.QObject;
   var USE_SETTER = !QObject || !QObject[PROTOTYPE] || !QObject[PROTOTYPE].findChild;
-  var setSymbolDescriptor = DESCRIPTORS && fails(function() {
+  var setSymbolDescriptor = DESCRIPTORS2 && fails3(function() {
     return nativeObjectCreate(nativeDefineProperty({}, "a", {
       get: function() {
         return nativeDefineProperty(this, "a", { value: 7 }).a;
       }
-    })).a != 7;
-  }) ? function(O, P, Attributes) {
-    var ObjectPrototypeDescriptor = nativeGetOwnPropertyDescriptor(ObjectPrototype, P);
-    if (ObjectPrototypeDescriptor)
-      delete ObjectPrototype[P];
-    nativeDefineProperty(O, P, Attributes);
-    if (ObjectPrototypeDescriptor && O !== ObjectPrototype) {
-      nativeDefineProperty(ObjectPrototype, P, ObjectPrototypeDescriptor);
+    })).a != 7;
+  }) ? function(O, P, Attributes) {
+    var ObjectPrototypeDescriptor = nativeGetOwnPropertyDescriptor(ObjectPrototype, P);
+    if (ObjectPrototypeDescriptor)
+      delete ObjectPrototype[P];
+    nativeDefineProperty(O, P, Attributes);
+    if (ObjectPrototypeDescriptor && O !== ObjectPrototype) {
+      nativeDefineProperty(ObjectPrototype, P, ObjectPrototypeDescriptor);
+    }
+  } : nativeDefineProperty;
+  var wrap = function(tag, description) {
+    var symbol = AllSymbols[tag] = nativeObjectCreate($Symbol[PROTOTYPE]);
+    setInternalState2(symbol, {
+      type: SYMBOL,
+      tag: tag,
+      description: description
+    });
+    if (!DESCRIPTORS2)
+      symbol.description = description;
+    return symbol;
+  };
+  var $defineProperty = function defineProperty2(O, P, Attributes) {
+    if (O === ObjectPrototype)
+      $defineProperty(ObjectPrototypeSymbols, P, Attributes);
+    anObject(O);
+    var key = toPropertyKey(P);
+    anObject(Attributes);
+    if (has(AllSymbols, key)) {
+      if (!Attributes.enumerable) {
+        if (!has(O, HIDDEN))
+          nativeDefineProperty(O, HIDDEN, createPropertyDescriptor(1, {}));
+        O[HIDDEN][key] = true;
+      } else {
+        if (has(O, HIDDEN) && O[HIDDEN][key])
+          O[HIDDEN][key] = false;
+        Attributes = nativeObjectCreate(Attributes, { enumerable: createPropertyDescriptor(0, false) });
+      }
+      return setSymbolDescriptor(O, key, Attributes);
+    }
+    return nativeDefineProperty(O, key, Attributes);
+  };
+  var $defineProperties = function defineProperties(O, Properties) {
+    anObject(O);
+    var properties = toIndexedObject3(Properties);
+    var keys2 = objectKeys(properties).concat($getOwnPropertySymbols(properties));
+    $forEach(keys2, function(key) {
+      if (!DESCRIPTORS2 || $propertyIsEnumerable.call(properties, key))
+        $defineProperty(O, key, properties[key]);
+    });
+    return O;
+  };
+  var $create = function create(O, Properties) {
+    return Properties === void 0 ? nativeObjectCreate(O) : $defineProperties(nativeObjectCreate(O), Properties);
+  };
+  var $propertyIsEnumerable = function propertyIsEnumerable(V) {
+    var P = toPropertyKey(V);
+    var enumerable = nativePropertyIsEnumerable.call(this, P);
+    if (this === ObjectPrototype && has(AllSymbols, P) && !has(ObjectPrototypeSymbols, P))
+      return false;
+    return enumerable || !has(this, P) || !has(AllSymbols, P) || has(this, HIDDEN) && this[HIDDEN][P] ? enumerable : true;
+  };
+  var $getOwnPropertyDescriptor = function getOwnPropertyDescriptor(O, P) {
+    var it = toIndexedObject3(O);
+    var key = toPropertyKey(P);
+    if (it === ObjectPrototype && has(AllSymbols, key) && !has(ObjectPrototypeSymbols, key))
+      return;
+    var descriptor = nativeGetOwnPropertyDescriptor(it, key);
+    if (descriptor && has(AllSymbols, key) && !(has(it, HIDDEN) && it[HIDDEN][key])) {
+      descriptor.enumerable = true;
+    }
+    return descriptor;
+  };
+  var $getOwnPropertyNames = function getOwnPropertyNames(O) {
+    var names = nativeGetOwnPropertyNames(toIndexedObject3(O));
+    var result = [];
+    $forEach(names, function(key) {
+      if (!has(AllSymbols, key) && !has(hiddenKeys, key))
+        result.push(key);
+    });
+    return result;
+  };
+  var $getOwnPropertySymbols = function getOwnPropertySymbols(O) {
+    var IS_OBJECT_PROTOTYPE = O === ObjectPrototype;
+    var names = nativeGetOwnPropertyNames(IS_OBJECT_PROTOTYPE ? ObjectPrototypeSymbols : toIndexedObject3(O));
+    var result = [];
+    $forEach(names, function(key) {
+      if (has(AllSymbols, key) && (!IS_OBJECT_PROTOTYPE || has(ObjectPrototype, key))) {
+        result.push(AllSymbols[key]);
+      }
+    });
+    return result;
+  };
+  if (!NATIVE_SYMBOL) {
+    $Symbol = function Symbol2() {
+      if (this instanceof $Symbol)
+        throw TypeError("Symbol is not a constructor");
+      var description = !arguments.length || arguments[0] === void 0 ? void 0 : $toString(arguments[0]);
+      var tag = uid(description);
+      var setter = function(value) {
+        if (this === ObjectPrototype)
+          setter.call(ObjectPrototypeSymbols, value);
+        if (has(this, HIDDEN) && has(this[HIDDEN], tag))
+          this[HIDDEN][tag] = false;
+        setSymbolDescriptor(this, tag, createPropertyDescriptor(1, value));
+      };
+      if (DESCRIPTORS2 && USE_SETTER)
+        setSymbolDescriptor(ObjectPrototype, tag, { configurable: true, set: setter });
+      return wrap(tag, description);
+    };
+    redefine2($Symbol[PROTOTYPE], "toString", function toString7() {
+      return getInternalState2(this).tag;
+    });
+    redefine2($Symbol, "withoutSetter", function(description) {
+      return wrap(uid(description), description);
+    });
+    propertyIsEnumerableModule.f = $propertyIsEnumerable;
+    definePropertyModule.f = $defineProperty;
+    getOwnPropertyDescriptorModule.f = $getOwnPropertyDescriptor;
+    getOwnPropertyNamesModule.f = getOwnPropertyNamesExternal.f = $getOwnPropertyNames;
+    getOwnPropertySymbolsModule.f = $getOwnPropertySymbols;
+    wrappedWellKnownSymbolModule.f = function(name) {
+      return wrap(wellKnownSymbol4(name), name);
+    };
+    if (DESCRIPTORS2) {
+      nativeDefineProperty($Symbol[PROTOTYPE], "description", {
+        configurable: true,
+        get: function description() {
+          return getInternalState2(this).description;
+        }
+      });
+      if (!IS_PURE) {
+        redefine2(ObjectPrototype, "propertyIsEnumerable", $propertyIsEnumerable, { unsafe: true });
+      }
+    }
+  }
+  $16({ global: true, wrap: true, forced: !NATIVE_SYMBOL, sham: !NATIVE_SYMBOL }, {
+    Symbol: $Symbol
+  });
+  $forEach(objectKeys(WellKnownSymbolsStore), function(name) {
+    defineWellKnownSymbol(name);
+  });
+  $16({ target: SYMBOL, stat: true, forced: !NATIVE_SYMBOL }, {
+    "for": function(key) {
+      var string = $toString(key);
+      if (has(StringToSymbolRegistry, string))
+        return StringToSymbolRegistry[string];
+      var symbol = $Symbol(string);
+      StringToSymbolRegistry[string] = symbol;
+      SymbolToStringRegistry[symbol] = string;
+      return symbol;
+    },
+    keyFor: function keyFor(sym) {
+      if (!isSymbol(sym))
+        throw TypeError(sym + " is not a symbol");
+      if (has(SymbolToStringRegistry, sym))
+        return SymbolToStringRegistry[sym];
+    },
+    useSetter: function() {
+      USE_SETTER = true;
+    },
+    useSimple: function() {
+      USE_SETTER = false;
+    }
+  });
+  $16({ target: "Object", stat: true, forced: !NATIVE_SYMBOL, sham: !DESCRIPTORS2 }, {
+    create: $create,
+    defineProperty: $defineProperty,
+    defineProperties: $defineProperties,
+    getOwnPropertyDescriptor: $getOwnPropertyDescriptor
+  });
+  $16({ target: "Object", stat: true, forced: !NATIVE_SYMBOL }, {
+    getOwnPropertyNames: $getOwnPropertyNames,
+    getOwnPropertySymbols: $getOwnPropertySymbols
+  });
+  $16({ target: "Object", stat: true, forced: fails3(function() {
+    getOwnPropertySymbolsModule.f(1);
+  }) }, {
+    getOwnPropertySymbols: function getOwnPropertySymbols2(it) {
+      return getOwnPropertySymbolsModule.f(toObject4(it));
+    }
+  });
+  if ($stringify) {
+    FORCED_JSON_STRINGIFY = !NATIVE_SYMBOL || fails3(function() {
+      var symbol = $Symbol();
+      return $stringify([symbol]) != "[null]" || $stringify({ a: symbol }) != "{}" || $stringify(Object(symbol)) != "{}";
+    });
+    $16({ target: "JSON", stat: true, forced: FORCED_JSON_STRINGIFY }, {
+      stringify: function stringify(it, replacer, space) {
+        var args = [it];
+        var index = 1;
+        var $replacer;
+        while (arguments.length > index)
+          args.push(arguments[index++]);
+        $replacer = replacer;
+        if (!isObject3(replacer) && it === void 0 || isSymbol(it))
+          return;
+        if (!isArray3(replacer))
+          replacer = function(key, value) {
+            if (typeof $replacer == "function")
+              value = $replacer.call(this, key, value);
+            if (!isSymbol(value))
+              return value;
+          };
+        args[1] = replacer;
+        return $stringify.apply(null, args);
+      }
+    });
+  }
+  var FORCED_JSON_STRINGIFY;
+  if (!$Symbol[PROTOTYPE][TO_PRIMITIVE]) {
+    createNonEnumerableProperty3($Symbol[PROTOTYPE], TO_PRIMITIVE, $Symbol[PROTOTYPE].valueOf);
+  }
+  setToStringTag($Symbol, SYMBOL);
+  hiddenKeys[HIDDEN] = true;
+
+  // node_modules/core-js/modules/es.symbol.description.js
+  "use strict";
+  var $17 = require_export();
+  var DESCRIPTORS3 = require_descriptors();
+  var global5 = require_global();
+  var has2 = require_has();
+  var isObject4 = require_is_object();
+  var defineProperty3 = require_object_define_property().f;
+  var copyConstructorProperties = require_copy_constructor_properties();
+  var NativeSymbol = global5.Symbol;
+  if (DESCRIPTORS3 && typeof NativeSymbol == "function" && (!("description" in NativeSymbol.prototype) || NativeSymbol().description !== void 0)) {
+    EmptyStringDescriptionStore = {};
+    SymbolWrapper = function Symbol2() {
+      var description = arguments.length < 1 || arguments[0] === void 0 ? void 0 : String(arguments[0]);
+      var result = this instanceof SymbolWrapper ? new NativeSymbol(description) : description === void 0 ? NativeSymbol() : NativeSymbol(description);
+      if (description === "")
+        EmptyStringDescriptionStore[result] = true;
+      return result;
+    };
+    copyConstructorProperties(SymbolWrapper, NativeSymbol);
+    symbolPrototype = SymbolWrapper.prototype = NativeSymbol.prototype;
+    symbolPrototype.constructor = SymbolWrapper;
+    symbolToString = symbolPrototype.toString;
+    nativeSymbol = String(NativeSymbol("test")) == "Symbol(test)";
+    regexp = /^Symbol\((.*)\)[^)]+$/;
+    defineProperty3(symbolPrototype, "description", {
+      configurable: true,
+      get: function description() {
+        var symbol = isObject4(this) ? this.valueOf() : this;
+        var string = symbolToString.call(symbol);
+        if (has2(EmptyStringDescriptionStore, symbol))
+          return "";
+        var desc = nativeSymbol ? string.slice(7, -1) : string.replace(regexp, "$1");
+        return desc === "" ? void 0 : desc;
+      }
+    });
+    $17({ global: true, forced: true }, {
+      Symbol: SymbolWrapper
+    });
+  }
+  var EmptyStringDescriptionStore;
+  var SymbolWrapper;
+  var symbolPrototype;
+  var symbolToString;
+  var nativeSymbol;
+  var regexp;
+
+  // node_modules/core-js/modules/es.symbol.iterator.js
+  var defineWellKnownSymbol2 = require_define_well_known_symbol();
+  defineWellKnownSymbol2("iterator");
+
+  // node_modules/core-js/modules/es.array.filter.js
+  "use strict";
+  var $18 = require_export();
+  var $filter = require_array_iteration().filter;
+  var arrayMethodHasSpeciesSupport5 = require_array_method_has_species_support();
+  var HAS_SPECIES_SUPPORT4 = arrayMethodHasSpeciesSupport5("filter");
+  $18({ target: "Array", proto: true, forced: !HAS_SPECIES_SUPPORT4 }, {
+    filter: function filter(callbackfn) {
+      return $filter(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+
+  // srcjs/aria.js
+  var import_es_regexp_exec = __toModule(require_es_regexp_exec());
+
+  // node_modules/core-js/modules/es.string.split.js
+  "use strict";
+  var fixRegExpWellKnownSymbolLogic = require_fix_regexp_well_known_symbol_logic();
+  var isRegExp = require_is_regexp();
+  var anObject2 = require_an_object();
+  var requireObjectCoercible = require_require_object_coercible();
+  var speciesConstructor = require_species_constructor();
+  var advanceStringIndex = require_advance_string_index();
+  var toLength5 = require_to_length();
+  var toString4 = require_to_string();
+  var callRegExpExec = require_regexp_exec_abstract();
+  var regexpExec = require_regexp_exec();
+  var stickyHelpers = require_regexp_sticky_helpers();
+  var fails4 = require_fails();
+  var UNSUPPORTED_Y = stickyHelpers.UNSUPPORTED_Y;
+  var arrayPush = [].push;
+  var min2 = Math.min;
+  var MAX_UINT32 = 4294967295;
+  var SPLIT_WORKS_WITH_OVERWRITTEN_EXEC = !fails4(function() {
+    var re = /(?:)/;
+    var originalExec = re.exec;
+    re.exec = function() {
+      return originalExec.apply(this, arguments);
+    };
+    var result = "ab".split(re);
+    return result.length !== 2 || result[0] !== "a" || result[1] !== "b";
+  });
+  fixRegExpWellKnownSymbolLogic("split", function(SPLIT, nativeSplit, maybeCallNative) {
+    var internalSplit;
+    if ("abbc".split(/(b)*/)[1] == "c" || "test".split(/(?:)/, -1).length != 4 || "ab".split(/(?:ab)*/).length != 2 || ".".split(/(.?)(.?)/).length != 4 || ".".split(/()()/).length > 1 || "".split(/.?/).length) {
+      internalSplit = function(separator, limit) {
+        var string = toString4(requireObjectCoercible(this));
+        var lim = limit === void 0 ? MAX_UINT32 : limit >>> 0;
+        if (lim === 0)
+          return [];
+        if (separator === void 0)
+          return [string];
+        if (!isRegExp(separator)) {
+          return nativeSplit.call(string, separator, lim);
+        }
+        var output = [];
+        var flags2 = (separator.ignoreCase ? "i" : "") + (separator.multiline ? "m" : "") + (separator.unicode ? "u" : "") + (separator.sticky ? "y" : "");
+        var lastLastIndex = 0;
+        var separatorCopy = new RegExp(separator.source, flags2 + "g");
+        var match, lastIndex, lastLength;
+        while (match = regexpExec.call(separatorCopy, string)) {
+          lastIndex = separatorCopy.lastIndex;
+          if (lastIndex > lastLastIndex) {
+            output.push(string.slice(lastLastIndex, match.index));
+            if (match.length > 1 && match.index < string.length)
+              arrayPush.apply(output, match.slice(1));
+            lastLength = match[0].length;
+            lastLastIndex = lastIndex;
+            if (output.length >= lim)
+              break;
+          }
+          if (separatorCopy.lastIndex === match.index)
+            separatorCopy.lastIndex++;
+        }
+        if (lastLastIndex === string.length) {
+          if (lastLength || !separatorCopy.test(""))
+            output.push("");
+        } else
+          output.push(string.slice(lastLastIndex));
+        return output.length > lim ? output.slice(0, lim) : output;
+      };
+    } else if ("0".split(void 0, 0).length) {
+      internalSplit = function(separator, limit) {
+        return separator === void 0 && limit === 0 ? [] : nativeSplit.call(this, separator, limit);
+      };
+    } else
+      internalSplit = nativeSplit;
+    return [
+      function split(separator, limit) {
+        var O = requireObjectCoercible(this);
+        var splitter = separator == void 0 ? void 0 : separator[SPLIT];
+        return splitter !== void 0 ? splitter.call(separator, O, limit) : internalSplit.call(toString4(O), separator, limit);
+      },
+      function(string, limit) {
+        var rx = anObject2(this);
+        var S = toString4(string);
+        var res = maybeCallNative(internalSplit, rx, S, limit, internalSplit !== nativeSplit);
+        if (res.done)
+          return res.value;
+        var C = speciesConstructor(rx, RegExp);
+        var unicodeMatching = rx.unicode;
+        var flags2 = (rx.ignoreCase ? "i" : "") + (rx.multiline ? "m" : "") + (rx.unicode ? "u" : "") + (UNSUPPORTED_Y ? "g" : "y");
+        var splitter = new C(UNSUPPORTED_Y ? "^(?:" + rx.source + ")" : rx, flags2);
+        var lim = limit === void 0 ? MAX_UINT32 : limit >>> 0;
+        if (lim === 0)
+          return [];
+        if (S.length === 0)
+          return callRegExpExec(splitter, S) === null ? [S] : [];
+        var p = 0;
+        var q = 0;
+        var A = [];
+        while (q < S.length) {
+          splitter.lastIndex = UNSUPPORTED_Y ? 0 : q;
+          var z = callRegExpExec(splitter, UNSUPPORTED_Y ? S.slice(q) : S);
+          var e;
+          if (z === null || (e = min2(toLength5(splitter.lastIndex + (UNSUPPORTED_Y ? q : 0)), S.length)) === p) {
+            q = advanceStringIndex(S, q, unicodeMatching);
+          } else {
+            A.push(S.slice(p, q));
+            if (A.length === lim)
+              return A;
+            for (var i = 1; i <= z.length - 1; i++) {
+              A.push(z[i]);
+              if (A.length === lim)
+                return A;
+            }
+            q = p = e;
+          }
+        }
+        A.push(S.slice(p));
+        return A;
+      }
+    ];
+  }, !SPLIT_WORKS_WITH_OVERWRITTEN_EXEC, UNSUPPORTED_Y);
+
+  // node_modules/core-js/modules/es.array.index-of.js
+  "use strict";
+  var $19 = require_export();
+  var $indexOf = require_array_includes().indexOf;
+  var arrayMethodIsStrict4 = require_array_method_is_strict();
+  var nativeIndexOf = [].indexOf;
+  var NEGATIVE_ZERO = !!nativeIndexOf && 1 / [1].indexOf(1, -0) < 0;
+  var STRICT_METHOD4 = arrayMethodIsStrict4("indexOf");
+  $19({ target: "Array", proto: true, forced: NEGATIVE_ZERO || !STRICT_METHOD4 }, {
+    indexOf: function indexOf(searchElement) {
+      return NEGATIVE_ZERO ? nativeIndexOf.apply(this, arguments) || 0 : $indexOf(this, searchElement, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+
+  // srcjs/aria.js
+  function findFocusable(el) {
+    var $el = $(el);
+    var focusable = "input:not([type=hidden]), select, textarea, button, [tabindex]:not([tabindex='-1']), [contenteditable]";
+    if ($el.hasClass("selectized")) {
+      var selectizeInput = $el.siblings(".selectize-control").find(".selectize-input input");
+      if (selectizeInput.length) {
+        return selectizeInput;
+      }
+    }
+    if ($el.is(focusable)) {
+      return $el;
+    }
+    var descendants = $el.find(focusable);
+    return descendants.length ? descendants : $el;
+  }
+  function addIdRef(target, attr, id) {
+    target.each(function() {
+      var ids = (this.getAttribute(attr) || "").split(/\s+/).filter(Boolean);
+      if (ids.indexOf(id) === -1) {
+        ids.push(id);
+      }
+      this.setAttribute(attr, ids.join(" "));
+    });
+  }
+  function removeIdRef(target, attr, id) {
+    target.each(function() {
+      var ids = (this.getAttribute(attr) || "").split(/\s+/).filter(function(x) {
+        return x && x !== id;
+      });
+      if (ids.length) {
+        this.setAttribute(attr, ids.join(" "));
+      } else {
+        this.removeAttribute(attr);
+      }
+    });
+  }
+  var messageIdCounter = 0;
+  function uniqueId(base) {
+    var id = base;
+    while (document.getElementById(id)) {
+      id = base + "-" + ++messageIdCounter;
+    }
+    return id;
+  }
+  function setAriaInvalid(el, msgEl) {
+    var type = arguments.length > 2 && arguments[2] !== void 0 ? arguments[2] : "error";
+    clearAriaInvalid(el);
+    var control = findFocusable(el);
+    if (type === "error") {
+      control.attr("aria-invalid", "true");
+    }
+    var msgIds = $(msgEl || []).map(function(i, msg) {
+      if (!msg.id) {
+        msg.id = uniqueId((el.id || "shinyvalidate") + "-sv-message");
+      }
+      return msg.id;
+    }).get();
+    if (msgIds.length > 0) {
+      msgIds.forEach(function(msgId) {
+        addIdRef(control, "aria-describedby", msgId);
+      });
+      if (type === "error" && msgIds.length === 1) {
+        control.attr("aria-errormessage", msgIds[0]);
+      }
+      $(el).data("shinyvalidate-message-ids", msgIds);
+    }
+  }
+  function clearAriaInvalid(el) {
+    var control = findFocusable(el);
+    control.removeAttr("aria-invalid");
+    var msgIds = $(el).data("shinyvalidate-message-ids");
+    if (msgIds) {
+      msgIds.forEach(function(msgId) {
+        removeIdRef(control, "aria-describedby", msgId);
+      });
+      control.each(function() {
+        if (msgIds.indexOf(this.getAttribute("aria-errormessage")) !== -1) {
+          this.removeAttribute("aria-errormessage");
+        }
+      });
+      $(el).removeData("shinyvalidate-message-ids");
+    }
+  }
+
+  // node_modules/core-js/modules/es.string.trim.js
+  "use strict";
+  var $20 = require_export();
+  var $trim = require_string_trim().trim;
+  var forcedStringTrimMethod = require_string_trim_forced();
+  $20({ target: "String", proto: true, forced: forcedStringTrimMethod("trim") }, {
+    trim: function trim() {
+      return $trim(this);
+    }
+  });
+
+  // srcjs/messages.js
+  function asArray(x) {
+    return Array.isArray(x) ? x : [x];
+  }
+  function messageList(data) {
+    if (data.messages) {
+      return asArray(data.messages);
+    }
+    return [{
+      type: data.type,
+      message: data.message,
+      is_html: data.is_html
+    }];
+  }
+  function messageText(data) {
+    if (!data.is_html) {
+      return String(data.message);
+    }
+    var doc = new DOMParser().parseFromString(String(data.message), "text/html");
+    return doc.body.textContent.trim();
+  }
+  function renderMessages(target, data) {
+    var messages = messageList(data);
+    if (messages.length <= 1) {
+      var method = data.is_html ? "html" : "text";
+      return target[method](data.message);
+    }
+    var list = $(document.createElement("ul")).addClass("sv-message-list");
+    messages.forEach(function(message) {
+      var method2 = message.is_html ? "html" : "text";
+      list.append($(document.createElement("li")).addClass("sv-message-item sv-message-" + message.type)[method2](message.message));
+    });
+    return target.empty().append(list);
+  }
+
+  // srcjs/summary.js
+  var import_es_array_iterator = __toModule(require_es_array_iterator());
+  var import_es_map = __toModule(require_es_map());
+  function _slicedToArray(arr, i) {
+    return _arrayWithHoles(arr) || _iterableToArrayLimit(arr, i) || _unsupportedIterableToArray(arr, i) || _nonIterableRest();
+  }
+  function _nonIterableRest() {
+    throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
+  }
+  function _unsupportedIterableToArray(o, minLen) {
+    if (!o)
+      return;
+    if (typeof o === "string")
+      return _arrayLikeToArray(o, minLen);
+    var n = Object.prototype.toString.call(o).slice(8, -1);
+    if (n === "Object" && o.constructor)
+      n = o.constructor.name;
+    if (n === "Map" || n === "Set")
+      return Array.from(o);
+    if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))
+      return _arrayLikeToArray(o, minLen);
+  }
+  function _arrayLikeToArray(arr, len) {
+    if (len == null || len > arr.length)
+      len = arr.length;
+    for (var i = 0, arr2 = new Array(len); i < len; i++) {
+      arr2[i] = arr[i];
+    }
+    return arr2;
+  }
+  function _iterableToArrayLimit(arr, i) {
+    var _i = arr == null ? null : typeof Symbol !== "undefined" && arr[Symbol.iterator] || arr["@@iterator"];
+    if (_i == null)
+      return;
+    var _arr = [];
+    var _n = true;
+    var _d = false;
+    var _s, _e;
+    try {
+      for (_i = _i.call(arr); !(_n = (_s = _i.next()).done); _n = true) {
+        _arr.push(_s.value);
+        if (i && _arr.length === i)
+          break;
+      }
+    } catch (err) {
+      _d = true;
+      _e = err;
+    } finally {
+      try {
+        if (!_n && _i["return"] != null)
+          _i["return"]();
+      } finally {
+        if (_d)
+          throw _e;
+      }
+    }
+    return _arr;
+  }
+  function _arrayWithHoles(arr) {
+    if (Array.isArray(arr))
+      return arr;
+  }
+  var namespaces = new Map();
+  function namespaceOf(id) {
+    return namespaces.get(id) || "";
+  }
+  function setNamespaces(message) {
+    for (var _i = 0, _Object$entries = Object.entries(message.namespaces || {}); _i < _Object$entries.length; _i++) {
+      var _Object$entries$_i = _slicedToArray(_Object$entries[_i], 2), id = _Object$entries$_i[0], ns = _Object$entries$_i[1];
+      namespaces.set(id, String(ns));
+    }
+  }
+  function compareDocumentPosition(a, b) {
+    if (a.el === b.el) {
+      return 0;
+    }
+    return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  }
+  var inputEls = new Map();
+  function inputLink(id) {
+    return $(document.createElement("a")).attr("href", "#" + id).attr("data-sv-input-id", id);
+  }
+  function inputLabel(id) {
+    var label = document.getElementById(id + "-label");
+    var text = label ? $(label).text().trim() : "";
+    return text || id;
+  }
+  function renderItems(entry) {
+    return messageList(entry.data).map(function(message) {
+      var item = $(document.createElement("li")).addClass("shinyvalidate-summary-item sv-summary-" + message.type);
+      if (!message.is_html) {
+        return item.append(inputLink(entry.id).text(message.message));
+      }
+      return item.append(inputLink(entry.id).addClass("shinyvalidate-summary-input").text(inputLabel(entry.id))).append(" ").append($(document.createElement("span")).addClass("shinyvalidate-summary-message").html(message.message));
+    });
+  }
+  function renderList(entries2) {
+    var list = $(document.createElement("ul")).addClass("shinyvalidate-summary-list");
+    var groups = new Map();
+    entries2.forEach(function(entry) {
+      var ns = namespaceOf(entry.id);
+      if (!groups.has(ns)) {
+        groups.set(ns, []);
+      }
+      groups.get(ns).push(entry);
+    });
+    groups.forEach(function(groupEntries, ns) {
+      var items = [].concat.apply([], groupEntries.map(renderItems));
+      if (ns === "") {
+        list.append(items);
+        return;
+      }
+      var group = $(document.createElement("li")).addClass("shinyvalidate-summary-group").attr("data-sv-namespace", ns).append($(document.createElement("span")).addClass("shinyvalidate-summary-group-label").text(ns)).append($(document.createElement("ul")).append(items));
+      list.append(group);
+    });
+    return list;
+  }
+  function renderedKey(entries2) {
+    return JSON.stringify(entries2.map(function(entry) {
+      return [entry.id, namespaceOf(entry.id), messageList(entry.data).map(function(message) {
+        return [message.type, Boolean(message.is_html), message.message];
+      })];
+    }));
+  }
+  function updateSummaries(entries2) {
+    var summaries = $(".shinyvalidate-summary");
+    if (summaries.length === 0) {
+      return;
+    }
+    inputEls.clear();
+    entries2.forEach(function(entry) {
+      inputEls.set(entry.id, entry.el);
+    });
+    entries2 = entries2.slice().sort(compareDocumentPosition);
+    var key = renderedKey(entries2);
+    summaries.each(function(i, summary) {
+      if ($(summary).data("shinyvalidate-rendered") === key) {
+        return;
+      }
+      $(summary).children(".shinyvalidate-summary-list").replaceWith(renderList(entries2));
+      summary.hidden = entries2.length === 0;
+      $(summary).data("shinyvalidate-rendered", key);
+    });
+  }
+  $(document).on("click", ".shinyvalidate-summary a[data-sv-input-id]", function(e) {
+    var input = inputEls.get($(this).attr("data-sv-input-id"));
+    if (!input || !document.documentElement.contains(input)) {
+      return;
+    }
+    e.preventDefault();
+    input.scrollIntoView({
+      block: "center"
+    });
+    findFocusable(input).first().trigger("focus");
+  });
+
+  // srcjs/ancestors.js
+  var import_es_array_iterator2 = __toModule(require_es_array_iterator());
+  var import_es_map2 = __toModule(require_es_map());
+  var import_es_set = __toModule(require_es_set());
+  var markedOwners = [];
+  function findOwner(section) {
+    var $section = $(section);
+    var id = section.id;
+    if ($section.is(".tab-pane") && id) {
+      var selector = ["href", "data-bs-target", "data-target"].map(function(attr) {
+        return ".nav [" + attr + '="#' + id + '"]';
+      }).join(", ");
+      return $(selector).first();
+    }
+    if ($section.is(".accordion-collapse")) {
+      return $section.closest(".accordion-item").find(".accordion-button").first();
+    }
+    if ($section.is(".panel-collapse")) {
+      return $section.closest(".panel").children(".panel-heading").first();
+    }
+    if ($section.is(".card, .panel")) {
+      return $section.children(".card-header, .panel-heading").first();
+    }
+    return $();
+  }
+  function updateAncestors(entries2) {
+    var counts = new Map();
+    entries2.forEach(function(entry) {
+      if (entry.data.type !== "error") {
+        return;
+      }
+      var owners = new Set();
+      $(entry.el).parents(".tab-pane, .accordion-collapse, .panel-collapse, .card, .panel").each(function(i, section) {
+        var owner = findOwner(section)[0];
+        if (owner) {
+          owners.add(owner);
+        }
+      });
+      owners.forEach(function(owner) {
+        counts.set(owner, (counts.get(owner) || 0) + 1);
+      });
+    });
+    markedOwners.forEach(function(owner) {
+      if (!counts.has(owner)) {
+        $(owner).removeClass("sv-contains-invalid").children(".sv-invalid-badge").remove();
+      }
+    });
+    counts.forEach(function(count, owner) {
+      var badge = $(owner).addClass("sv-contains-invalid").children(".sv-invalid-badge");
+      if (badge.length === 0) {
+        badge = $(document.createElement("span")).addClass("badge sv-invalid-badge").appendTo(owner);
+      } else if (badge.attr("data-sv-count") === String(count)) {
+        return;
+      }
+      badge.attr("data-sv-count", count).empty().append(document.createTextNode(String(count))).append($(document.createElement("span")).addClass("sv-visually-hidden").text(count === 1 ? " error" : " errors"));
+    });
+    markedOwners = Array.from(counts.keys());
+  }
+
+  // srcjs/rules.js
+  var import_es_array_iterator3 = __toModule(require_es_array_iterator());
+  var import_es_map3 = __toModule(require_es_map());
+
+  // node_modules/core-js/modules/es.array.every.js
+  "use strict";
+  var $21 = require_export();
+  var $every = require_array_iteration().every;
+  var arrayMethodIsStrict5 = require_array_method_is_strict();
+  var STRICT_METHOD5 = arrayMethodIsStrict5("every");
+  $21({ target: "Array", proto: true, forced: !STRICT_METHOD5 }, {
+    every: function every(callbackfn) {
+      return $every(this, callbackfn, arguments.length > 1 ? arguments[1] : void 0);
+    }
+  });
+
+  // srcjs/rules.js
+  var import_es_regexp_exec2 = __toModule(require_es_regexp_exec());
+
+  // node_modules/core-js/modules/es.string.replace.js
+  "use strict";
+  var fixRegExpWellKnownSymbolLogic2 = require_fix_regexp_well_known_symbol_logic();
+  var fails5 = require_fails();
+  var anObject3 = require_an_object();
+  var toInteger2 = require_to_integer();
+  var toLength6 = require_to_length();
+  var toString5 = require_to_string();
+  var requireObjectCoercible2 = require_require_object_coercible();
+  var advanceStringIndex2 = require_advance_string_index();
+  var getSubstitution = require_get_substitution();
+  var regExpExec = require_regexp_exec_abstract();
+  var wellKnownSymbol5 = require_well_known_symbol();
+  var REPLACE = wellKnownSymbol5("replace");
+  var max3 = Math.max;
+  var min3 = Math.min;
+  var maybeToString = function(it) {
+    return it === void 0 ? it : String(it);
+  };
+  var REPLACE_KEEPS_$0 = function() {
+    return "a".replace(/./, "$0") === "$0";
+  }();
+  var REGEXP_REPLACE_SUBSTITUTES_UNDEFINED_CAPTURE = function() {
+    if (/./[REPLACE]) {
+      return /./[REPLACE]("a", "$0") === "";
+    }
+    return false;
+  }();
+  var REPLACE_SUPPORTS_NAMED_GROUPS = !fails5(function() {
+    var re = /./;
+    re.exec = function() {
+      var result = [];
+      result.groups = { a: "7" };
+      return result;
+    };
+    return "".replace(re, "$<a>") !== "7";
+  });
+  fixRegExpWellKnownSymbolLogic2("replace", function(_7, nativeReplace, maybeCallNative) {
+    var UNSAFE_SUBSTITUTE = REGEXP_REPLACE_SUBSTITUTES_UNDEFINED_CAPTURE ? "$" : "$0";
+    return [
+      function replace(searchValue, replaceValue) {
+        var O = requireObjectCoercible2(this);
+        var replacer = searchValue == void 0 ? void 0 : searchValue[REPLACE];
+        return replacer !== void 0 ? replacer.call(searchValue, O, replaceValue) : nativeReplace.call(toString5(O), searchValue, replaceValue);
+      },
+      function(string, replaceValue) {
+        var rx = anObject3(this);
+        var S = toString5(string);
+        if (typeof replaceValue === "string" && replaceValue.indexOf(UNSAFE_SUBSTITUTE) === -1 && replaceValue.indexOf("$<") === -1) {
+          var res = maybeCallNative(nativeReplace, rx, S, replaceValue);
+          if (res.done)
+            return res.value;
+        }
+        var functionalReplace = typeof replaceValue === "function";
+        if (!functionalReplace)
+          replaceValue = toString5(replaceValue);
+        var global8 = rx.global;
+        if (global8) {
+          var fullUnicode = rx.unicode;
+          rx.lastIndex = 0;
+        }
+        var results = [];
+        while (true) {
+          var result = regExpExec(rx, S);
+          if (result === null)
+            break;
+          results.push(result);
+          if (!global8)
+            break;
+          var matchStr = toString5(result[0]);
+          if (matchStr === "")
+            rx.lastIndex = advanceStringIndex2(S, toLength6(rx.lastIndex), fullUnicode);
+        }
+        var accumulatedResult = "";
+        var nextSourcePosition = 0;
+        for (var i = 0; i < results.length; i++) {
+          result = results[i];
+          var matched = toString5(result[0]);
+          var position = max3(min3(toInteger2(result.index), S.length), 0);
+          var captures = [];
+          for (var j = 1; j < result.length; j++)
+            captures.push(maybeToString(result[j]));
+          var namedCaptures = result.groups;
+          if (functionalReplace) {
+            var replacerArgs = [matched].concat(captures, position, S);
+            if (namedCaptures !== void 0)
+              replacerArgs.push(namedCaptures);
+            var replacement = toString5(replaceValue.apply(void 0, replacerArgs));
+          } else {
+            replacement = getSubstitution(matched, S, position, captures, namedCaptures, replaceValue);
+          }
+          if (position >= nextSourcePosition) {
+            accumulatedResult += S.slice(nextSourcePosition, position) + replacement;
+            nextSourcePosition = position + matched.length;
+          }
+        }
+        return accumulatedResult + S.slice(nextSourcePosition);
+      }
+    ];
+  }, !REPLACE_SUPPORTS_NAMED_GROUPS || !REPLACE_KEEPS_$0 || REGEXP_REPLACE_SUBSTITUTES_UNDEFINED_CAPTURE);
+
+  // node_modules/core-js/modules/es.regexp.constructor.js
+  var DESCRIPTORS4 = require_descriptors();
+  var global6 = require_global();
+  var isForced = require_is_forced();
+  var inheritIfRequired = require_inherit_if_required();
+  var createNonEnumerableProperty4 = require_create_non_enumerable_property();
+  var defineProperty4 = require_object_define_property().f;
+  var getOwnPropertyNames2 = require_object_get_own_property_names().f;
+  var isRegExp2 = require_is_regexp();
+  var toString6 = require_to_string();
+  var getFlags = require_regexp_flags();
+  var stickyHelpers2 = require_regexp_sticky_helpers();
+  var redefine3 = require_redefine();
+  var fails6 = require_fails();
+  var has3 = require_has();
+  var enforceInternalState = require_internal_state().enforce;
+  var setSpecies = require_set_species();
+  var wellKnownSymbol6 = require_well_known_symbol();
+  var UNSUPPORTED_DOT_ALL = require_regexp_unsupported_dot_all();
+  var UNSUPPORTED_NCG = require_regexp_unsupported_ncg();
+  var MATCH = wellKnownSymbol6("match");
+  var NativeRegExp = global6.RegExp;
+  var RegExpPrototype = NativeRegExp.prototype;
+  var IS_NCG = /^\?<[^\s\d!#%&*+<=>@^][^\s!#%&*+<=>@^]*>/;
+  var re1 = /a/g;
+  var re2 = /a/g;
+  var CORRECT_NEW = new NativeRegExp(re1) !== re1;
+  var UNSUPPORTED_Y2 = stickyHelpers2.UNSUPPORTED_Y;
+  var BASE_FORCED = DESCRIPTORS4 && (!CORRECT_NEW || UNSUPPORTED_Y2 || UNSUPPORTED_DOT_ALL || UNSUPPORTED_NCG || fails6(function() {
+    re2[MATCH] = false;
+    return NativeRegExp(re1) != re1 || NativeRegExp(re2) == re2 || NativeRegExp(re1, "i") != "/a/i";
+  }));
+  var handleDotAll = function(string) {
+    var length = string.length;
+    var index = 0;
+    var result = "";
+    var brackets = false;
+    var chr;
+    for (; index <= length; index++) {
+      chr = string.charAt(index);
+      if (chr === "\\") {
+        result += chr + string.charAt(++index);
+        continue;
+      }
+      if (!brackets && chr === ".") {
+        result += "[\\s\\S]";
+      } else {
+        if (chr === "[") {
+          brackets = true;
+        } else if (chr === "]") {
+          brackets = false;
+        }
+        result += chr;
+      }
+    }
+    return result;
+  };
+  var handleNCG = function(string) {
+    var length = string.length;
+    var index = 0;
+    var result = "";
+    var named = [];
+    var names = {};
+    var brackets = false;
+    var ncg = false;
+    var groupid = 0;
+    var groupname = "";
+    var chr;
+    for (; index <= length; index++) {
+      chr = string.charAt(index);
+      if (chr === "\\") {
+        chr = chr + string.charAt(++index);
+      } else if (chr === "]") {
+        brackets = false;
+      } else if (!brackets)
+        switch (true) {
+          case chr === "[":
+            brackets = true;
+            break;
+          case chr === "(":
+            if (IS_NCG.test(string.slice(index + 1))) {
+              index += 2;
+              ncg = true;
+            }
+            result += chr;
+            groupid++;
+            continue;
+          case (chr === ">" && ncg):
+            if (groupname === "" || has3(names, groupname)) {
+              throw new SyntaxError("Invalid capture group name");
+            }
+            names[groupname] = true;
+            named.push([groupname, groupid]);
+            ncg = false;
+            groupname = "";
+            continue;
+        }
+      if (ncg)
+        groupname += chr;
+      else
+        result += chr;
+    }
+    return [result, named];
+  };
+  if (isForced("RegExp", BASE_FORCED)) {
+    RegExpWrapper = function RegExp2(pattern2, flags2) {
+      var thisIsRegExp = this instanceof RegExpWrapper;
+      var patternIsRegExp = isRegExp2(pattern2);
+      var flagsAreUndefined = flags2 === void 0;
+      var groups = [];
+      var rawPattern = pattern2;
+      var rawFlags, dotAll, sticky, handled, result, state;
+      if (!thisIsRegExp && patternIsRegExp && flagsAreUndefined && pattern2.constructor === RegExpWrapper) {
+        return pattern2;
+      }
+      if (patternIsRegExp || pattern2 instanceof RegExpWrapper) {
+        pattern2 = pattern2.source;
+        if (flagsAreUndefined)
+          flags2 = "flags" in rawPattern ? rawPattern.flags : getFlags.call(rawPattern);
+      }
+      pattern2 = pattern2 === void 0 ? "" : toString6(pattern2);
+      flags2 = flags2 === void 0 ? "" : toString6(flags2);
+      rawPattern = pattern2;
+      if (UNSUPPORTED_DOT_ALL && "dotAll" in re1) {
+        dotAll = !!flags2 && flags2.indexOf("s") > -1;
+        if (dotAll)
+          flags2 = flags2.replace(/s/g, "");
+      }
+      rawFlags = flags2;
+      if (UNSUPPORTED_Y2 && "sticky" in re1) {
+        sticky = !!flags2 && flags2.indexOf("y") > -1;
+        if (sticky)
+          flags2 = flags2.replace(/y/g, "");
+      }
+      if (UNSUPPORTED_NCG) {
+        handled = handleNCG(pattern2);
+        pattern2 = handled[0];
+        groups = handled[1];
+      }
+      result = inheritIfRequired(NativeRegExp(pattern2, flags2), thisIsRegExp ? this : RegExpPrototype, RegExpWrapper);
+      if (dotAll || sticky || groups.length) {
+        state = enforceInternalState(result);
+        if (dotAll) {
+          state.dotAll = true;
+          state.raw = RegExpWrapper(handleDotAll(pattern2), rawFlags);
+        }
+        if (sticky)
+          state.sticky = true;
+        if (groups.length)
+          state.groups = groups;
+      }
+      if (pattern2 !== rawPattern)
+        try {
+          createNonEnumerableProperty4(result, "source", rawPattern === "" ? "(?:)" : rawPattern);
+        } catch (error) {
+        }
+      return result;
+    };
+    proxy = function(key) {
+      key in RegExpWrapper || defineProperty4(RegExpWrapper, key, {
+        configurable: true,
+        get: function() {
+          return NativeRegExp[key];
+        },
+        set: function(it) {
+          NativeRegExp[key] = it;
+        }
+      });
+    };
+    for (keys2 = getOwnPropertyNames2(NativeRegExp), index = 0; keys2.length > index; ) {
+      proxy(keys2[index++]);
+    }
+    RegExpPrototype.constructor = RegExpWrapper;
+    RegExpWrapper.prototype = RegExpPrototype;
+    redefine3(global6, "RegExp", RegExpWrapper);
+  }
+  var RegExpWrapper;
+  var proxy;
+  var keys2;
+  var index;
+  setSpecies("RegExp");
+
+  // node_modules/core-js/modules/es.regexp.to-string.js
+  "use strict";
+  var redefine4 = require_redefine();
+  var anObject4 = require_an_object();
+  var $toString2 = require_to_string();
+  var fails7 = require_fails();
+  var flags = require_regexp_flags();
+  var TO_STRING = "toString";
+  var RegExpPrototype2 = RegExp.prototype;
+  var nativeToString = RegExpPrototype2[TO_STRING];
+  var NOT_GENERIC = fails7(function() {
+    return nativeToString.call({ source: "a", flags: "b" }) != "/a/b";
+  });
+  var INCORRECT_NAME = nativeToString.name != TO_STRING;
+  if (NOT_GENERIC || INCORRECT_NAME) {
+    redefine4(RegExp.prototype, TO_STRING, function toString7() {
+      var R = anObject4(this);
+      var p = $toString2(R.source);
+      var rf = R.flags;
+      var f = $toString2(rf === void 0 && R instanceof RegExp && !("flags" in RegExpPrototype2) ? flags.call(R) : rf);
+      return "/" + p + "/" + f;
+    }, { unsafe: true });
+  }
+
+  // node_modules/core-js/modules/es.string.fixed.js
+  "use strict";
+  var $22 = require_export();
+  var createHTML = require_create_html();
+  var forcedStringHTMLMethod = require_string_html_forced();
+  $22({ target: "String", proto: true, forced: forcedStringHTMLMethod("fixed") }, {
+    fixed: function fixed() {
+      return createHTML(this, "tt", "", "");
+    }
+  });
+
+  // srcjs/rules.js
+  function _createForOfIteratorHelper(o, allowArrayLike) {
+    var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"];
+    if (!it) {
+      if (Array.isArray(o) || (it = _unsupportedIterableToArray2(o)) || allowArrayLike && o && typeof o.length === "number") {
+        if (it)
+          o = it;
+        var i = 0;
+        var F = function F2() {
+        };
+        return { s: F, n: function n() {
+          if (i >= o.length)
+            return { done: true };
+          return { done: false, value: o[i++] };
+        }, e: function e(_e2) {
+          throw _e2;
+        }, f: F };
+      }
+      throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
+    }
+    var normalCompletion = true, didErr = false, err;
+    return { s: function s() {
+      it = it.call(o);
+    }, n: function n() {
+      var step = it.next();
+      normalCompletion = step.done;
+      return step;
+    }, e: function e(_e3) {
+      didErr = true;
+      err = _e3;
+    }, f: function f() {
+      try {
+        if (!normalCompletion && it.return != null)
+          it.return();
+      } finally {
+        if (didErr)
+          throw err;
+      }
+    } };
+  }
+  function _slicedToArray2(arr, i) {
+    return _arrayWithHoles2(arr) || _iterableToArrayLimit2(arr, i) || _unsupportedIterableToArray2(arr, i) || _nonIterableRest2();
+  }
+  function _nonIterableRest2() {
+    throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
+  }
+  function _unsupportedIterableToArray2(o, minLen) {
+    if (!o)
+      return;
+    if (typeof o === "string")
+      return _arrayLikeToArray2(o, minLen);
+    var n = Object.prototype.toString.call(o).slice(8, -1);
+    if (n === "Object" && o.constructor)
+      n = o.constructor.name;
+    if (n === "Map" || n === "Set")
+      return Array.from(o);
+    if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))
+      return _arrayLikeToArray2(o, minLen);
+  }
+  function _arrayLikeToArray2(arr, len) {
+    if (len == null || len > arr.length)
+      len = arr.length;
+    for (var i = 0, arr2 = new Array(len); i < len; i++) {
+      arr2[i] = arr[i];
+    }
+    return arr2;
+  }
+  function _iterableToArrayLimit2(arr, i) {
+    var _i = arr == null ? null : typeof Symbol !== "undefined" && arr[Symbol.iterator] || arr["@@iterator"];
+    if (_i == null)
+      return;
+    var _arr = [];
+    var _n = true;
+    var _d = false;
+    var _s, _e;
+    try {
+      for (_i = _i.call(arr); !(_n = (_s = _i.next()).done); _n = true) {
+        _arr.push(_s.value);
+        if (i && _arr.length === i)
+          break;
+      }
+    } catch (err) {
+      _d = true;
+      _e = err;
+    } finally {
+      try {
+        if (!_n && _i["return"] != null)
+          _i["return"]();
+      } finally {
+        if (_d)
+          throw _e;
+      }
+    }
+    return _arr;
+  }
+  function _arrayWithHoles2(arr) {
+    if (Array.isArray(arr))
+      return arr;
+  }
+  function _typeof(obj) {
+    "@babel/helpers - typeof";
+    if (typeof Symbol === "function" && typeof Symbol.iterator === "symbol") {
+      _typeof = function _typeof4(obj2) {
+        return typeof obj2;
+      };
+    } else {
+      _typeof = function _typeof4(obj2) {
+        return obj2 && typeof Symbol === "function" && obj2.constructor === Symbol && obj2 !== Symbol.prototype ? "symbol" : typeof obj2;
+      };
+    }
+    return _typeof(obj);
+  }
+  var ruleSpecs = new Map();
+  var SKIP = {};
+  var errMsgZeroLengthValue = {
+    message: "Must not contain zero values.",
+    key: "zero_length_value"
+  };
+  var errMsgAllowMultiple = {
+    message: "Must not contain multiple values.",
+    key: "allow_multiple"
+  };
+  var errMsgAllowNA = {
+    message: "Must not contain `NA` values.",
+    key: "allow_na"
+  };
+  var errMsgAllowNaN = {
+    message: "Must not contain `NaN` values.",
+    key: "allow_nan"
+  };
+  var errMsgAllowInfinite = {
+    message: "Must not contain infinite values.",
+    key: "allow_infinite"
+  };
+  function specMessage(spec) {
+    return {
+      message: spec.message,
+      key: spec.key,
+      params: spec.params
+    };
+  }
+  function asArray2(x) {
+    return Array.isArray(x) ? x : [x];
+  }
+  function toVector(value, inputType) {
+    if (value === null || value === void 0) {
+      return /^shiny\.number/.test(inputType || "") ? [null] : [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+  function isNaNValue(x) {
+    return typeof x === "number" && isNaN(x);
+  }
+  function isNA(x) {
+    return x === null || isNaNValue(x);
+  }
+  function inputProvided(value, values2, inputType) {
+    if (value !== null && _typeof(value) === "object" && !Array.isArray(value)) {
+      return true;
+    }
+    if (values2.length === 0) {
+      return false;
+    }
+    if (values2.every(isNA)) {
+      return false;
+    }
+    var isCharacter = values2.every(function(x) {
+      return x === null || typeof x === "string";
+    });
+    if (isCharacter && !values2.some(function(x) {
+      return typeof x === "string" && x !== "";
+    })) {
+      return false;
+    }
+    if (/^shiny\.action/.test(inputType || "") && value === 0) {
+      return false;
+    }
+    return true;
+  }
+  function checkBasic(values2, spec) {
+    if (!spec.allow_multiple && values2.length !== 1) {
+      return errMsgAllowMultiple;
+    }
+    if (!spec.allow_na && values2.some(function(x) {
+      return x === null;
+    })) {
+      return errMsgAllowNA;
+    }
+    if (!spec.allow_nan && values2.some(isNaNValue)) {
+      return errMsgAllowNaN;
+    }
+    if (!spec.allow_inf && values2.some(function(x) {
+      return x === Infinity || x === -Infinity;
+    })) {
+      return errMsgAllowInfinite;
+    }
+    return null;
+  }
+  function isNumberVector(values2) {
+    return values2.every(function(x) {
+      return x === null || typeof x === "number";
+    });
+  }
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+  var comparisons = {
+    ">": function _(a, b) {
+      return a > b;
+    },
+    ">=": function _2(a, b) {
+      return a >= b;
+    },
+    "<": function _3(a, b) {
+      return a < b;
+    },
+    "<=": function _4(a, b) {
+      return a <= b;
+    },
+    "==": function _5(a, b) {
+      return a === b;
+    },
+    "!=": function _6(a, b) {
+      return a !== b;
+    }
+  };
+  var rules = {
+    required: function required(spec, values2, value, inputType) {
+      return inputProvided(value, values2, inputType) ? null : specMessage(spec);
+    },
+    optional: function optional(spec, values2, value, inputType) {
+      return inputProvided(value, values2, inputType) ? null : SKIP;
+    },
+    regex: function regex(spec, values2) {
+      if (values2.length !== 1 || values2[0] !== null && _typeof(values2[0]) === "object") {
+        return void 0;
+      }
+      var regex2;
+      try {
+        regex2 = new RegExp(spec.fixed ? escapeRegExp(spec.pattern) : spec.pattern, spec.ignore_case ? "i" : "");
+      } catch (e) {
+        return void 0;
+      }
+      var result = values2[0] !== null && regex2.test(String(values2[0]));
+      if (spec.invert) {
+        result = !result;
+      }
+      return result ? null : specMessage(spec);
+    },
+    pattern: function pattern(spec, values2) {
+      var basic = checkBasic(values2, {
+        allow_multiple: spec.allow_multiple,
+        allow_na: spec.allow_na,
+        allow_nan: false,
+        allow_inf: false
+      });
+      if (basic !== null) {
+        return basic;
+      }
+      var regex2;
+      try {
+        regex2 = new RegExp(spec.pattern, "i");
+      } catch (e) {
+        return void 0;
+      }
+      var ok = values2.every(function(x) {
+        return isNA(x) || regex2.test(String(x));
+      });
+      return ok ? null : specMessage(spec);
+    },
+    numeric: function numeric(spec, values2) {
+      var basic = checkBasic(values2, spec);
+      if (basic !== null) {
+        return basic;
+      }
+      if (values2.length === 0) {
+        return errMsgZeroLengthValue;
+      }
+      return isNumberVector(values2) ? null : specMessage(spec);
+    },
+    integer: function integer(spec, values2) {
+      var basic = checkBasic(values2, {
+        allow_multiple: spec.allow_multiple,
+        allow_na: spec.allow_na,
+        allow_nan: spec.allow_nan,
+        allow_inf: false
+      });
+      if (basic !== null) {
+        return basic;
+      }
+      if (values2.length === 0) {
+        return errMsgZeroLengthValue;
+      }
+      if (!isNumberVector(values2)) {
+        return void 0;
+      }
+      var ok = values2.every(function(x) {
+        return isNA(x) || x % 1 === 0;
+      });
+      return ok ? null : specMessage(spec);
+    },
+    between: function between(spec, values2) {
+      var basic = checkBasic(values2, {
+        allow_multiple: true,
+        allow_na: spec.allow_na,
+        allow_nan: spec.allow_nan,
+        allow_inf: true
+      });
+      if (basic !== null) {
+        return basic;
+      }
+      if (!isNumberVector(values2)) {
+        return void 0;
+      }
+      var inclusive = asArray2(spec.inclusive);
+      var outside = values2.some(function(x) {
+        if (isNA(x)) {
+          return false;
+        }
+        var leftOfLeft = inclusive[0] ? x < spec.left : x <= spec.left;
+        var rightOfRight = inclusive[1] ? x > spec.right : x >= spec.right;
+        return leftOfLeft || rightOfRight;
+      });
+      return outside ? specMessage(spec) : null;
+    },
+    in_set: function in_set(spec, values2) {
+      var set = asArray2(spec.set);
+      var ok = values2.every(function(x) {
+        return set.some(function(member) {
+          if (x === null || member === null) {
+            return x === member;
+          }
+          if (typeof x === "number" && typeof member === "number") {
+            return x === member;
+          }
+          return String(x) === String(member);
+        });
+      });
+      return ok ? null : specMessage(spec);
+    },
+    compare: function compare(spec, values2) {
+      var basic = checkBasic(values2, spec);
+      if (basic !== null) {
+        return basic;
+      }
+      if (!isNumberVector(values2) || !comparisons[spec.operator]) {
+        return void 0;
+      }
+      var ok = values2.every(function(x) {
+        return isNA(x) || comparisons[spec.operator](x, spec.rhs);
+      });
+      return ok ? null : specMessage(spec);
+    },
+    compose: function compose(spec, values2, value, inputType) {
+      var specs = asArray2(spec.rules);
+      for (var i = 0; i < specs.length; i++) {
+        var result = evaluateSpec(specs[i], values2, value, inputType);
+        if (result !== null) {
+          return result;
+        }
+      }
+      return null;
     }
-  } : nativeDefineProperty;
-  var wrap = function(tag, description) {
-    var symbol = AllSymbols[tag] = nativeObjectCreate($Symbol[PROTOTYPE]);
-    setInternalState2(symbol, {
-      type: SYMBOL,
-      tag: tag,
-      description: description
-    });
-    if (!DESCRIPTORS)
-      symbol.description = description;
-    return symbol;
   };
-  var $defineProperty = function defineProperty(O, P, Attributes) {
-    if (O === ObjectPrototype)
-      $defineProperty(ObjectPrototypeSymbols, P, Attributes);
-    anObject2(O);
-    var key = toPropertyKey(P);
-    anObject2(Attributes);
-    if (has(AllSymbols, key)) {
-      if (!Attributes.enumerable) {
-        if (!has(O, HIDDEN))
-          nativeDefineProperty(O, HIDDEN, createPropertyDescriptor(1, {}));
-        O[HIDDEN][key] = true;
-      } else {
-        if (has(O, HIDDEN) && O[HIDDEN][key])
-          O[HIDDEN][key] = false;
-        Attributes = nativeObjectCreate(Attributes, { enumerable: createPropertyDescriptor(0, false) });
+  function evaluateSpec(spec, values2, value, inputType) {
+    if (!spec || !Object.prototype.hasOwnProperty.call(rules, spec.rule)) {
+      return void 0;
+    }
+    return rules[spec.rule](spec, values2, value, inputType);
+  }
+  function setRuleSpecs(message) {
+    for (var _i = 0, _Object$entries = Object.entries(message.specs || {}); _i < _Object$entries.length; _i++) {
+      var _Object$entries$_i = _slicedToArray2(_Object$entries[_i], 2), id = _Object$entries$_i[0], specs = _Object$entries$_i[1];
+      var validatorSpecs = ruleSpecs.get(id);
+      if (specs !== null) {
+        if (!validatorSpecs) {
+          validatorSpecs = new Map();
+          ruleSpecs.set(id, validatorSpecs);
+        }
+        validatorSpecs.set(message.validator, asArray2(specs));
+      } else if (validatorSpecs) {
+        validatorSpecs.delete(message.validator);
+        if (validatorSpecs.size === 0) {
+          ruleSpecs.delete(id);
+        }
       }
-      return setSymbolDescriptor(O, key, Attributes);
     }
-    return nativeDefineProperty(O, key, Attributes);
+  }
+  function hasRuleSpecs(id) {
+    return ruleSpecs.has(id);
+  }
+  function evaluateSpecs(specs, values2, value, inputType) {
+    for (var i = 0; i < specs.length; i++) {
+      var result = evaluateSpec(specs[i], values2, value, inputType);
+      if (result === SKIP) {
+        return null;
+      }
+      if (result !== null) {
+        return result;
+      }
+    }
+    return null;
+  }
+  function evaluateRules(id, value, inputType) {
+    var validatorSpecs = ruleSpecs.get(id);
+    if (!validatorSpecs) {
+      return void 0;
+    }
+    var values2 = toVector(value, inputType);
+    var message = null;
+    var _iterator = _createForOfIteratorHelper(validatorSpecs.values()), _step;
+    try {
+      for (_iterator.s(); !(_step = _iterator.n()).done; ) {
+        var specs = _step.value;
+        var result = evaluateSpecs(specs, values2, value, inputType);
+        if (result === void 0) {
+          return void 0;
+        }
+        if (message === null) {
+          message = result;
+        }
+      }
+    } catch (err) {
+      _iterator.e(err);
+    } finally {
+      _iterator.f();
+    }
+    return message === null ? null : $.extend({
+      type: "error",
+      is_html: false
+    }, message);
+  }
+
+  // srcjs/reveal.js
+  var import_es_array_iterator4 = __toModule(require_es_array_iterator());
+  var import_es_map4 = __toModule(require_es_map());
+  var import_es_set2 = __toModule(require_es_set());
+  var policies = new Map();
+  var fieldPolicies = new Map();
+  var touched = new Set();
+  var onReveal = function onReveal2(ids) {
   };
-  var $defineProperties = function defineProperties(O, Properties) {
-    anObject2(O);
-    var properties = toIndexedObject(Properties);
-    var keys = objectKeys(properties).concat($getOwnPropertySymbols(properties));
-    $forEach(keys, function(key) {
-      if (!DESCRIPTORS || $propertyIsEnumerable.call(properties, key))
-        $defineProperty(O, key, properties[key]);
+  function getInputIds(els) {
+    var ids = [];
+    $(els).each(function(i, el) {
+      var binding = $(el).data("shiny-input-binding");
+      if (binding) {
+        ids.push(binding.getId(el));
+      }
     });
-    return O;
-  };
-  var $create = function create(O, Properties) {
-    return Properties === void 0 ? nativeObjectCreate(O) : $defineProperties(nativeObjectCreate(O), Properties);
-  };
-  var $propertyIsEnumerable = function propertyIsEnumerable(V) {
-    var P = toPropertyKey(V);
-    var enumerable = nativePropertyIsEnumerable.call(this, P);
-    if (this === ObjectPrototype && has(AllSymbols, P) && !has(ObjectPrototypeSymbols, P))
-      return false;
-    return enumerable || !has(this, P) || !has(AllSymbols, P) || has(this, HIDDEN) && this[HIDDEN][P] ? enumerable : true;
-  };
-  var $getOwnPropertyDescriptor = function getOwnPropertyDescriptor(O, P) {
-    var it = toIndexedObject(O);
-    var key = toPropertyKey(P);
-    if (it === ObjectPrototype && has(AllSymbols, key) && !has(ObjectPrototypeSymbols, key))
+    return ids;
+  }
+  function isRevealed(id) {
+    var policy = policies.get(fieldPolicies.get(id));
+    if (!policy || policy.submitted) {
+      return true;
+    }
+    return policy.display === "blur" && touched.has(id);
+  }
+  function awaitsSubmit(id) {
+    return Array.from(policies.values()).some(function(policy) {
+      return policy.submit === id && !policy.submitted;
+    });
+  }
+  function setDisplayPolicy(message) {
+    var previous = policies.get(message.validator);
+    var affected = previous ? previous.fields.slice() : [];
+    if (previous) {
+      previous.fields.forEach(function(id) {
+        if (fieldPolicies.get(id) === message.validator) {
+          fieldPolicies.delete(id);
+        }
+      });
+      policies.delete(message.validator);
+    }
+    var fields = message.fields ? [].concat(message.fields) : [];
+    if (fields.length > 0 && message.display !== "immediate") {
+      policies.set(message.validator, {
+        fields: fields,
+        display: message.display,
+        submit: message.submit,
+        submitted: previous ? previous.submitted : false
+      });
+      fields.forEach(function(id) {
+        fieldPolicies.set(id, message.validator);
+        affected.push(id);
+      });
+    }
+    onReveal(affected);
+  }
+  function initReveal(callback) {
+    onReveal = callback;
+    $(document).on("focusout", function(e) {
+      var els = $(e.target).closest(".shiny-bound-input");
+      if (els.length === 0) {
+        els = $(e.target).closest(".shiny-input-container").find(".shiny-bound-input");
+      }
+      var ids = getInputIds(els).filter(function(id) {
+        return !touched.has(id);
+      });
+      if (ids.length === 0) {
+        return;
+      }
+      ids.forEach(function(id) {
+        touched.add(id);
+      });
+      onReveal(ids);
+    });
+    $(document).on("click", function(e) {
+      var button = $(e.target).closest("button, a, input, .action-button");
+      var buttonId = button.attr("id");
+      if (!buttonId) {
+        return;
+      }
+      policies.forEach(function(policy) {
+        if (policy.submit === buttonId && !policy.submitted) {
+          policy.submitted = true;
+          onReveal(policy.fields);
+        }
+      });
+    });
+  }
+
+  // srcjs/gate.js
+  var import_es_array_iterator6 = __toModule(require_es_array_iterator());
+  var import_es_map6 = __toModule(require_es_map());
+  var import_es_set3 = __toModule(require_es_set());
+
+  // srcjs/i18n.js
+  var import_es_array_iterator5 = __toModule(require_es_array_iterator());
+  var import_es_map5 = __toModule(require_es_map());
+  var import_es_regexp_exec3 = __toModule(require_es_regexp_exec());
+  function _slicedToArray3(arr, i) {
+    return _arrayWithHoles3(arr) || _iterableToArrayLimit3(arr, i) || _unsupportedIterableToArray3(arr, i) || _nonIterableRest3();
+  }
+  function _nonIterableRest3() {
+    throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
+  }
+  function _unsupportedIterableToArray3(o, minLen) {
+    if (!o)
       return;
-    var descriptor = nativeGetOwnPropertyDescriptor(it, key);
-    if (descriptor && has(AllSymbols, key) && !(has(it, HIDDEN) && it[HIDDEN][key])) {
-      descriptor.enumerable = true;
+    if (typeof o === "string")
+      return _arrayLikeToArray3(o, minLen);
+    var n = Object.prototype.toString.call(o).slice(8, -1);
+    if (n === "Object" && o.constructor)
+      n = o.constructor.name;
+    if (n === "Map" || n === "Set")
+      return Array.from(o);
+    if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))
+      return _arrayLikeToArray3(o, minLen);
+  }
+  function _arrayLikeToArray3(arr, len) {
+    if (len == null || len > arr.length)
+      len = arr.length;
+    for (var i = 0, arr2 = new Array(len); i < len; i++) {
+      arr2[i] = arr[i];
     }
-    return descriptor;
-  };
-  var $getOwnPropertyNames = function getOwnPropertyNames(O) {
-    var names = nativeGetOwnPropertyNames(toIndexedObject(O));
-    var result = [];
-    $forEach(names, function(key) {
-      if (!has(AllSymbols, key) && !has(hiddenKeys, key))
-        result.push(key);
+    return arr2;
+  }
+  function _iterableToArrayLimit3(arr, i) {
+    var _i = arr == null ? null : typeof Symbol !== "undefined" && arr[Symbol.iterator] || arr["@@iterator"];
+    if (_i == null)
+      return;
+    var _arr = [];
+    var _n = true;
+    var _d = false;
+    var _s, _e;
+    try {
+      for (_i = _i.call(arr); !(_n = (_s = _i.next()).done); _n = true) {
+        _arr.push(_s.value);
+        if (i && _arr.length === i)
+          break;
+      }
+    } catch (err) {
+      _d = true;
+      _e = err;
+    } finally {
+      try {
+        if (!_n && _i["return"] != null)
+          _i["return"]();
+      } finally {
+        if (_d)
+          throw _e;
+      }
+    }
+    return _arr;
+  }
+  function _arrayWithHoles3(arr) {
+    if (Array.isArray(arr))
+      return arr;
+  }
+  var catalogs = new Map();
+  var listeners = [];
+  function notifyListeners() {
+    listeners.forEach(function(callback) {
+      callback();
     });
-    return result;
-  };
-  var $getOwnPropertySymbols = function getOwnPropertySymbols(O) {
-    var IS_OBJECT_PROTOTYPE = O === ObjectPrototype;
-    var names = nativeGetOwnPropertyNames(IS_OBJECT_PROTOTYPE ? ObjectPrototypeSymbols : toIndexedObject(O));
-    var result = [];
-    $forEach(names, function(key) {
-      if (has(AllSymbols, key) && (!IS_OBJECT_PROTOTYPE || has(ObjectPrototype, key))) {
-        result.push(AllSymbols[key]);
+  }
+  function addTranslations(lang, translations) {
+    if (typeof lang !== "string" || lang === "") {
+      throw new Error("shinyvalidate.addTranslations() requires a language tag");
+    }
+    lang = lang.toLowerCase();
+    if (!catalogs.has(lang)) {
+      catalogs.set(lang, new Map());
+    }
+    var catalog = catalogs.get(lang);
+    for (var _i = 0, _Object$entries = Object.entries(translations || {}); _i < _Object$entries.length; _i++) {
+      var _Object$entries$_i = _slicedToArray3(_Object$entries[_i], 2), key = _Object$entries$_i[0], translation = _Object$entries$_i[1];
+      catalog.set(key, String(translation));
+    }
+    notifyListeners();
+  }
+  function pageLanguage() {
+    return (document.documentElement.getAttribute("lang") || "").toLowerCase();
+  }
+  function findTranslation(key) {
+    var lang = pageLanguage();
+    if (lang === "") {
+      return void 0;
+    }
+    var candidates = [lang, lang.split("-")[0]];
+    for (var i = 0; i < candidates.length; i++) {
+      var catalog = catalogs.get(candidates[i]);
+      if (catalog && catalog.has(key)) {
+        return catalog.get(key);
+      }
+    }
+    return void 0;
+  }
+  function translate(message) {
+    if (!message.key || message.is_html) {
+      return message.message;
+    }
+    var translation = findTranslation(message.key);
+    if (translation === void 0) {
+      return message.message;
+    }
+    var params = message.params || {};
+    return translation.replace(/\{(\w+)\}/g, function(match, name) {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        return match;
       }
+      return [].concat(params[name]).join(", ");
     });
+  }
+  function localizeData(data) {
+    if (data === null || !data.key && !data.messages) {
+      return data;
+    }
+    var result = $.extend({}, data, {
+      message: translate(data)
+    });
+    if (data.messages) {
+      result.messages = [].concat(data.messages).map(function(message) {
+        return message.key ? $.extend({}, message, {
+          message: translate(message)
+        }) : message;
+      });
+    }
     return result;
-  };
-  if (!NATIVE_SYMBOL) {
-    $Symbol = function Symbol2() {
-      if (this instanceof $Symbol)
-        throw TypeError("Symbol is not a constructor");
-      var description = !arguments.length || arguments[0] === void 0 ? void 0 : $toString(arguments[0]);
-      var tag = uid(description);
-      var setter = function(value) {
-        if (this === ObjectPrototype)
-          setter.call(ObjectPrototypeSymbols, value);
-        if (has(this, HIDDEN) && has(this[HIDDEN], tag))
-          this[HIDDEN][tag] = false;
-        setSymbolDescriptor(this, tag, createPropertyDescriptor(1, value));
-      };
-      if (DESCRIPTORS && USE_SETTER)
-        setSymbolDescriptor(ObjectPrototype, tag, { configurable: true, set: setter });
-      return wrap(tag, description);
-    };
-    redefine2($Symbol[PROTOTYPE], "toString", function toString4() {
-      return getInternalState2(this).tag;
+  }
+  function onLanguageChange(callback) {
+    if (listeners.length === 0) {
+      new MutationObserver(notifyListeners).observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: ["lang"]
+      });
+    }
+    listeners.push(callback);
+  }
+
+  // srcjs/gate.js
+  var gates = new Map();
+  var gatedButtons = new Set();
+  function gateButton(el, messages) {
+    var $el = $(el);
+    if (!$el.data("shinyvalidate-gate")) {
+      $el.data("shinyvalidate-gate", {
+        disabled: el.disabled,
+        title: $el.attr("title")
+      });
+    }
+    el.disabled = true;
+    $el.addClass("sv-gated").attr("aria-disabled", "true").attr("title", messages.map(function(message) {
+      return "\u2022 " + message;
+    }).join("\n"));
+  }
+  function ungateButton(el) {
+    var $el = $(el);
+    var original = $el.data("shinyvalidate-gate");
+    if (!original) {
+      return;
+    }
+    el.disabled = original.disabled;
+    $el.removeClass("sv-gated").removeAttr("aria-disabled");
+    if (original.title === void 0) {
+      $el.removeAttr("title");
+    } else {
+      $el.attr("title", original.title);
+    }
+    $el.removeData("shinyvalidate-gate");
+  }
+  function isGatedButton(id) {
+    return gatedButtons.has(id);
+  }
+  function updateGates(latestData2) {
+    var blocking = new Map();
+    gates.forEach(function(gate) {
+      var messages = [];
+      gate.fields.forEach(function(id) {
+        var data = localizeData(latestData2.has(id) ? latestData2.get(id) : null);
+        if (data && data.type === "error") {
+          messageList(data).forEach(function(message) {
+            if (message.type === "error") {
+              messages.push(messageText(message));
+            }
+          });
+        }
+      });
+      gate.buttons.forEach(function(id) {
+        if (!blocking.has(id)) {
+          blocking.set(id, []);
+        }
+        if (id === gate.submit && awaitsSubmit(id)) {
+          return;
+        }
+        blocking.set(id, blocking.get(id).concat(messages));
+      });
     });
-    redefine2($Symbol, "withoutSetter", function(description) {
-      return wrap(uid(description), description);
+    gatedButtons.forEach(function(id) {
+      var el = document.getElementById(id);
+      var messages = blocking.get(id) || [];
+      if (el && messages.length > 0) {
+        gateButton(el, messages);
+      } else if (el) {
+        ungateButton(el);
+      }
+      if (!blocking.has(id)) {
+        gatedButtons.delete(id);
+      }
+    });
+  }
+  function setGate(message, latestData2) {
+    var buttons = message.buttons ? [].concat(message.buttons) : [];
+    if (buttons.length === 0) {
+      gates.delete(message.validator);
+    } else {
+      gates.set(message.validator, {
+        buttons: buttons,
+        fields: message.fields ? [].concat(message.fields) : [],
+        submit: message.submit || null
+      });
+      buttons.forEach(function(id) {
+        gatedButtons.add(id);
+      });
+    }
+    updateGates(latestData2);
+  }
+
+  // srcjs/placement.js
+  var import_es_array_iterator7 = __toModule(require_es_array_iterator());
+  var import_es_map7 = __toModule(require_es_map());
+  var validatorStrategies = new Map();
+  var fieldStrategies = new Map();
+  function setValidatorStrategy(message) {
+    var previous = validatorStrategies.get(message.validator);
+    if (previous) {
+      previous.fields.forEach(function(id) {
+        if (fieldStrategies.get(id) === message.validator) {
+          fieldStrategies.delete(id);
+        }
+      });
+      validatorStrategies.delete(message.validator);
+    }
+    var fields = message.fields ? [].concat(message.fields) : [];
+    if (fields.length > 0 && message.strategy) {
+      validatorStrategies.set(message.validator, {
+        fields: fields,
+        strategy: message.strategy
+      });
+      fields.forEach(function(id) {
+        fieldStrategies.set(id, message.validator);
+      });
+    }
+  }
+  function preferredStrategy(el, id) {
+    var attr = $(el).closest("[data-sv-strategy]").attr("data-sv-strategy");
+    if (attr) {
+      return attr;
+    }
+    var strategy = validatorStrategies.get(fieldStrategies.get(id));
+    return strategy ? strategy.strategy : null;
+  }
+
+  // node_modules/core-js/modules/es.string.anchor.js
+  "use strict";
+  var $23 = require_export();
+  var createHTML2 = require_create_html();
+  var forcedStringHTMLMethod2 = require_string_html_forced();
+  $23({ target: "String", proto: true, forced: forcedStringHTMLMethod2("anchor") }, {
+    anchor: function anchor(name) {
+      return createHTML2(this, "a", "name", name);
+    }
+  });
+
+  // srcjs/tooltip.js
+  var dataKey = "shinyvalidate-tooltip";
+  function findAnchor(el) {
+    var container = $(el).closest(".shiny-input-container");
+    var control = container.find(".selectize-input, .form-control, .form-select").first();
+    return control.length > 0 ? control : $(el);
+  }
+  function bootstrapTooltip() {
+    if (window.bootstrap && window.bootstrap.Tooltip) {
+      return "bootstrap";
+    }
+    if ($.fn.tooltip && $.fn.tooltip.Constructor) {
+      return "jquery";
+    }
+    return null;
+  }
+  function showFallback(anchor2, state) {
+    var rect = anchor2[0].getBoundingClientRect();
+    state.fallback.prop("hidden", false).css({
+      left: rect.left + window.pageXOffset,
+      top: rect.top + window.pageYOffset
     });
-    propertyIsEnumerableModule.f = $propertyIsEnumerable;
-    definePropertyModule.f = $defineProperty;
-    getOwnPropertyDescriptorModule.f = $getOwnPropertyDescriptor;
-    getOwnPropertyNamesModule.f = getOwnPropertyNamesExternal.f = $getOwnPropertyNames;
-    getOwnPropertySymbolsModule.f = $getOwnPropertySymbols;
-    wrappedWellKnownSymbolModule.f = function(name) {
-      return wrap(wellKnownSymbol2(name), name);
+  }
+  function createTooltip(anchor2, data) {
+    var tooltipClass = "sv-tooltip sv-tooltip-" + data.type;
+    var state = {
+      plugin: bootstrapTooltip()
     };
-    if (DESCRIPTORS) {
-      nativeDefineProperty($Symbol[PROTOTYPE], "description", {
-        configurable: true,
-        get: function description() {
-          return getInternalState2(this).description;
-        }
+    var isHTML = Boolean(data.is_html) || messageList(data).length > 1;
+    var title = isHTML ? renderMessages($(document.createElement("div")), data).html() : data.message;
+    if (state.plugin === "bootstrap") {
+      new window.bootstrap.Tooltip(anchor2[0], {
+        title: title,
+        html: isHTML,
+        trigger: "hover focus",
+        placement: "top",
+        customClass: tooltipClass
       });
-      if (!IS_PURE) {
-        redefine2(ObjectPrototype, "propertyIsEnumerable", $propertyIsEnumerable, { unsafe: true });
+    } else if (state.plugin === "jquery") {
+      anchor2.tooltip({
+        title: title,
+        html: isHTML,
+        trigger: "hover focus",
+        placement: "top",
+        template: '<div class="tooltip ' + tooltipClass + '" role="tooltip"><div class="tooltip-arrow arrow"></div><div class="tooltip-inner"></div></div>'
+      });
+    } else {
+      state.fallback = $(document.createElement("div")).addClass("sv-tooltip-fallback " + tooltipClass).attr("role", "tooltip").prop("hidden", true).appendTo(document.body);
+      renderMessages(state.fallback, data);
+      anchor2.on("mouseenter.shinyvalidate focusin.shinyvalidate", function() {
+        showFallback(anchor2, state);
+      });
+      anchor2.on("mouseleave.shinyvalidate focusout.shinyvalidate", function() {
+        state.fallback.prop("hidden", true);
+      });
+    }
+    return state;
+  }
+  function destroyTooltip(anchor2, state) {
+    anchor2.off(".shinyvalidate");
+    if (state.plugin === "bootstrap") {
+      var tooltip = window.bootstrap.Tooltip.getInstance(anchor2[0]);
+      if (tooltip) {
+        tooltip.dispose();
       }
+    } else if (state.plugin === "jquery") {
+      var version = $.fn.tooltip.Constructor.VERSION || "";
+      anchor2.tooltip(/^3\./.test(version) ? "destroy" : "dispose");
+    } else if (state.fallback) {
+      state.fallback.remove();
     }
   }
-  $4({ global: true, wrap: true, forced: !NATIVE_SYMBOL, sham: !NATIVE_SYMBOL }, {
-    Symbol: $Symbol
-  });
-  $forEach(objectKeys(WellKnownSymbolsStore), function(name) {
-    defineWellKnownSymbol(name);
-  });
-  $4({ target: SYMBOL, stat: true, forced: !NATIVE_SYMBOL }, {
-    "for": function(key) {
-      var string = $toString(key);
-      if (has(StringToSymbolRegistry, string))
-        return StringToSymbolRegistry[string];
-      var symbol = $Symbol(string);
-      StringToSymbolRegistry[string] = symbol;
-      SymbolToStringRegistry[symbol] = string;
-      return symbol;
-    },
-    keyFor: function keyFor(sym) {
-      if (!isSymbol(sym))
-        throw TypeError(sym + " is not a symbol");
-      if (has(SymbolToStringRegistry, sym))
-        return SymbolToStringRegistry[sym];
+  var tooltipStrategy = {
+    name: "tooltip",
+    priority: 250,
+    setInvalid: function setInvalid(el, binding, id, data) {
+      if (preferredStrategy(el, id) !== "tooltip") {
+        return false;
+      }
+      this.clearInvalid(el, binding, id);
+      var anchor2 = findAnchor(el);
+      var state = createTooltip(anchor2, data);
+      anchor2.addClass("sv-tooltip-anchor sv-tooltip-" + data.type);
+      state.message = $(document.createElement("div")).addClass("shiny-validation-message sv-visually-hidden").insertAfter(anchor2);
+      renderMessages(state.message, data);
+      state.anchor = anchor2;
+      setAriaInvalid(el, state.message[0], data.type);
+      anchor2.on("hidden.bs.tooltip.shinyvalidate", function() {
+        setAriaInvalid(el, state.message[0], data.type);
+      });
+      $(el).data(dataKey, state);
+      return true;
     },
-    useSetter: function() {
-      USE_SETTER = true;
+    clearInvalid: function clearInvalid(el, binding, id) {
+      var state = $(el).data(dataKey);
+      if (!state) {
+        return preferredStrategy(el, id) === "tooltip";
+      }
+      destroyTooltip(state.anchor, state);
+      state.anchor.removeClass("sv-tooltip-anchor sv-tooltip-error sv-tooltip-warning sv-tooltip-info");
+      state.message.remove();
+      clearAriaInvalid(el);
+      $(el).removeData(dataKey);
+      return true;
+    }
+  };
+
+  // srcjs/native.js
+  function findControls(el) {
+    if (typeof el.setCustomValidity === "function") {
+      return $(el);
+    }
+    return $(el).find("input, select, textarea").filter(function() {
+      return typeof this.setCustomValidity === "function";
+    });
+  }
+  var nativeStrategy = {
+    name: "native",
+    priority: 50,
+    setInvalid: function setInvalid2(el, binding, id, data) {
+      var controls = findControls(el);
+      if (controls.length === 0) {
+        return false;
+      }
+      var message = messageList(data).filter(function(message2) {
+        return message2.type === "error";
+      }).map(messageText).join("\n");
+      controls.each(function(i, control) {
+        control.setCustomValidity(message);
+      });
+      return true;
     },
-    useSimple: function() {
-      USE_SETTER = false;
+    clearInvalid: function clearInvalid2(el, binding, id) {
+      var controls = findControls(el);
+      if (controls.length === 0) {
+        return false;
+      }
+      controls.each(function(i, control) {
+        control.setCustomValidity("");
+      });
+      return true;
     }
+  };
+
+  // srcjs/state.js
+  var import_es_array_iterator8 = __toModule(require_es_array_iterator());
+  var import_es_set4 = __toModule(require_es_set());
+
+  // node_modules/core-js/modules/es.object.keys.js
+  var $24 = require_export();
+  var toObject5 = require_to_object();
+  var nativeKeys = require_object_keys();
+  var fails8 = require_fails();
+  var FAILS_ON_PRIMITIVES = fails8(function() {
+    nativeKeys(1);
   });
-  $4({ target: "Object", stat: true, forced: !NATIVE_SYMBOL, sham: !DESCRIPTORS }, {
-    create: $create,
-    defineProperty: $defineProperty,
-    defineProperties: $defineProperties,
-    getOwnPropertyDescriptor: $getOwnPropertyDescriptor
-  });
-  $4({ target: "Object", stat: true, forced: !NATIVE_SYMBOL }, {
-    getOwnPropertyNames: $getOwnPropertyNames,
-    getOwnPropertySymbols: $getOwnPropertySymbols
-  });
-  $4({ target: "Object", stat: true, forced: fails(function() {
-    getOwnPropertySymbolsModule.f(1);
-  }) }, {
-    getOwnPropertySymbols: function getOwnPropertySymbols2(it) {
-      return getOwnPropertySymbolsModule.f(toObject(it));
+  $24({ target: "Object", stat: true, forced: FAILS_ON_PRIMITIVES }, {
+    keys: function keys(it) {
+      return nativeKeys(toObject5(it));
     }
   });
-  if ($stringify) {
-    FORCED_JSON_STRINGIFY = !NATIVE_SYMBOL || fails(function() {
-      var symbol = $Symbol();
-      return $stringify([symbol]) != "[null]" || $stringify({ a: symbol }) != "{}" || $stringify(Object(symbol)) != "{}";
-    });
-    $4({ target: "JSON", stat: true, forced: FORCED_JSON_STRINGIFY }, {
-      stringify: function stringify(it, replacer, space) {
-        var args = [it];
-        var index = 1;
-        var $replacer;
-        while (arguments.length > index)
-          args.push(arguments[index++]);
-        $replacer = replacer;
-        if (!isObject(replacer) && it === void 0 || isSymbol(it))
-          return;
-        if (!isArray(replacer))
-          replacer = function(key, value) {
-            if (typeof $replacer == "function")
-              value = $replacer.call(this, key, value);
-            if (!isSymbol(value))
-              return value;
-          };
-        args[1] = replacer;
-        return $stringify.apply(null, args);
-      }
-    });
-  }
-  var FORCED_JSON_STRINGIFY;
-  if (!$Symbol[PROTOTYPE][TO_PRIMITIVE]) {
-    createNonEnumerableProperty2($Symbol[PROTOTYPE], TO_PRIMITIVE, $Symbol[PROTOTYPE].valueOf);
-  }
-  setToStringTag($Symbol, SYMBOL);
-  hiddenKeys[HIDDEN] = true;
 
-  // node_modules/core-js/modules/es.symbol.description.js
-  "use strict";
-  var $5 = require_export();
-  var DESCRIPTORS2 = require_descriptors();
-  var global4 = require_global();
-  var has2 = require_has();
-  var isObject2 = require_is_object();
-  var defineProperty2 = require_object_define_property().f;
-  var copyConstructorProperties = require_copy_constructor_properties();
-  var NativeSymbol = global4.Symbol;
-  if (DESCRIPTORS2 && typeof NativeSymbol == "function" && (!("description" in NativeSymbol.prototype) || NativeSymbol().description !== void 0)) {
-    EmptyStringDescriptionStore = {};
-    SymbolWrapper = function Symbol2() {
-      var description = arguments.length < 1 || arguments[0] === void 0 ? void 0 : String(arguments[0]);
-      var result = this instanceof SymbolWrapper ? new NativeSymbol(description) : description === void 0 ? NativeSymbol() : NativeSymbol(description);
-      if (description === "")
-        EmptyStringDescriptionStore[result] = true;
-      return result;
+  // srcjs/state.js
+  var subscribers = new Set();
+  function describeState(data, displayed) {
+    var state = {
+      type: data.type,
+      message: data.message,
+      is_html: Boolean(data.is_html)
     };
-    copyConstructorProperties(SymbolWrapper, NativeSymbol);
-    symbolPrototype = SymbolWrapper.prototype = NativeSymbol.prototype;
-    symbolPrototype.constructor = SymbolWrapper;
-    symbolToString = symbolPrototype.toString;
-    nativeSymbol = String(NativeSymbol("test")) == "Symbol(test)";
-    regexp = /^Symbol\((.*)\)[^)]+$/;
-    defineProperty2(symbolPrototype, "description", {
-      configurable: true,
-      get: function description() {
-        var symbol = isObject2(this) ? this.valueOf() : this;
-        var string = symbolToString.call(symbol);
-        if (has2(EmptyStringDescriptionStore, symbol))
-          return "";
-        var desc = nativeSymbol ? string.slice(7, -1) : string.replace(regexp, "$1");
-        return desc === "" ? void 0 : desc;
+    if (data.messages) {
+      state.messages = [].concat(data.messages).map(function(message) {
+        return {
+          type: message.type,
+          message: message.message,
+          is_html: Boolean(message.is_html)
+        };
+      });
+    }
+    state.displayed = displayed;
+    return state;
+  }
+  function subscribe(callback) {
+    if (typeof callback !== "function") {
+      throw new Error("shinyvalidate.subscribe() requires a function");
+    }
+    subscribers.add(callback);
+    return function() {
+      subscribers.delete(callback);
+    };
+  }
+  function hasSubscribers() {
+    return subscribers.size > 0;
+  }
+  function notifySubscribers(changes) {
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+    subscribers.forEach(function(callback) {
+      try {
+        callback(changes);
+      } catch (e) {
+        console.error(e);
       }
     });
-    $5({ global: true, forced: true }, {
-      Symbol: SymbolWrapper
-    });
   }
-  var EmptyStringDescriptionStore;
-  var SymbolWrapper;
-  var symbolPrototype;
-  var symbolToString;
-  var nativeSymbol;
-  var regexp;
-
-  // node_modules/core-js/modules/es.symbol.iterator.js
-  var defineWellKnownSymbol2 = require_define_well_known_symbol();
-  defineWellKnownSymbol2("iterator");
 
-  // node_modules/core-js/modules/es.array.slice.js
-  "use strict";
-  var $6 = require_export();
-  var isObject3 = require_is_object();
-  var isArray2 = require_is_array();
-  var toAbsoluteIndex = require_to_absolute_index();
-  var toLength2 = require_to_length();
-  var toIndexedObject2 = require_to_indexed_object();
-  var createProperty = require_create_property();
-  var wellKnownSymbol3 = require_well_known_symbol();
-  var arrayMethodHasSpeciesSupport = require_array_method_has_species_support();
-  var HAS_SPECIES_SUPPORT = arrayMethodHasSpeciesSupport("slice");
-  var SPECIES = wellKnownSymbol3("species");
-  var nativeSlice = [].slice;
-  var max = Math.max;
-  $6({ target: "Array", proto: true, forced: !HAS_SPECIES_SUPPORT }, {
-    slice: function slice(start, end) {
-      var O = toIndexedObject2(this);
-      var length = toLength2(O.length);
-      var k = toAbsoluteIndex(start, length);
-      var fin = toAbsoluteIndex(end === void 0 ? length : end, length);
-      var Constructor, result, n;
-      if (isArray2(O)) {
-        Constructor = O.constructor;
-        if (typeof Constructor == "function" && (Constructor === Array || isArray2(Constructor.prototype))) {
-          Constructor = void 0;
-        } else if (isObject3(Constructor)) {
-          Constructor = Constructor[SPECIES];
-          if (Constructor === null)
-            Constructor = void 0;
+  // srcjs/sanitize.js
+  var import_es_regexp_exec4 = __toModule(require_es_regexp_exec());
+  var import_es_array_iterator9 = __toModule(require_es_array_iterator());
+  function _typeof2(obj) {
+    "@babel/helpers - typeof";
+    if (typeof Symbol === "function" && typeof Symbol.iterator === "symbol") {
+      _typeof2 = function _typeof4(obj2) {
+        return typeof obj2;
+      };
+    } else {
+      _typeof2 = function _typeof4(obj2) {
+        return obj2 && typeof Symbol === "function" && obj2.constructor === Symbol && obj2 !== Symbol.prototype ? "symbol" : typeof obj2;
+      };
+    }
+    return _typeof2(obj);
+  }
+  var defaultTags = ["a", "abbr", "b", "br", "code", "em", "i", "kbd", "li", "mark", "ol", "p", "s", "small", "span", "strong", "sub", "sup", "u", "ul"];
+  var defaultAttributes = ["class", "dir", "href", "lang", "title"];
+  var dropContents = ["embed", "iframe", "math", "noscript", "object", "script", "select", "style", "svg", "template", "textarea"];
+  var safeURL = /^(?:(?:https?|mailto):|[^:/?#]*(?:[/?#]|$))/i;
+  var customSanitizer;
+  function splitNames(value) {
+    return value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+  }
+  function allowlist() {
+    var el = $("[data-sv-sanitizer]").first();
+    var tags = el.attr("data-sv-allowed-tags");
+    var attributes = el.attr("data-sv-allowed-attributes");
+    return {
+      tags: tags === void 0 ? defaultTags : splitNames(tags),
+      attributes: attributes === void 0 ? defaultAttributes : splitNames(attributes)
+    };
+  }
+  function sanitizeHTML(html, allowed) {
+    var doc = new DOMParser().parseFromString("<body>" + String(html), "text/html");
+    var removed = doc.head.hasChildNodes();
+    function clean(node) {
+      Array.from(node.childNodes).forEach(function(child) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          return;
         }
-        if (Constructor === Array || Constructor === void 0) {
-          return nativeSlice.call(O, k, fin);
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          removed = true;
+          node.removeChild(child);
+          return;
         }
-      }
-      result = new (Constructor === void 0 ? Array : Constructor)(max(fin - k, 0));
-      for (n = 0; k < fin; k++, n++)
-        if (k in O)
-          createProperty(result, n, O[k]);
-      result.length = n;
-      return result;
+        var tag = child.nodeName.toLowerCase();
+        if (allowed.tags.indexOf(tag) === -1) {
+          removed = true;
+          if (dropContents.indexOf(tag) === -1) {
+            clean(child);
+            while (child.firstChild) {
+              node.insertBefore(child.firstChild, child);
+            }
+          }
+          node.removeChild(child);
+          return;
+        }
+        Array.from(child.attributes).forEach(function(attr) {
+          var name = attr.name.toLowerCase();
+          var ok = allowed.attributes.indexOf(name) !== -1 && (name !== "href" || safeURL.test(attr.value.replace(/[\u0000-\u0020]/g, "")));
+          if (!ok) {
+            removed = true;
+            child.removeAttribute(attr.name);
+          }
+        });
+        clean(child);
+      });
     }
-  });
-
-  // node_modules/core-js/modules/es.function.name.js
-  var DESCRIPTORS3 = require_descriptors();
-  var defineProperty3 = require_object_define_property().f;
-  var FunctionPrototype = Function.prototype;
-  var FunctionPrototypeToString = FunctionPrototype.toString;
-  var nameRE = /^\s*function ([^ (]*)/;
-  var NAME = "name";
-  if (DESCRIPTORS3 && !(NAME in FunctionPrototype)) {
-    defineProperty3(FunctionPrototype, NAME, {
-      configurable: true,
-      get: function() {
-        try {
-          return FunctionPrototypeToString.call(this).match(nameRE)[1];
-        } catch (error) {
-          return "";
+    clean(doc.body);
+    return {
+      html: doc.body.innerHTML,
+      removed: removed
+    };
+  }
+  function sanitizeMessage(message) {
+    if (customSanitizer === null) {
+      return {
+        html: message,
+        removed: false
+      };
+    }
+    if (typeof customSanitizer === "function") {
+      return {
+        html: String(customSanitizer(String(message))),
+        removed: void 0
+      };
+    }
+    return sanitizeHTML(message, customSanitizer || allowlist());
+  }
+  function sanitizeData(data) {
+    if (data === null) {
+      return null;
+    }
+    var sanitized = false;
+    var result = $.extend({}, data);
+    if (data.is_html) {
+      var clean = sanitizeMessage(data.message);
+      result.message = clean.html;
+      sanitized = clean.removed;
+    }
+    if (data.messages) {
+      result.messages = [].concat(data.messages).map(function(message) {
+        if (!message.is_html) {
+          return message;
+        }
+        var clean2 = sanitizeMessage(message.message);
+        sanitized = sanitized || clean2.removed;
+        return $.extend({}, message, {
+          message: clean2.html
+        });
+      });
+    }
+    if ((data.is_html || data.messages) && typeof customSanitizer !== "function") {
+      result.sanitized = sanitized;
+    }
+    return result;
+  }
+  function setSanitizer(config) {
+    if (config === null || config === void 0 || typeof config === "function") {
+      customSanitizer = config;
+      return;
+    }
+    if (_typeof2(config) !== "object") {
+      throw new Error("shinyvalidate.setSanitizer() requires an object, a function, or null");
+    }
+    customSanitizer = {
+      tags: config.allowedTags ? splitNames([].concat(config.allowedTags).join(" ")) : defaultTags,
+      attributes: config.allowedAttributes ? splitNames([].concat(config.allowedAttributes).join(" ")) : defaultAttributes
+    };
+  }
+
+  // srcjs/timing.js
+  var import_es_array_iterator10 = __toModule(require_es_array_iterator());
+  var import_es_map8 = __toModule(require_es_map());
+
+  // node_modules/core-js/modules/es.number.constructor.js
+  "use strict";
+  var DESCRIPTORS5 = require_descriptors();
+  var global7 = require_global();
+  var isForced2 = require_is_forced();
+  var redefine5 = require_redefine();
+  var has4 = require_has();
+  var classof = require_classof_raw();
+  var inheritIfRequired2 = require_inherit_if_required();
+  var isSymbol2 = require_is_symbol();
+  var toPrimitive = require_to_primitive();
+  var fails9 = require_fails();
+  var create2 = require_object_create();
+  var getOwnPropertyNames3 = require_object_get_own_property_names().f;
+  var getOwnPropertyDescriptor2 = require_object_get_own_property_descriptor().f;
+  var defineProperty5 = require_object_define_property().f;
+  var trim2 = require_string_trim().trim;
+  var NUMBER = "Number";
+  var NativeNumber = global7[NUMBER];
+  var NumberPrototype = NativeNumber.prototype;
+  var BROKEN_CLASSOF = classof(create2(NumberPrototype)) == NUMBER;
+  var toNumber = function(argument) {
+    if (isSymbol2(argument))
+      throw TypeError("Cannot convert a Symbol value to a number");
+    var it = toPrimitive(argument, "number");
+    var first, third, radix, maxCode, digits, length, index, code;
+    if (typeof it == "string" && it.length > 2) {
+      it = trim2(it);
+      first = it.charCodeAt(0);
+      if (first === 43 || first === 45) {
+        third = it.charCodeAt(2);
+        if (third === 88 || third === 120)
+          return NaN;
+      } else if (first === 48) {
+        switch (it.charCodeAt(1)) {
+          case 66:
+          case 98:
+            radix = 2;
+            maxCode = 49;
+            break;
+          case 79:
+          case 111:
+            radix = 8;
+            maxCode = 55;
+            break;
+          default:
+            return +it;
+        }
+        digits = it.slice(2);
+        length = digits.length;
+        for (index = 0; index < length; index++) {
+          code = digits.charCodeAt(index);
+          if (code < 48 || code > maxCode)
+            return NaN;
         }
+        return parseInt(digits, radix);
       }
-    });
+    }
+    return +it;
+  };
+  if (isForced2(NUMBER, !NativeNumber(" 0o1") || !NativeNumber("0b1") || NativeNumber("+0x1"))) {
+    NumberWrapper = function Number2(value) {
+      var it = arguments.length < 1 ? 0 : value;
+      var dummy = this;
+      return dummy instanceof NumberWrapper && (BROKEN_CLASSOF ? fails9(function() {
+        NumberPrototype.valueOf.call(dummy);
+      }) : classof(dummy) != NUMBER) ? inheritIfRequired2(new NativeNumber(toNumber(it)), dummy, NumberWrapper) : toNumber(it);
+    };
+    for (keys2 = DESCRIPTORS5 ? getOwnPropertyNames3(NativeNumber) : "MAX_VALUE,MIN_VALUE,NaN,NEGATIVE_INFINITY,POSITIVE_INFINITY,EPSILON,isFinite,isInteger,isNaN,isSafeInteger,MAX_SAFE_INTEGER,MIN_SAFE_INTEGER,parseFloat,parseInt,isInteger,fromString,range".split(","), j = 0; keys2.length > j; j++) {
+      if (has4(NativeNumber, key = keys2[j]) && !has4(NumberWrapper, key)) {
+        defineProperty5(NumberWrapper, key, getOwnPropertyDescriptor2(NativeNumber, key));
+      }
+    }
+    NumberWrapper.prototype = NumberPrototype;
+    NumberPrototype.constructor = NumberWrapper;
+    redefine5(global7, NUMBER, NumberWrapper);
   }
+  var NumberWrapper;
+  var keys2;
+  var j;
+  var key;
 
-  // node_modules/core-js/modules/es.array.from.js
-  var $7 = require_export();
-  var from = require_array_from();
-  var checkCorrectnessOfIteration = require_check_correctness_of_iteration();
-  var INCORRECT_ITERATION = !checkCorrectnessOfIteration(function(iterable) {
-    Array.from(iterable);
-  });
-  $7({ target: "Array", stat: true, forced: INCORRECT_ITERATION }, {
-    from: from
-  });
+  // srcjs/timing.js
+  var validatorTimings = new Map();
+  var fieldTimings = new Map();
+  var lastChanged = new Map();
+  var shownAt = new Map();
+  var timers = new Map();
+  function setValidatorTiming(message) {
+    var previous = validatorTimings.get(message.validator);
+    if (previous) {
+      previous.fields.forEach(function(id) {
+        var timing2 = fieldTimings.get(id);
+        if (timing2 && timing2.validator === message.validator) {
+          fieldTimings.delete(id);
+        }
+      });
+      validatorTimings.delete(message.validator);
+    }
+    var fields = message.fields ? [].concat(message.fields) : [];
+    var timing = {
+      validator: message.validator,
+      showDelay: Number(message.show_delay) || 0,
+      minVisible: Number(message.min_visible) || 0
+    };
+    if (fields.length > 0 && (timing.showDelay > 0 || timing.minVisible > 0)) {
+      validatorTimings.set(message.validator, $.extend({
+        fields: fields
+      }, timing));
+      fields.forEach(function(id) {
+        fieldTimings.set(id, timing);
+      });
+    }
+  }
+  function noteInputChanged(id) {
+    if (fieldTimings.has(id)) {
+      lastChanged.set(id, Date.now());
+    }
+  }
+  function noteDisplayed(id, data) {
+    if (data === null) {
+      shownAt.delete(id);
+    } else if (!shownAt.has(id)) {
+      shownAt.set(id, Date.now());
+    }
+  }
+  function displayDelay(id, current, data) {
+    var timing = fieldTimings.get(id);
+    if (!timing) {
+      return 0;
+    }
+    if (current === null && data !== null && lastChanged.has(id)) {
+      return Math.max(0, lastChanged.get(id) + timing.showDelay - Date.now());
+    }
+    if (current !== null && data === null && shownAt.has(id)) {
+      return Math.max(0, shownAt.get(id) + timing.minVisible - Date.now());
+    }
+    return 0;
+  }
+  function defer(id, delay, callback) {
+    cancelDeferred(id);
+    timers.set(id, setTimeout(function() {
+      timers.delete(id);
+      callback();
+    }, delay));
+  }
+  function cancelDeferred(id) {
+    if (timers.has(id)) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+    }
+  }
 
   // srcjs/shinyvalidate.js
-  function _slicedToArray(arr, i) {
-    return _arrayWithHoles(arr) || _iterableToArrayLimit(arr, i) || _unsupportedIterableToArray(arr, i) || _nonIterableRest();
+  function _typeof3(obj) {
+    "@babel/helpers - typeof";
+    if (typeof Symbol === "function" && typeof Symbol.iterator === "symbol") {
+      _typeof3 = function _typeof4(obj2) {
+        return typeof obj2;
+      };
+    } else {
+      _typeof3 = function _typeof4(obj2) {
+        return obj2 && typeof Symbol === "function" && obj2.constructor === Symbol && obj2 !== Symbol.prototype ? "symbol" : typeof obj2;
+      };
+    }
+    return _typeof3(obj);
   }
-  function _nonIterableRest() {
+  function _createForOfIteratorHelper2(o, allowArrayLike) {
+    var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"];
+    if (!it) {
+      if (Array.isArray(o) || (it = _unsupportedIterableToArray4(o)) || allowArrayLike && o && typeof o.length === "number") {
+        if (it)
+          o = it;
+        var i = 0;
+        var F = function F2() {
+        };
+        return { s: F, n: function n() {
+          if (i >= o.length)
+            return { done: true };
+          return { done: false, value: o[i++] };
+        }, e: function e(_e2) {
+          throw _e2;
+        }, f: F };
+      }
+      throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
+    }
+    var normalCompletion = true, didErr = false, err;
+    return { s: function s() {
+      it = it.call(o);
+    }, n: function n() {
+      var step = it.next();
+      normalCompletion = step.done;
+      return step;
+    }, e: function e(_e3) {
+      didErr = true;
+      err = _e3;
+    }, f: function f() {
+      try {
+        if (!normalCompletion && it.return != null)
+          it.return();
+      } finally {
+        if (didErr)
+          throw err;
+      }
+    } };
+  }
+  function _slicedToArray4(arr, i) {
+    return _arrayWithHoles4(arr) || _iterableToArrayLimit4(arr, i) || _unsupportedIterableToArray4(arr, i) || _nonIterableRest4();
+  }
+  function _nonIterableRest4() {
     throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
   }
-  function _unsupportedIterableToArray(o, minLen) {
+  function _unsupportedIterableToArray4(o, minLen) {
     if (!o)
       return;
     if (typeof o === "string")
-      return _arrayLikeToArray(o, minLen);
+      return _arrayLikeToArray4(o, minLen);
     var n = Object.prototype.toString.call(o).slice(8, -1);
     if (n === "Object" && o.constructor)
       n = o.constructor.name;
     if (n === "Map" || n === "Set")
       return Array.from(o);
     if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))
-      return _arrayLikeToArray(o, minLen);
+      return _arrayLikeToArray4(o, minLen);
   }
-  function _arrayLikeToArray(arr, len) {
+  function _arrayLikeToArray4(arr, len) {
     if (len == null || len > arr.length)
       len = arr.length;
     for (var i = 0, arr2 = new Array(len); i < len; i++) {
@@ -3269,7 +6025,7 @@
     }
     return arr2;
   }
-  function _iterableToArrayLimit(arr, i) {
+  function _iterableToArrayLimit4(arr, i) {
     var _i = arr == null ? null : typeof Symbol !== "undefined" && arr[Symbol.iterator] || arr["@@iterator"];
     if (_i == null)
       return;
@@ -3297,22 +6053,60 @@
     }
     return _arr;
   }
-  function _arrayWithHoles(arr) {
+  function _arrayWithHoles4(arr) {
     if (Array.isArray(arr))
       return arr;
   }
   var strategies = [];
+  function registerStrategy(strategy) {
+    if (!strategy || typeof strategy.name !== "string" || strategy.name === "") {
+      throw new Error("shinyvalidate strategies must have a non-empty `name`");
+    }
+    if (typeof strategy.priority !== "number" || isNaN(strategy.priority)) {
+      throw new Error("shinyvalidate strategy '" + strategy.name + "' must have a numeric `priority`");
+    }
+    if (typeof strategy.setInvalid !== "function" || typeof strategy.clearInvalid !== "function") {
+      throw new Error("shinyvalidate strategy '" + strategy.name + "' must implement `setInvalid` and `clearInvalid`");
+    }
+    unregisterStrategy(strategy.name);
+    var index = 0;
+    while (index < strategies.length && strategies[index].priority >= strategy.priority) {
+      index++;
+    }
+    strategies.splice(index, 0, strategy);
+  }
+  function unregisterStrategy(name) {
+    for (var i = 0; i < strategies.length; i++) {
+      if (strategies[i].name === name) {
+        strategies.splice(i, 1);
+        return true;
+      }
+    }
+    return false;
+  }
+  function listStrategies() {
+    return strategies.map(function(strategy) {
+      return {
+        name: strategy.name,
+        priority: strategy.priority
+      };
+    });
+  }
   var eventStrategy = {
-    setInvalid: function setInvalid(el, binding, id, data) {
-      var e = $.Event("shinyvalidate:show", $.extend({
+    name: "event",
+    priority: 300,
+    setInvalid: function setInvalid3(el, binding, id, data) {
+      var e = $.Event("shinyvalidate:show", $.extend({}, data, {
         el: el,
         binding: binding,
-        id: id
-      }, data));
+        id: id,
+        type: "shinyvalidate:show",
+        severity: data.type
+      }));
       $(el).trigger(e);
       return e.isDefaultPrevented();
     },
-    clearInvalid: function clearInvalid(el, binding, id) {
+    clearInvalid: function clearInvalid3(el, binding, id) {
       var e = $.Event("shinyvalidate:clear", {
         el: el,
         binding: binding,
@@ -3322,16 +6116,18 @@
       return e.isDefaultPrevented();
     }
   };
-  strategies.push(eventStrategy);
+  registerStrategy(eventStrategy);
   var bindingStrategy = {
-    setInvalid: function setInvalid2(el, binding, id, data) {
+    name: "binding",
+    priority: 200,
+    setInvalid: function setInvalid4(el, binding, id, data) {
       if (typeof binding.setInvalid !== "function") {
         return false;
       }
       binding.setInvalid(el, data);
       return true;
     },
-    clearInvalid: function clearInvalid2(el, binding, id) {
+    clearInvalid: function clearInvalid4(el, binding, id) {
       if (typeof binding.clearInvalid !== "function") {
         return false;
       }
@@ -3339,117 +6135,691 @@
       return true;
     }
   };
-  strategies.push(bindingStrategy);
+  registerStrategy(bindingStrategy);
+  registerStrategy(tooltipStrategy);
   var bsStrategy = {
-    isBS3: function isBS3() {
-      if (!$.fn.tab) {
-        return false;
+    name: "bootstrap",
+    priority: 100,
+    bs3Classes: {
+      error: "has-error",
+      warning: "has-warning",
+      info: "sv-has-info"
+    },
+    bs4Classes: {
+      error: "is-invalid",
+      warning: "sv-is-warning",
+      info: "sv-is-info"
+    },
+    bs4FeedbackClasses: {
+      error: "invalid-feedback",
+      warning: "sv-feedback sv-warning-feedback",
+      info: "sv-feedback sv-info-feedback"
+    },
+    bootstrapVersion: function bootstrapVersion() {
+      var bs = window.bootstrap;
+      if (bs && bs.Tooltip && bs.Tooltip.VERSION) {
+        return parseInt(bs.Tooltip.VERSION, 10);
+      }
+      if ($.fn.tab && $.fn.tab.Constructor && $.fn.tab.Constructor.VERSION) {
+        return parseInt($.fn.tab.Constructor.VERSION, 10);
       }
-      return $.fn.tab.Constructor.VERSION.match(/^3\./);
+      if (document.querySelector("[data-bs-toggle], [data-bs-theme], .bslib-page-fill, .bslib-card, .bslib-sidebar-layout")) {
+        return 5;
+      }
+      return 4;
     },
     findInputContainer: function findInputContainer(el) {
       el = $(el);
       var inputContainer = el.is(".form-group") ? el : el.parents(".form-group");
-      return inputContainer.length === 0 ? null : inputContainer;
+      if (inputContainer.length === 0) {
+        inputContainer = el.closest("[data-sv-container]");
+      }
+      return inputContainer.length === 0 ? null : inputContainer.first();
     },
-    setInvalid: function setInvalid3(el, binding, id, data) {
-      if (data.type !== "error") {
+    findCustomParent: function findCustomParent(el) {
+      var target = $(el).closest("[data-sv-message-target]").attr("data-sv-message-target");
+      if (target) {
+        var targetEl = $(target).first();
+        if (targetEl.length) {
+          return targetEl;
+        }
+      }
+      var container = $(el).closest("[data-sv-container]");
+      return container.length ? container : null;
+    },
+    messages: new Map(),
+    findMessages: function findMessages(id) {
+      return this.messages.get(id) || $();
+    },
+    findControl: function findControl(inputContainer) {
+      return inputContainer.find(".form-control, .form-select");
+    },
+    resetState: function resetState(inputContainer) {
+      if (this.bootstrapVersion() === 3) {
+        inputContainer.removeClass(Object.values(this.bs3Classes).join(" "));
+        return inputContainer;
+      }
+      var control = this.findControl(inputContainer);
+      var target = control.length ? control : inputContainer;
+      target.removeClass(Object.values(this.bs4Classes).join(" "));
+      inputContainer.find(".input-group.sv-has-validation").removeClass("has-validation sv-has-validation");
+      return target;
+    },
+    findFeedbackParent: function findFeedbackParent(inputContainer) {
+      if (this.bootstrapVersion() === 3) {
+        return inputContainer;
+      }
+      var wrapper = this.findControl(inputContainer).first().closest(".form-floating, .input-group");
+      if (wrapper.length && $.contains(inputContainer[0], wrapper[0])) {
+        return wrapper;
+      }
+      return inputContainer;
+    },
+    setInvalid: function setInvalid5(el, binding, id, data) {
+      if (!Object.prototype.hasOwnProperty.call(this.bs4Classes, data.type)) {
         return false;
       }
       var inputContainer = this.findInputContainer(el);
       if (!inputContainer) {
         return false;
       }
-      if (this.isBS3()) {
-        inputContainer.addClass("has-error");
-      } else {
-        var control = inputContainer.find(".form-control");
-        if (control.length) {
-          control.addClass("is-invalid");
-        } else {
-          inputContainer.addClass("is-invalid");
-        }
-      }
-      inputContainer.children(".shiny-validation-message").remove();
+      var isBS3 = this.bootstrapVersion() === 3;
+      var target = this.resetState(inputContainer);
+      var stateClasses = isBS3 ? this.bs3Classes : this.bs4Classes;
+      target.addClass(stateClasses[data.type]);
+      this.findMessages(id).remove();
+      this.messages.delete(id);
       if (data.message) {
-        var feedbackClass = this.isBS3() ? "help-block" : "invalid-feedback";
-        var method = data.is_html ? "html" : "text";
-        var msg = $(document.createElement("span")).addClass([feedbackClass, "shiny-validation-message"])[method](data.message);
-        msg.attr("style", function(i, s) {
-          return (s || "") + "display: block !important;";
-        });
-        inputContainer.append(msg);
+        var lines = $(messageList(data).map(function(message) {
+          var feedbackClass = isBS3 ? "help-block" : this.bs4FeedbackClasses[message.type];
+          var method = message.is_html ? "html" : "text";
+          return $(document.createElement("span")).addClass(feedbackClass)[method](message.message)[0];
+        }, this));
+        var msg = lines.length > 1 ? $(document.createElement("div")).addClass("sv-feedback-group").append(lines) : lines;
+        msg.addClass("shiny-validation-message").attr("data-sv-for", id);
+        var feedbackParent = this.findCustomParent(el) || this.findFeedbackParent(inputContainer);
+        if (feedbackParent.is(".input-group:not(.has-validation)")) {
+          feedbackParent.addClass("has-validation sv-has-validation");
+        }
+        feedbackParent.append(msg);
+        this.messages.set(id, msg);
+        setAriaInvalid(el, msg, data.type);
+      } else {
+        setAriaInvalid(el, null, data.type);
       }
       return true;
     },
-    clearInvalid: function clearInvalid3(el, binding, id) {
+    clearInvalid: function clearInvalid5(el, binding, id) {
       var inputContainer = this.findInputContainer(el);
       if (!inputContainer) {
         return false;
       }
-      if (this.isBS3()) {
-        inputContainer.removeClass("has-error");
-      } else {
-        var control = inputContainer.find(".form-control");
-        if (control.length) {
-          control.removeClass("is-invalid");
-        } else {
-          inputContainer.removeClass("is-invalid");
-        }
-      }
-      inputContainer.children(".shiny-validation-message").remove();
+      this.resetState(inputContainer);
+      this.findMessages(id).remove();
+      this.messages.delete(id);
+      clearAriaInvalid(el);
       return true;
     }
   };
-  strategies.push(bsStrategy);
-  function setInvalid4(el, binding, id) {
+  registerStrategy(bsStrategy);
+  registerStrategy(nativeStrategy);
+  function strategiesFor(el, id) {
+    var preferred = preferredStrategy(el, id);
+    var index = strategies.findIndex(function(strategy) {
+      return strategy.name === preferred;
+    });
+    if (index === -1) {
+      return strategies;
+    }
+    var ordered = strategies.slice();
+    var named = ordered.splice(index, 1)[0];
+    var eventIndex = ordered.findIndex(function(strategy) {
+      return strategy.name === "event";
+    });
+    ordered.splice(eventIndex + 1, 0, named);
+    return ordered;
+  }
+  function setInvalid6(el, binding, id) {
     var data = arguments.length > 3 && arguments[3] !== void 0 ? arguments[3] : null;
-    for (var i = 0; i < strategies.length; i++) {
-      if (strategies[i].setInvalid(el, binding, id, data)) {
-        return;
+    if (preferredStrategy(el, id) === "none") {
+      return null;
+    }
+    var ordered = strategiesFor(el, id);
+    for (var i = 0; i < ordered.length; i++) {
+      if (ordered[i].setInvalid(el, binding, id, data)) {
+        return ordered[i].name;
       }
     }
     console.warn("Don't know how to display input validation feedback for input '" + id + "'. The message was:\n" + JSON.stringify(data));
+    return null;
   }
-  function clearInvalid4(el, binding, id) {
-    for (var i = 0; i < strategies.length; i++) {
-      if (strategies[i].clearInvalid(el, binding, id)) {
-        return;
+  function clearInvalid6(el, binding, id) {
+    if (preferredStrategy(el, id) === "none") {
+      return null;
+    }
+    var ordered = strategiesFor(el, id);
+    for (var i = 0; i < ordered.length; i++) {
+      if (ordered[i].clearInvalid(el, binding, id)) {
+        return ordered[i].name;
       }
     }
     console.warn("Don't know how to clear input validation feedback for input '" + id + "'");
+    return null;
+  }
+  function triggerDisplayed(render, strategy) {
+    var props = {
+      el: render.el,
+      binding: render.binding,
+      id: render.id,
+      strategy: strategy
+    };
+    if (render.data === null) {
+      $(render.el).trigger($.Event("shinyvalidate:cleared", props));
+    } else {
+      $(render.el).trigger($.Event("shinyvalidate:shown", $.extend({}, render.data, props, {
+        type: "shinyvalidate:shown",
+        severity: render.data.type
+      })));
+    }
+  }
+  var displayedData = new Map();
+  function findHost(el) {
+    var host = $(el).closest(".form-group, .shiny-input-container");
+    return host.length ? host[0] : el.parentNode;
+  }
+  function isSameData(a, b) {
+    if (a === null || b === null) {
+      return a === b;
+    }
+    return a.type === b.type && a.message === b.message && Boolean(a.is_html) === Boolean(b.is_html) && JSON.stringify(a.messages || null) === JSON.stringify(b.messages || null);
+  }
+  var pendingRenders = new Map();
+  var indicatorsDirty = false;
+  var frameRequested = false;
+  function requestRender() {
+    if (frameRequested) {
+      return;
+    }
+    frameRequested = true;
+    var requestFrame = window.requestAnimationFrame || function(callback) {
+      return setTimeout(callback, 0);
+    };
+    requestFrame(flushRenders);
+  }
+  function flushRenders() {
+    frameRequested = false;
+    var renders = Array.from(pendingRenders.values());
+    pendingRenders.clear();
+    var changed = [];
+    renders.forEach(function(render) {
+      if (isSameData(render.rendered, render.data) && (render.data === null || render.el === render.renderedEl)) {
+        return;
+      }
+      changed.push(render.id);
+      try {
+        var strategy = render.data === null ? clearInvalid6(render.el, render.binding, render.id) : setInvalid6(render.el, render.binding, render.id, render.data);
+        if (strategy !== null) {
+          triggerDisplayed(render, strategy);
+        }
+      } catch (e) {
+        console.error(e);
+      }
+    });
+    var entries2 = displayedEntries();
+    if (indicatorsDirty) {
+      indicatorsDirty = false;
+      renderIndicators(entries2);
+    }
+    triggerUpdated(entries2, changed);
+  }
+  var lastTotals = null;
+  function triggerUpdated(entries2, changed) {
+    var totals = {
+      error: 0,
+      warning: 0,
+      info: 0
+    };
+    entries2.forEach(function(entry) {
+      if (Object.prototype.hasOwnProperty.call(totals, entry.data.type)) {
+        totals[entry.data.type]++;
+      }
+    });
+    if (changed.length === 0 && JSON.stringify(totals) === JSON.stringify(lastTotals)) {
+      return;
+    }
+    lastTotals = totals;
+    $(document).trigger($.Event("shinyvalidate:updated", {
+      totals: $.extend({}, totals),
+      changed: changed
+    }));
+  }
+  function updateInput(el, binding, id, data) {
+    var immediate = arguments.length > 4 && arguments[4] !== void 0 ? arguments[4] : false;
+    var requested = data;
+    if (data !== null && !isRevealed(id)) {
+      data = null;
+    }
+    var source = data;
+    data = localizeData(data);
+    var displayed = displayedData.get(id);
+    var current = displayed && displayed.el === el ? displayed.data : null;
+    if (isSameData(current, data)) {
+      cancelDeferred(id);
+      return;
+    }
+    var delay = immediate ? 0 : displayDelay(id, current, data);
+    if (delay > 0) {
+      defer(id, delay, function() {
+        updateInput(el, binding, id, requested);
+        refreshIndicators();
+      });
+      return;
+    }
+    cancelDeferred(id);
+    noteDisplayed(id, data);
+    if (data === null) {
+      displayedData.delete(id);
+    } else {
+      displayedData.set(id, {
+        el: el,
+        binding: binding,
+        data: data,
+        source: source,
+        host: findHost(el)
+      });
+    }
+    var pending = pendingRenders.get(id);
+    pendingRenders.set(id, {
+      el: el,
+      binding: binding,
+      id: id,
+      data: data,
+      renderedEl: pending ? pending.renderedEl : displayed ? displayed.el : null,
+      rendered: pending ? pending.rendered : displayed ? displayed.data : null
+    });
+    requestRender();
+  }
+  var ownElements = ".shiny-validation-message, .shinyvalidate-summary-list, .sv-invalid-badge, .sv-tooltip-fallback";
+  function mayRemoveHost(mutation) {
+    return Array.from(mutation.removedNodes).some(function(node) {
+      return node.nodeType === Node.ELEMENT_NODE && !$(node).is(ownElements);
+    });
+  }
+  function observeReplacedHosts() {
+    var observer = new MutationObserver(function(mutations) {
+      if (!mutations.some(mayRemoveHost)) {
+        return;
+      }
+      var reapplied = false;
+      displayedData.forEach(function(displayed, id) {
+        var root = document.documentElement;
+        if (!displayed.host || root.contains(displayed.host) || !root.contains(displayed.el)) {
+          return;
+        }
+        displayedData.delete(id);
+        updateInput(displayed.el, displayed.binding, id, displayed.source, true);
+        reapplied = true;
+      });
+      if (reapplied) {
+        refreshIndicators();
+      }
+    });
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true
+    });
+  }
+  function refreshIndicators() {
+    indicatorsDirty = true;
+    requestRender();
+  }
+  function displayedEntries() {
+    var entries2 = [];
+    displayedData.forEach(function(displayed, id) {
+      if (document.documentElement.contains(displayed.el)) {
+        entries2.push({
+          id: id,
+          el: displayed.el,
+          data: displayed.data
+        });
+      }
+    });
+    return entries2;
+  }
+  function renderIndicators(entries2) {
+    updateSummaries(entries2);
+    updateAncestors(entries2);
+  }
+  var latestData = new Map();
+  var validatorData = new Map();
+  var severityRanks = {
+    info: 1,
+    warning: 2,
+    error: 3
+  };
+  function mergeValidatorData(id) {
+    var merged = null;
+    validatorData.forEach(function(results) {
+      var data = results.get(id);
+      if (data && (merged === null || severityRanks[data.type] > severityRanks[merged.type])) {
+        merged = data;
+      }
+    });
+    if (merged === null) {
+      latestData.delete(id);
+    } else {
+      latestData.set(id, merged);
+    }
+    return merged;
+  }
+  function setValidatorData(validator, id, data) {
+    var results = validatorData.get(validator);
+    if (data !== null) {
+      if (!results) {
+        results = new Map();
+        validatorData.set(validator, results);
+      }
+      results.set(id, data);
+    } else if (results) {
+      results.delete(id);
+      if (results.size === 0) {
+        validatorData.delete(validator);
+      }
+    }
+    return mergeValidatorData(id);
+  }
+  var lastSeqs = new Map();
+  var pendingResyncs = new Set();
+  var resyncNonce = 0;
+  function sendResyncRequest(validators) {
+    Shiny.setInputValue("shinyvalidate_resync", {
+      validators: validators,
+      nonce: ++resyncNonce
+    }, {
+      priority: "event"
+    });
+  }
+  function requestResync(validator) {
+    if (pendingResyncs.has(validator)) {
+      return;
+    }
+    pendingResyncs.add(validator);
+    sendResyncRequest(Array.from(pendingResyncs));
+  }
+  function revalidate(validatorId) {
+    if (validatorId === void 0 || validatorId === null) {
+      sendResyncRequest(null);
+      return;
+    }
+    if (typeof validatorId !== "string") {
+      throw new Error("shinyvalidate.revalidate() requires a validator id (string)");
+    }
+    var validators = new Set(pendingResyncs);
+    validators.add(validatorId);
+    sendResyncRequest(Array.from(validators));
+  }
+  function applyResults(message) {
+    var validator = message.validator;
+    var lastSeq = lastSeqs.get(validator);
+    if (message.reset) {
+      pendingResyncs.delete(validator);
+    } else if (lastSeq === void 0 || message.seq !== lastSeq + 1) {
+      requestResync(validator);
+    }
+    lastSeqs.set(validator, message.seq);
+    var ids = new Set();
+    if (message.reset && validatorData.has(validator)) {
+      validatorData.get(validator).forEach(function(data2, id2) {
+        ids.add(id2);
+      });
+      validatorData.delete(validator);
+      ids.forEach(mergeValidatorData);
+    }
+    for (var _i = 0, _Object$entries = Object.entries(message.set || {}); _i < _Object$entries.length; _i++) {
+      var _Object$entries$_i = _slicedToArray4(_Object$entries[_i], 2), id = _Object$entries$_i[0], data = _Object$entries$_i[1];
+      setValidatorData(validator, id, sanitizeData(data));
+      ids.add(id);
+    }
+    [].concat(message.clear || []).forEach(function(id2) {
+      setValidatorData(validator, id2, null);
+      ids.add(id2);
+    });
+    return ids;
   }
-  function getBoundInputsMap() {
-    var results = new Map();
+  var predictedIds = new Set();
+  var boundInputs = new Map();
+  function indexBoundInputs() {
     $(".shiny-bound-input").each(function(index, el) {
       var binding = $(el).data("shiny-input-binding");
       if (binding) {
         var id = binding.getId(el);
-        results.set(id, {
+        boundInputs.set(id, {
           id: id,
           el: el,
           binding: binding
         });
       }
     });
-    return results;
   }
+  function getState(id) {
+    if (!latestData.has(id)) {
+      return null;
+    }
+    return describeState(latestData.get(id), displayedData.has(id));
+  }
+  function getAll() {
+    var states = {};
+    latestData.forEach(function(data, id) {
+      states[id] = getState(id);
+    });
+    return states;
+  }
+  function snapshot() {
+    var states = {};
+    Array.from(latestData.keys()).sort().forEach(function(id) {
+      states[id] = getState(id);
+    });
+    return states;
+  }
+  function isValid(scope) {
+    var scopes = scope === void 0 || scope === null ? null : $(scope).get();
+    var _iterator = _createForOfIteratorHelper2(latestData), _step;
+    try {
+      var _loop = function _loop2() {
+        var _step$value = _slicedToArray4(_step.value, 2), id = _step$value[0], data = _step$value[1];
+        if (data.type !== "error") {
+          return "continue";
+        }
+        if (scopes === null) {
+          return {
+            v: false
+          };
+        }
+        var input = boundInputs.get(id);
+        if (input && scopes.some(function(el) {
+          return el === input.el || $.contains(el, input.el);
+        })) {
+          return {
+            v: false
+          };
+        }
+      };
+      for (_iterator.s(); !(_step = _iterator.n()).done; ) {
+        var _ret = _loop();
+        if (_ret === "continue")
+          continue;
+        if (_typeof3(_ret) === "object")
+          return _ret.v;
+      }
+    } catch (err) {
+      _iterator.e(err);
+    } finally {
+      _iterator.f();
+    }
+    return true;
+  }
+  function registerQueued(strategy) {
+    try {
+      registerStrategy(strategy);
+    } catch (e) {
+      console.error(e);
+    }
+  }
+  var api = window.shinyvalidate = $.extend(window.shinyvalidate || {}, {
+    registerStrategy: registerStrategy,
+    unregisterStrategy: unregisterStrategy,
+    listStrategies: listStrategies,
+    setAriaInvalid: setAriaInvalid,
+    clearAriaInvalid: clearAriaInvalid,
+    getState: getState,
+    getAll: getAll,
+    isValid: isValid,
+    subscribe: subscribe,
+    snapshot: snapshot,
+    revalidate: revalidate,
+    setSanitizer: setSanitizer,
+    addTranslations: addTranslations
+  });
+  var queuedStrategies = Array.isArray(api.queue) ? api.queue : [];
+  api.queue = {
+    push: function push() {
+      Array.from(arguments).forEach(registerQueued);
+    }
+  };
+  queuedStrategies.forEach(registerQueued);
   if (window.Shiny) {
+    indexBoundInputs();
     Shiny.addCustomMessageHandler("validation-jcheng5", function(message) {
-      var boundInputsMap = getBoundInputsMap();
-      for (var _i = 0, _Object$entries = Object.entries(message); _i < _Object$entries.length; _i++) {
-        var _Object$entries$_i = _slicedToArray(_Object$entries[_i], 2), key = _Object$entries$_i[0], value = _Object$entries$_i[1];
-        var input = boundInputsMap.get(key);
+      if (message.version !== 2) {
+        console.warn("Unsupported shinyvalidate message version: " + message.version);
+        return;
+      }
+      var before = hasSubscribers() ? new Map(latestData) : null;
+      var changed = applyResults(message);
+      changed.forEach(function(id) {
+        var input = boundInputs.get(id);
         if (!input) {
-          console.warn("Couldn't perform validation update on input with id '" + key + "': input not found");
-          continue;
+          return;
         }
-        if (value === null) {
-          clearInvalid4(input.el, input.binding, input.id);
-        } else {
-          setInvalid4(input.el, input.binding, input.id, value);
+        updateInput(input.el, input.binding, id, latestData.has(id) ? latestData.get(id) : null);
+      });
+      if (predictedIds.size > 0) {
+        predictedIds.forEach(function(id) {
+          var input = boundInputs.get(id);
+          if (input && !changed.has(id)) {
+            updateInput(input.el, input.binding, id, latestData.has(id) ? latestData.get(id) : null);
+          }
+        });
+        predictedIds.clear();
+      }
+      refreshIndicators();
+      updateGates(latestData);
+      if (before !== null) {
+        var changes = {};
+        changed.forEach(function(id) {
+          var previous = before.has(id) ? before.get(id) : null;
+          var current = latestData.has(id) ? latestData.get(id) : null;
+          if (!isSameData(previous, current)) {
+            changes[id] = getState(id);
+          }
+        });
+        notifySubscribers(changes);
+      }
+    });
+    Shiny.addCustomMessageHandler("shinyvalidate-rules", function(message) {
+      setRuleSpecs(message);
+      setNamespaces(message);
+      refreshIndicators();
+    });
+    Shiny.addCustomMessageHandler("shinyvalidate-gate", function(message) {
+      setGate(message, latestData);
+    });
+    Shiny.addCustomMessageHandler("shinyvalidate-display", function(message) {
+      setDisplayPolicy(message);
+      setValidatorStrategy(message);
+      setValidatorTiming(message);
+    });
+    initReveal(function(ids) {
+      ids.forEach(function(id) {
+        var input = boundInputs.get(id);
+        if (input) {
+          updateInput(input.el, input.binding, id, latestData.has(id) ? latestData.get(id) : null, true);
+        }
+      });
+      refreshIndicators();
+      updateGates(latestData);
+    });
+    onLanguageChange(function() {
+      Array.from(displayedData.entries()).forEach(function(_ref) {
+        var _ref2 = _slicedToArray4(_ref, 2), id = _ref2[0], displayed = _ref2[1];
+        updateInput(displayed.el, displayed.binding, id, displayed.source);
+      });
+      refreshIndicators();
+      updateGates(latestData);
+    });
+    $(document).on("shiny:inputchanged", function(e) {
+      noteInputChanged(e.name);
+      if (!hasRuleSpecs(e.name)) {
+        return;
+      }
+      var data = evaluateRules(e.name, e.value, e.inputType);
+      if (data === void 0) {
+        return;
+      }
+      var el = e.el;
+      var binding = e.binding;
+      if (!el || !binding) {
+        var input = boundInputs.get(e.name);
+        if (!input) {
+          return;
         }
+        el = input.el;
+        binding = input.binding;
+      }
+      predictedIds.add(e.name);
+      updateInput(el, binding, e.name, data);
+      refreshIndicators();
+    });
+    $(document).on("shiny:bound", function(e) {
+      if (e.bindingType !== "input" || !e.binding) {
+        return;
+      }
+      var id = e.binding.getId(e.target);
+      boundInputs.set(id, {
+        id: id,
+        el: e.target,
+        binding: e.binding
+      });
+      if (isGatedButton(id)) {
+        updateGates(latestData);
+      }
+      if (latestData.has(id)) {
+        updateInput(e.target, e.binding, id, latestData.get(id));
+        refreshIndicators();
+      }
+    });
+    $(document).on("shiny:unbound", function(e) {
+      if (e.bindingType !== "input" || !e.binding) {
+        return;
+      }
+      var id = e.binding.getId(e.target);
+      var input = boundInputs.get(id);
+      if (input && input.el === e.target) {
+        boundInputs.delete(id);
+        cancelDeferred(id);
+      }
+      var displayed = displayedData.get(id);
+      if (displayed && displayed.el === e.target) {
+        displayedData.delete(id);
+        noteDisplayed(id, null);
+        refreshIndicators();
       }
     });
+    if (window.MutationObserver) {
+      observeReplacedHosts();
+    }
   }
+  var readyEvent = document.createEvent("CustomEvent");
+  readyEvent.initCustomEvent("shinyvalidate:ready", false, false, api);
+  document.dispatchEvent(readyEvent);
 })();
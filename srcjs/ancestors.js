@@ -0,0 +1,84 @@
+/**
+ * Inputs with errors may be out of sight: inside an inactive tab, a collapsed
+ * accordion panel, or a card. So the element that owns each such section (the
+ * tab's nav link, the accordion panel's header, or the card's header) gets
+ * the `sv-contains-invalid` class and a badge with the number of errors
+ * inside it, for as long as there are any.
+ */
+
+// Owner elements that currently have the class and badge
+let markedOwners = [];
+
+// Returns the element that owns (i.e., shows or hides) the section, if any
+function findOwner(section) {
+  const $section = $(section);
+  const id = section.id;
+
+  if ($section.is(".tab-pane") && id) {
+    const selector = ["href", "data-bs-target", "data-target"].map(function(attr) {
+      return ".nav [" + attr + '="#' + id + '"]';
+    }).join(", ");
+    return $(selector).first();
+  }
+  if ($section.is(".accordion-collapse")) {
+    return $section.closest(".accordion-item").find(".accordion-button").first();
+  }
+  if ($section.is(".panel-collapse")) {
+    return $section.closest(".panel").children(".panel-heading").first();
+  }
+  if ($section.is(".card, .panel")) {
+    return $section.children(".card-header, .panel-heading").first();
+  }
+  return $();
+}
+
+/**
+ * Updates the owners of sections containing errors. entries is an array of
+ * objects with `el` (the bound input element) and `data` (the validation data
+ * that's displayed for that input).
+ */
+export function updateAncestors(entries) {
+  const counts = new Map();
+  entries.forEach(function(entry) {
+    if (entry.data.type !== "error") {
+      return;
+    }
+    // A section can be matched twice (e.g., a .panel-collapse in a .panel),
+    // but each input counts once per owner
+    const owners = new Set();
+    $(entry.el).parents(".tab-pane, .accordion-collapse, .panel-collapse, .card, .panel").each(function(i, section) {
+      const owner = findOwner(section)[0];
+      if (owner) {
+        owners.add(owner);
+      }
+    });
+    owners.forEach(function(owner) {
+      counts.set(owner, (counts.get(owner) || 0) + 1);
+    });
+  });
+
+  markedOwners.forEach(function(owner) {
+    if (!counts.has(owner)) {
+      $(owner).removeClass("sv-contains-invalid").
+        children(".sv-invalid-badge").remove();
+    }
+  });
+
+  counts.forEach(function(count, owner) {
+    let badge = $(owner).addClass("sv-contains-invalid").children(".sv-invalid-badge");
+    if (badge.length === 0) {
+      badge = $(document.createElement("span")).
+        addClass("badge sv-invalid-badge").
+        appendTo(owner);
+    } else if (badge.attr("data-sv-count") === String(count)) {
+      return;
+    }
+    badge.attr("data-sv-count", count).empty().
+      append(document.createTextNode(String(count))).
+      append($(document.createElement("span")).
+        addClass("sv-visually-hidden").
+        text(count === 1 ? " error" : " errors"));
+  });
+
+  markedOwners = Array.from(counts.keys());
+}
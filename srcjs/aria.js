@@ -0,0 +1,116 @@
+/**
+ * Returns the element(s) that receive keyboard focus for the input el: el
+ * itself if it's a form control, the text box that selectize puts in place of
+ * a (hidden) <select>, or else the focusable elements within el (e.g., the
+ * radio buttons in a radio button group).
+ */
+export function findFocusable(el) {
+  const $el = $(el);
+  const focusable = "input:not([type=hidden]), select, textarea, button, [tabindex]:not([tabindex='-1']), [contenteditable]";
+  if ($el.hasClass("selectized")) {
+    const selectizeInput = $el.siblings(".selectize-control").find(".selectize-input input");
+    if (selectizeInput.length) {
+      return selectizeInput;
+    }
+  }
+  if ($el.is(focusable)) {
+    return $el;
+  }
+  const descendants = $el.find(focusable);
+  return descendants.length ? descendants : $el;
+}
+
+function addIdRef(target, attr, id) {
+  target.each(function() {
+    const ids = (this.getAttribute(attr) || "").split(/\s+/).filter(Boolean);
+    if (ids.indexOf(id) === -1) {
+      ids.push(id);
+    }
+    this.setAttribute(attr, ids.join(" "));
+  });
+}
+
+function removeIdRef(target, attr, id) {
+  target.each(function() {
+    const ids = (this.getAttribute(attr) || "").split(/\s+/).filter(function(x) {
+      return x && x !== id;
+    });
+    if (ids.length) {
+      this.setAttribute(attr, ids.join(" "));
+    } else {
+      this.removeAttribute(attr);
+    }
+  });
+}
+
+let messageIdCounter = 0;
+
+// Returns base if no other element has it as its id, or else base with a
+// numeric suffix that makes it unique
+function uniqueId(base) {
+  let id = base;
+  while (document.getElementById(id)) {
+    id = base + "-" + (++messageIdCounter);
+  }
+  return id;
+}
+
+/**
+ * Lets assistive technologies know about a validation message: sets
+ * aria-invalid="true" on the focusable control(s) of the input el (for errors
+ * only, since warnings and infos don't make an input invalid), and links them
+ * to msgEl via aria-describedby and (for errors) aria-errormessage. msgEl is
+ * the element that contains the input's message(s), or null if there is no
+ * message element. It may also be an array (or jQuery object) of message
+ * elements, which are all referenced by aria-describedby; but since
+ * aria-errormessage can only reference a single element, it's only set in
+ * that case if there's just one. Message elements are given unique ids if
+ * they don't already have them.
+ *
+ * Input bindings that implement setInvalid/clearInvalid can call this (as
+ * shinyvalidate.setAriaInvalid) and clearAriaInvalid to get the same behavior
+ * as the built-in strategies.
+ */
+export function setAriaInvalid(el, msgEl, type = "error") {
+  clearAriaInvalid(el);
+  
+  const control = findFocusable(el);
+  if (type === "error") {
+    control.attr("aria-invalid", "true");
+  }
+  const msgIds = $(msgEl || []).map(function(i, msg) {
+    if (!msg.id) {
+      msg.id = uniqueId((el.id || "shinyvalidate") + "-sv-message");
+    }
+    return msg.id;
+  }).get();
+  if (msgIds.length > 0) {
+    msgIds.forEach(function(msgId) {
+      addIdRef(control, "aria-describedby", msgId);
+    });
+    if (type === "error" && msgIds.length === 1) {
+      control.attr("aria-errormessage", msgIds[0]);
+    }
+    $(el).data("shinyvalidate-message-ids", msgIds);
+  }
+}
+
+/**
+ * Undoes setAriaInvalid().
+ */
+export function clearAriaInvalid(el) {
+  const control = findFocusable(el);
+  control.removeAttr("aria-invalid");
+  const msgIds = $(el).data("shinyvalidate-message-ids");
+  if (msgIds) {
+    msgIds.forEach(function(msgId) {
+      removeIdRef(control, "aria-describedby", msgId);
+    });
+    control.each(function() {
+      if (msgIds.indexOf(this.getAttribute("aria-errormessage")) !== -1) {
+        this.removeAttribute("aria-errormessage");
+      }
+    });
+    $(el).removeData("shinyvalidate-message-ids");
+  }
+}
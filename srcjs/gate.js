@@ -0,0 +1,118 @@
+import { messageList, messageText } from "./messages";
+import { localizeData } from "./i18n";
+import { awaitsSubmit } from "./reveal";
+
+/**
+ * Buttons gated by a validator (see InputValidator$gate_button()) are disabled
+ * while any of the validator's inputs has an error, with a tooltip that lists
+ * the blocking messages. Gating uses the server's latest results (rather than
+ * what's displayed), so buttons are gated even when a display policy hides the
+ * feedback (see reveal.js). The exception is the validator's submit button,
+ * which stays enabled until it has been clicked: otherwise, the feedback that
+ * explains why it's disabled could never be revealed.
+ */
+
+// Gates by validator id: {buttons, fields, submit}
+const gates = new Map();
+// Ids of all buttons that have been gated, so they can be restored
+const gatedButtons = new Set();
+
+function gateButton(el, messages) {
+  const $el = $(el);
+  if (!$el.data("shinyvalidate-gate")) {
+    $el.data("shinyvalidate-gate", {
+      disabled: el.disabled,
+      title: $el.attr("title")
+    });
+  }
+  el.disabled = true;
+  $el.addClass("sv-gated").
+    attr("aria-disabled", "true").
+    attr("title", messages.map(function(message) {
+      return "• " + message;
+    }).join("\n"));
+}
+
+function ungateButton(el) {
+  const $el = $(el);
+  const original = $el.data("shinyvalidate-gate");
+  if (!original) {
+    return;
+  }
+  el.disabled = original.disabled;
+  $el.removeClass("sv-gated").removeAttr("aria-disabled");
+  if (original.title === undefined) {
+    $el.removeAttr("title");
+  } else {
+    $el.attr("title", original.title);
+  }
+  $el.removeData("shinyvalidate-gate");
+}
+
+export function isGatedButton(id) {
+  return gatedButtons.has(id);
+}
+
+/**
+ * Disables gated buttons whose inputs have errors (according to latestData, a
+ * Map of input ids to validation data), and restores all other buttons.
+ */
+export function updateGates(latestData) {
+  const blocking = new Map();
+  gates.forEach(function(gate) {
+    const messages = [];
+    gate.fields.forEach(function(id) {
+      const data = localizeData(latestData.has(id) ? latestData.get(id) : null);
+      if (data && data.type === "error") {
+        messageList(data).forEach(function(message) {
+          if (message.type === "error") {
+            messages.push(messageText(message));
+          }
+        });
+      }
+    });
+    gate.buttons.forEach(function(id) {
+      if (!blocking.has(id)) {
+        blocking.set(id, []);
+      }
+      if (id === gate.submit && awaitsSubmit(id)) {
+        return;
+      }
+      blocking.set(id, blocking.get(id).concat(messages));
+    });
+  });
+
+  gatedButtons.forEach(function(id) {
+    const el = document.getElementById(id);
+    const messages = blocking.get(id) || [];
+    if (el && messages.length > 0) {
+      gateButton(el, messages);
+    } else if (el) {
+      ungateButton(el);
+    }
+    if (!blocking.has(id)) {
+      gatedButtons.delete(id);
+    }
+  });
+}
+
+/**
+ * Updates a validator's gate from a `shinyvalidate-gate` message. A message
+ * without buttons removes the gate.
+ */
+export function setGate(message, latestData) {
+  const buttons = message.buttons ? [].concat(message.buttons) : [];
+  if (buttons.length === 0) {
+    gates.delete(message.validator);
+  } else {
+    gates.set(message.validator, {
+      buttons: buttons,
+      fields: message.fields ? [].concat(message.fields) : [],
+      submit: message.submit || null
+    });
+    buttons.forEach(function(id) {
+      gatedButtons.add(id);
+    });
+  }
+  updateGates(latestData);
+}
@@ -0,0 +1,110 @@
+/**
+ * The built-in rules' default messages (and messages created with
+ * validation_message(key = ...)) arrive with a `key` and `params` alongside
+ * their English text. If a translation catalog for the page's language (the
+ * `lang` attribute of <html>) has a translation for the key, it's displayed
+ * instead, with its `{name}` placeholders replaced by the params. Otherwise,
+ * the English text is displayed. Since messages are translated when they're
+ * displayed, they can be re-rendered in another language without asking the
+ * server.
+ */
+
+// Translations by (lowercase) language tag, as Maps of keys to translations
+const catalogs = new Map();
+const listeners = [];
+
+function notifyListeners() {
+  listeners.forEach(function(callback) {
+    callback();
+  });
+}
+
+/**
+ * Adds translations (an object that maps message keys to translations) for
+ * language `lang` (e.g., "de" or "pt-BR"), replacing any existing translations
+ * for the same keys. Displayed messages are re-rendered right away.
+ */
+export function addTranslations(lang, translations) {
+  if (typeof(lang) !== "string" || lang === "") {
+    throw new Error("shinyvalidate.addTranslations() requires a language tag");
+  }
+  lang = lang.toLowerCase();
+  if (!catalogs.has(lang)) {
+    catalogs.set(lang, new Map());
+  }
+  const catalog = catalogs.get(lang);
+  for (const [key, translation] of Object.entries(translations || {})) {
+    catalog.set(key, String(translation));
+  }
+  notifyListeners();
+}
+
+function pageLanguage() {
+  return (document.documentElement.getAttribute("lang") || "").toLowerCase();
+}
+
+// Looks for a translation in the page's language, then in its base language
+// (e.g., "pt" for "pt-BR")
+function findTranslation(key) {
+  const lang = pageLanguage();
+  if (lang === "") {
+    return undefined;
+  }
+  const candidates = [lang, lang.split("-")[0]];
+  for (let i = 0; i < candidates.length; i++) {
+    const catalog = catalogs.get(candidates[i]);
+    if (catalog && catalog.has(key)) {
+      return catalog.get(key);
+    }
+  }
+  return undefined;
+}
+
+function translate(message) {
+  if (!message.key || message.is_html) {
+    return message.message;
+  }
+  const translation = findTranslation(message.key);
+  if (translation === undefined) {
+    return message.message;
+  }
+  const params = message.params || {};
+  return translation.replace(/\{(\w+)\}/g, function(match, name) {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) {
+      return match;
+    }
+    // R vectors of length > 1 arrive as arrays
+    return [].concat(params[name]).join(", ");
+  });
+}
+
+/**
+ * Returns validation data with its messages translated into the page's
+ * language, where possible.
+ */
+export function localizeData(data) {
+  if (data === null || (!data.key && !data.messages)) {
+    return data;
+  }
+  const result = $.extend({}, data, {message: translate(data)});
+  if (data.messages) {
+    result.messages = [].concat(data.messages).map(function(message) {
+      return message.key ? $.extend({}, message, {message: translate(message)}) : message;
+    });
+  }
+  return result;
+}
+
+/**
+ * Calls `callback` whenever messages may need to be re-rendered: when the
+ * page's language changes, or translations are added.
+ */
+export function onLanguageChange(callback) {
+  if (listeners.length === 0) {
+    new MutationObserver(notifyListeners).observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ["lang"]
+    });
+  }
+  listeners.push(callback);
+}
@@ -0,0 +1,55 @@
+/**
+ * Validators created with `all_messages = TRUE` (see InputValidator$new())
+ * send every failing rule's message for an input, as a `messages` array of
+ * {type, message, is_html} objects; the input's own type/message/is_html are
+ * those of the most severe one. These helpers let strategies treat both kinds
+ * of validation data alike.
+ */
+
+// R lists of length one may arrive as scalars
+function asArray(x) {
+  return Array.isArray(x) ? x : [x];
+}
+
+/**
+ * Returns the individual messages of validation data, as an array of
+ * {type, message, is_html} objects.
+ */
+export function messageList(data) {
+  if (data.messages) {
+    return asArray(data.messages);
+  }
+  return [{type: data.type, message: data.message, is_html: data.is_html}];
+}
+
+/**
+ * Returns the plain text of a validation message, without evaluating any HTML
+ * it contains (e.g., for tooltips and the browser's validation bubbles).
+ */
+export function messageText(data) {
+  if (!data.is_html) {
+    return String(data.message);
+  }
+  const doc = new DOMParser().parseFromString(String(data.message), "text/html");
+  return doc.body.textContent.trim();
+}
+
+/**
+ * Renders validation data's message into the jQuery object target, as a list
+ * if there are multiple messages.
+ */
+export function renderMessages(target, data) {
+  const messages = messageList(data);
+  if (messages.length <= 1) {
+    const method = data.is_html ? "html" : "text";
+    return target[method](data.message);
+  }
+  const list = $(document.createElement("ul")).addClass("sv-message-list");
+  messages.forEach(function(message) {
+    const method = message.is_html ? "html" : "text";
+    list.append($(document.createElement("li")).
+      addClass("sv-message-item sv-message-" + message.type)
+      [method](message.message));
+  });
+  return target.empty().append(list);
+}
@@ -0,0 +1,50 @@
+import { messageList, messageText } from "./messages";
+
+/**
+ * The native strategy reports errors through the browser's Constraint
+ * Validation API, by calling setCustomValidity() on the input's form
+ * controls. This makes `:invalid` styles, reportValidity(), and the validity
+ * state that password managers and form tooling read reflect the server's
+ * results. It's a fallback for plain HTML or unstyled inputs that the other
+ * strategies don't handle (e.g., inputs without a `.form-group`).
+ *
+ * The Constraint Validation API only knows about errors, so warnings and infos
+ * leave the controls valid.
+ */
+
+function findControls(el) {
+  if (typeof(el.setCustomValidity) === "function") {
+    return $(el);
+  }
+  return $(el).find("input, select, textarea").filter(function() {
+    return typeof(this.setCustomValidity) === "function";
+  });
+}
+
+export const nativeStrategy = {
+  name: "native",
+  priority: 50,
+  setInvalid: function(el, binding, id, data) {
+    const controls = findControls(el);
+    if (controls.length === 0) {
+      return false;
+    }
+    const message = messageList(data).filter(function(message) {
+      return message.type === "error";
+    }).map(messageText).join("\n");
+    controls.each(function(i, control) {
+      control.setCustomValidity(message);
+    });
+    return true;
+  },
+  clearInvalid: function(el, binding, id) {
+    const controls = findControls(el);
+    if (controls.length === 0) {
+      return false;
+    }
+    controls.each(function(i, control) {
+      control.setCustomValidity("");
+    });
+    return true;
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Inputs can ask for their feedback to be displayed by a particular strategy:
+ * either with a `data-sv-strategy` attribute on the input or any of its
+ * ancestors (e.g., its `.shiny-input-container`), or via the `strategy` of the
+ * validator whose rules apply to it (see InputValidator$new()). The attribute
+ * takes precedence. The special name "none" opts out of display altogether.
+ * (See validation_placement() on the R side.)
+ */
+
+// Preferred strategy names by validator id: {fields, strategy}
+const validatorStrategies = new Map();
+// The id of the validator whose preferred strategy applies to each input id
+const fieldStrategies = new Map();
+
+/**
+ * Updates a validator's preferred strategy from a `shinyvalidate-display`
+ * message.
+ */
+export function setValidatorStrategy(message) {
+  const previous = validatorStrategies.get(message.validator);
+  if (previous) {
+    previous.fields.forEach(function(id) {
+      if (fieldStrategies.get(id) === message.validator) {
+        fieldStrategies.delete(id);
+      }
+    });
+    validatorStrategies.delete(message.validator);
+  }
+
+  const fields = message.fields ? [].concat(message.fields) : [];
+  if (fields.length > 0 && message.strategy) {
+    validatorStrategies.set(message.validator, {
+      fields: fields,
+      strategy: message.strategy
+    });
+    fields.forEach(function(id) {
+      fieldStrategies.set(id, message.validator);
+    });
+  }
+}
+
+/**
+ * Returns the name of the strategy that input `id` (bound to `el`) asks for,
+ * or null if it doesn't ask for one.
+ */
+export function preferredStrategy(el, id) {
+  const attr = $(el).closest("[data-sv-strategy]").attr("data-sv-strategy");
+  if (attr) {
+    return attr;
+  }
+  const strategy = validatorStrategies.get(fieldStrategies.get(id));
+  return strategy ? strategy.strategy : null;
+}
@@ -0,0 +1,126 @@
+/**
+ * Display timing policies for validators created with `display = "blur"` or
+ * `display = "submit"` (see InputValidator$new()). The server always sends
+ * the full validation results; these policies decide which inputs' feedback
+ * is revealed to the user yet:
+ *
+ * - "blur": an input's feedback is revealed once focus has left the input, or
+ *   once the validator's submit button has been clicked.
+ * - "submit": nothing is revealed until the validator's submit button has been
+ *   clicked; from then on, everything is.
+ *
+ * Inputs that don't belong to a validator with such a policy are always
+ * revealed.
+ */
+
+// Policies by validator id: {fields, display, submit, submitted}
+const policies = new Map();
+// The id of the validator whose policy applies to each input id
+const fieldPolicies = new Map();
+// Input ids that focus has left at least once
+const touched = new Set();
+
+let onReveal = function(ids) {};
+
+function getInputIds(els) {
+  const ids = [];
+  $(els).each(function(i, el) {
+    const binding = $(el).data("shiny-input-binding");
+    if (binding) {
+      ids.push(binding.getId(el));
+    }
+  });
+  return ids;
+}
+
+export function isRevealed(id) {
+  const policy = policies.get(fieldPolicies.get(id));
+  if (!policy || policy.submitted) {
+    return true;
+  }
+  return policy.display === "blur" && touched.has(id);
+}
+
+/**
+ * Returns whether button `id` is the submit button of a validator whose
+ * feedback it hasn't revealed yet.
+ */
+export function awaitsSubmit(id) {
+  return Array.from(policies.values()).some(function(policy) {
+    return policy.submit === id && !policy.submitted;
+  });
+}
+
+/**
+ * Updates a validator's policy from a `shinyvalidate-display` message. A
+ * message without fields (or with the "immediate" policy) removes the policy.
+ */
+export function setDisplayPolicy(message) {
+  const previous = policies.get(message.validator);
+  const affected = previous ? previous.fields.slice() : [];
+  if (previous) {
+    previous.fields.forEach(function(id) {
+      if (fieldPolicies.get(id) === message.validator) {
+        fieldPolicies.delete(id);
+      }
+    });
+    policies.delete(message.validator);
+  }
+
+  const fields = message.fields ? [].concat(message.fields) : [];
+  if (fields.length > 0 && message.display !== "immediate") {
+    policies.set(message.validator, {
+      fields: fields,
+      display: message.display,
+      submit: message.submit,
+      // Once submitted, a validator stays live
+      submitted: previous ? previous.submitted : false
+    });
+    fields.forEach(function(id) {
+      fieldPolicies.set(id, message.validator);
+      affected.push(id);
+    });
+  }
+
+  onReveal(affected);
+}
+
+/**
+ * Sets the function that's called with an array of input ids whose feedback
+ * may have been revealed (or hidden).
+ */
+export function initReveal(callback) {
+  onReveal = callback;
+
+  $(document).on("focusout", function(e) {
+    let els = $(e.target).closest(".shiny-bound-input");
+    if (els.length === 0) {
+      // E.g., selectize, where the focusable element replaces the input
+      els = $(e.target).closest(".shiny-input-container").find(".shiny-bound-input");
+    }
+    const ids = getInputIds(els).filter(function(id) {
+      return !touched.has(id);
+    });
+    if (ids.length === 0) {
+      return;
+    }
+    ids.forEach(function(id) {
+      touched.add(id);
+    });
+    onReveal(ids);
+  });
+
+  $(document).on("click", function(e) {
+    const button = $(e.target).closest("button, a, input, .action-button");
+    const buttonId = button.attr("id");
+    if (!buttonId) {
+      return;
+    }
+    policies.forEach(function(policy) {
+      if (policy.submit === buttonId && !policy.submitted) {
+        policy.submitted = true;
+        onReveal(policy.fields);
+      }
+    });
+  });
+}
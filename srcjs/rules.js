@@ -0,0 +1,341 @@
+/**
+ * A JavaScript implementation of shinyvalidate's built-in rules (sv_required(),
+ * sv_email(), etc.), so that validation feedback can be displayed as soon as an
+ * input changes, instead of after a round trip to the server. The rules are
+ * described by "specs" that InputValidator sends (see with_client_spec() in
+ * R/rules.R); the server's results remain authoritative, and replace whatever
+ * the browser displayed as soon as they arrive.
+ *
+ * The goal is to match the R implementations for common input values. When
+ * a rule can't be evaluated with confidence (e.g., an unknown rule, or a value
+ * of an unexpected type), evaluation returns `undefined` and the display is
+ * left to the server.
+ */
+
+// The rule specs for each input id, as a Map of validator ids to arrays of
+// specs (in the order that the rules are run)
+const ruleSpecs = new Map();
+
+// Returned by rules (like sv_optional()) that skip all subsequent rules
+const SKIP = {};
+
+// Keep these in sync with R/rules.R. Messages are {message, key, params}
+// objects, so that they can be translated (see i18n.js).
+const errMsgZeroLengthValue = {message: "Must not contain zero values.", key: "zero_length_value"};
+const errMsgAllowMultiple = {message: "Must not contain multiple values.", key: "allow_multiple"};
+const errMsgAllowNA = {message: "Must not contain `NA` values.", key: "allow_na"};
+const errMsgAllowNaN = {message: "Must not contain `NaN` values.", key: "allow_nan"};
+const errMsgAllowInfinite = {message: "Must not contain infinite values.", key: "allow_infinite"};
+
+// The message of a rule's spec
+function specMessage(spec) {
+  return {message: spec.message, key: spec.key, params: spec.params};
+}
+
+// R vectors of length one arrive as scalars (Shiny uses auto_unbox)
+function asArray(x) {
+  return Array.isArray(x) ? x : [x];
+}
+
+/**
+ * Converts an input value into the equivalent of the R vector that the server
+ * will see, with `null` standing in for NA.
+ */
+function toVector(value, inputType) {
+  if (value === null || value === undefined) {
+    // Shiny turns null into NA for numeric inputs, and NULL otherwise
+    return /^shiny\.number/.test(inputType || "") ? [null] : [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function isNaNValue(x) {
+  return typeof(x) === "number" && isNaN(x);
+}
+
+function isNA(x) {
+  return x === null || isNaNValue(x);
+}
+
+// JavaScript's equivalent of input_provided()
+function inputProvided(value, values, inputType) {
+  if (value !== null && typeof(value) === "object" && !Array.isArray(value)) {
+    return true;
+  }
+  if (values.length === 0) {
+    return false;
+  }
+  if (values.every(isNA)) {
+    return false;
+  }
+  const isCharacter = values.every(function(x) {
+    return x === null || typeof(x) === "string";
+  });
+  if (isCharacter && !values.some(function(x) { return typeof(x) === "string" && x !== ""; })) {
+    return false;
+  }
+  if (/^shiny\.action/.test(inputType || "") && value === 0) {
+    return false;
+  }
+  return true;
+}
+
+// JavaScript's equivalent of sv_basic()
+function checkBasic(values, spec) {
+  if (!spec.allow_multiple && values.length !== 1) {
+    return errMsgAllowMultiple;
+  }
+  if (!spec.allow_na && values.some(function(x) { return x === null; })) {
+    return errMsgAllowNA;
+  }
+  if (!spec.allow_nan && values.some(isNaNValue)) {
+    return errMsgAllowNaN;
+  }
+  if (!spec.allow_inf && values.some(function(x) { return x === Infinity || x === -Infinity; })) {
+    return errMsgAllowInfinite;
+  }
+  return null;
+}
+
+function isNumberVector(values) {
+  return values.every(function(x) {
+    return x === null || typeof(x) === "number";
+  });
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const comparisons = {
+  ">": function(a, b) { return a > b; },
+  ">=": function(a, b) { return a >= b; },
+  "<": function(a, b) { return a < b; },
+  "<=": function(a, b) { return a <= b; },
+  "==": function(a, b) { return a === b; },
+  "!=": function(a, b) { return a !== b; }
+};
+
+/**
+ * Each rule takes the spec, the value as an array (see toVector), the raw
+ * value, and the input type; it returns `null` if the value passes, a message
+ * (see specMessage) if it fails, SKIP to skip subsequent rules, or `undefined`
+ * if the value can't be evaluated in the browser.
+ */
+const rules = {
+  required: function(spec, values, value, inputType) {
+    return inputProvided(value, values, inputType) ? null : specMessage(spec);
+  },
+  optional: function(spec, values, value, inputType) {
+    return inputProvided(value, values, inputType) ? null : SKIP;
+  },
+  regex: function(spec, values) {
+    // grepl() is vectorized, but sv_regex() only works with single values
+    if (values.length !== 1 || (values[0] !== null && typeof(values[0]) === "object")) {
+      return undefined;
+    }
+    let regex;
+    try {
+      regex = new RegExp(spec.fixed ? escapeRegExp(spec.pattern) : spec.pattern,
+        spec.ignore_case ? "i" : "");
+    } catch (e) {
+      // Not a valid JavaScript regular expression
+      return undefined;
+    }
+    let result = values[0] !== null && regex.test(String(values[0]));
+    if (spec.invert) {
+      result = !result;
+    }
+    return result ? null : specMessage(spec);
+  },
+  // sv_email() and sv_url()
+  pattern: function(spec, values) {
+    const basic = checkBasic(values, {
+      allow_multiple: spec.allow_multiple,
+      allow_na: spec.allow_na,
+      allow_nan: false,
+      allow_inf: false
+    });
+    if (basic !== null) {
+      return basic;
+    }
+    let regex;
+    try {
+      regex = new RegExp(spec.pattern, "i");
+    } catch (e) {
+      return undefined;
+    }
+    const ok = values.every(function(x) {
+      return isNA(x) || regex.test(String(x));
+    });
+    return ok ? null : specMessage(spec);
+  },
+  numeric: function(spec, values) {
+    const basic = checkBasic(values, spec);
+    if (basic !== null) {
+      return basic;
+    }
+    if (values.length === 0) {
+      return errMsgZeroLengthValue;
+    }
+    return isNumberVector(values) ? null : specMessage(spec);
+  },
+  integer: function(spec, values) {
+    const basic = checkBasic(values, {
+      allow_multiple: spec.allow_multiple,
+      allow_na: spec.allow_na,
+      allow_nan: spec.allow_nan,
+      allow_inf: false
+    });
+    if (basic !== null) {
+      return basic;
+    }
+    if (values.length === 0) {
+      return errMsgZeroLengthValue;
+    }
+    if (!isNumberVector(values)) {
+      // R throws an error for non-numeric values
+      return undefined;
+    }
+    const ok = values.every(function(x) {
+      return isNA(x) || x % 1 === 0;
+    });
+    return ok ? null : specMessage(spec);
+  },
+  between: function(spec, values) {
+    const basic = checkBasic(values, {
+      allow_multiple: true,
+      allow_na: spec.allow_na,
+      allow_nan: spec.allow_nan,
+      allow_inf: true
+    });
+    if (basic !== null) {
+      return basic;
+    }
+    if (!isNumberVector(values)) {
+      return undefined;
+    }
+    const inclusive = asArray(spec.inclusive);
+    const outside = values.some(function(x) {
+      if (isNA(x)) {
+        return false;
+      }
+      const leftOfLeft = inclusive[0] ? x < spec.left : x <= spec.left;
+      const rightOfRight = inclusive[1] ? x > spec.right : x >= spec.right;
+      return leftOfLeft || rightOfRight;
+    });
+    return outside ? specMessage(spec) : null;
+  },
+  in_set: function(spec, values) {
+    const set = asArray(spec.set);
+    const ok = values.every(function(x) {
+      return set.some(function(member) {
+        if (x === null || member === null) {
+          return x === member;
+        }
+        // %in% compares as character unless both are numbers
+        if (typeof(x) === "number" && typeof(member) === "number") {
+          return x === member;
+        }
+        return String(x) === String(member);
+      });
+    });
+    return ok ? null : specMessage(spec);
+  },
+  compare: function(spec, values) {
+    const basic = checkBasic(values, spec);
+    if (basic !== null) {
+      return basic;
+    }
+    if (!isNumberVector(values) || !comparisons[spec.operator]) {
+      return undefined;
+    }
+    const ok = values.every(function(x) {
+      return isNA(x) || comparisons[spec.operator](x, spec.rhs);
+    });
+    return ok ? null : specMessage(spec);
+  },
+  compose: function(spec, values, value, inputType) {
+    const specs = asArray(spec.rules);
+    for (let i = 0; i < specs.length; i++) {
+      const result = evaluateSpec(specs[i], values, value, inputType);
+      if (result !== null) {
+        return result;
+      }
+    }
+    return null;
+  }
+};
+
+function evaluateSpec(spec, values, value, inputType) {
+  if (!spec || !Object.prototype.hasOwnProperty.call(rules, spec.rule)) {
+    return undefined;
+  }
+  return rules[spec.rule](spec, values, value, inputType);
+}
+
+/**
+ * Updates a validator's rule specs from a `shinyvalidate-rules` message, whose
+ * `specs` map input ids to arrays of specs (or null, to remove an input's
+ * specs).
+ */
+export function setRuleSpecs(message) {
+  for (const [id, specs] of Object.entries(message.specs || {})) {
+    let validatorSpecs = ruleSpecs.get(id);
+    if (specs !== null) {
+      if (!validatorSpecs) {
+        validatorSpecs = new Map();
+        ruleSpecs.set(id, validatorSpecs);
+      }
+      validatorSpecs.set(message.validator, asArray(specs));
+    } else if (validatorSpecs) {
+      validatorSpecs.delete(message.validator);
+      if (validatorSpecs.size === 0) {
+        ruleSpecs.delete(id);
+      }
+    }
+  }
+}
+
+export function hasRuleSpecs(id) {
+  return ruleSpecs.has(id);
+}
+
+// Runs one validator's rules, returning null, a message, or undefined
+function evaluateSpecs(specs, values, value, inputType) {
+  for (let i = 0; i < specs.length; i++) {
+    const result = evaluateSpec(specs[i], values, value, inputType);
+    if (result === SKIP) {
+      return null;
+    }
+    if (result !== null) {
+      return result;
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs the rules for input `id` against `value`, the same way that the
+ * validators with rules for it would. Returns `null` if the value passes,
+ * validation data (like the server would send) if it fails, or `undefined` if
+ * the result can't be determined in the browser.
+ */
+export function evaluateRules(id, value, inputType) {
+  const validatorSpecs = ruleSpecs.get(id);
+  if (!validatorSpecs) {
+    return undefined;
+  }
+  const values = toVector(value, inputType);
+  let message = null;
+  for (const specs of validatorSpecs.values()) {
+    const result = evaluateSpecs(specs, values, value, inputType);
+    if (result === undefined) {
+      return undefined;
+    }
+    if (message === null) {
+      message = result;
+    }
+  }
+  return message === null ? null : $.extend({type: "error", is_html: false}, message);
+}
@@ -0,0 +1,164 @@
+/**
+ * HTML validation messages (`is_html`) are often built from user input (e.g.,
+ * "<b>{value}</b> is not allowed"), so they're sanitized as soon as they
+ * arrive, before any strategy (or summary, tooltip, etc.) displays them. Only
+ * allowlisted tags and attributes are kept: other elements are replaced by
+ * their contents (or removed along with them, for elements like <script>),
+ * and links may only point to http(s) and mailto URLs or relative ones.
+ *
+ * Apps can change the allowlist with validation_sanitizer() on the R side
+ * (which renders a `data-sv-sanitizer` element), or replace the sanitizer
+ * with shinyvalidate.setSanitizer(); the latter takes precedence.
+ */
+
+const defaultTags = [
+  "a", "abbr", "b", "br", "code", "em", "i", "kbd", "li", "mark", "ol", "p",
+  "s", "small", "span", "strong", "sub", "sup", "u", "ul"
+];
+const defaultAttributes = ["class", "dir", "href", "lang", "title"];
+
+// Elements whose contents are removed along with them
+const dropContents = [
+  "embed", "iframe", "math", "noscript", "object", "script", "select",
+  "style", "svg", "template", "textarea"
+];
+
+// URLs that are relative (no scheme before the first /, ?, or #), or that use
+// one of these schemes
+const safeURL = /^(?:(?:https?|mailto):|[^:/?#]*(?:[/?#]|$))/i;
+
+// Set by setSanitizer(): undefined to use the page's allowlist (if any), an
+// allowlist ({tags, attributes}), a function, or null to not sanitize at all
+let customSanitizer;
+
+function splitNames(value) {
+  return value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+}
+
+// Returns the allowlist: from the page's data-sv-sanitizer element, if any
+function allowlist() {
+  const el = $("[data-sv-sanitizer]").first();
+  const tags = el.attr("data-sv-allowed-tags");
+  const attributes = el.attr("data-sv-allowed-attributes");
+  return {
+    tags: tags === undefined ? defaultTags : splitNames(tags),
+    attributes: attributes === undefined ? defaultAttributes : splitNames(attributes)
+  };
+}
+
+/**
+ * Returns {html, removed}: the sanitized html, and whether anything had to be
+ * removed from it.
+ */
+function sanitizeHTML(html, allowed) {
+  // DOMParser documents are inert: scripts don't run and images don't load
+  // (<body> keeps elements like <script> and <style> at the start of html out
+  // of the <head>)
+  const doc = new DOMParser().parseFromString("<body>" + String(html), "text/html");
+  let removed = doc.head.hasChildNodes();
+
+  function clean(node) {
+    Array.from(node.childNodes).forEach(function(child) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        removed = true;
+        node.removeChild(child);
+        return;
+      }
+      const tag = child.nodeName.toLowerCase();
+      if (allowed.tags.indexOf(tag) === -1) {
+        removed = true;
+        // (Not child.replaceWith() or child.remove(), which IE 11 lacks)
+        if (dropContents.indexOf(tag) === -1) {
+          clean(child);
+          while (child.firstChild) {
+            node.insertBefore(child.firstChild, child);
+          }
+        }
+        node.removeChild(child);
+        return;
+      }
+      Array.from(child.attributes).forEach(function(attr) {
+        const name = attr.name.toLowerCase();
+        const ok = allowed.attributes.indexOf(name) !== -1 &&
+          // Browsers ignore whitespace and control characters in URLs
+          (name !== "href" || safeURL.test(attr.value.replace(/[\u0000-\u0020]/g, "")));
+        if (!ok) {
+          removed = true;
+          child.removeAttribute(attr.name);
+        }
+      });
+      clean(child);
+    });
+  }
+  clean(doc.body);
+  return {html: doc.body.innerHTML, removed: removed};
+}
+
+// Like sanitizeHTML(), but with the current sanitizer. `removed` is undefined
+// for a custom sanitizer function, since comparing its output with its input
+// can't tell removals apart from normalization (e.g., of quotes or entities).
+function sanitizeMessage(message) {
+  if (customSanitizer === null) {
+    return {html: message, removed: false};
+  }
+  if (typeof(customSanitizer) === "function") {
+    return {html: String(customSanitizer(String(message))), removed: undefined};
+  }
+  return sanitizeHTML(message, customSanitizer || allowlist());
+}
+
+/**
+ * Returns validation data with its HTML messages sanitized, and `sanitized`
+ * set to whether anything was removed from them (unless a custom sanitizer
+ * function is used, which can't tell). Plain text messages are returned as is.
+ */
+export function sanitizeData(data) {
+  if (data === null) {
+    return null;
+  }
+  let sanitized = false;
+  const result = $.extend({}, data);
+  if (data.is_html) {
+    const clean = sanitizeMessage(data.message);
+    result.message = clean.html;
+    sanitized = clean.removed;
+  }
+  if (data.messages) {
+    result.messages = [].concat(data.messages).map(function(message) {
+      if (!message.is_html) {
+        return message;
+      }
+      const clean = sanitizeMessage(message.message);
+      sanitized = sanitized || clean.removed;
+      return $.extend({}, message, {message: clean.html});
+    });
+  }
+  if ((data.is_html || data.messages) && typeof(customSanitizer) !== "function") {
+    result.sanitized = sanitized;
+  }
+  return result;
+}
+
+/**
+ * Changes how HTML messages are sanitized: `config` is an object with
+ * `allowedTags` and/or `allowedAttributes` arrays (to change the allowlist), a
+ * function that takes and returns an HTML string (e.g., DOMPurify.sanitize),
+ * or null to display HTML messages as is. undefined restores the default.
+ * Only messages that arrive later are affected.
+ */
+export function setSanitizer(config) {
+  if (config === null || config === undefined || typeof(config) === "function") {
+    customSanitizer = config;
+    return;
+  }
+  if (typeof(config) !== "object") {
+    throw new Error("shinyvalidate.setSanitizer() requires an object, a function, or null");
+  }
+  customSanitizer = {
+    tags: config.allowedTags ? splitNames([].concat(config.allowedTags).join(" ")) : defaultTags,
+    attributes: config.allowedAttributes ? splitNames([].concat(config.allowedAttributes).join(" ")) : defaultAttributes
+  };
+}
@@ -1,11 +1,81 @@
+import { setAriaInvalid, clearAriaInvalid } from "./aria";
+import { messageList } from "./messages";
+import { updateSummaries, setNamespaces } from "./summary";
+import { updateAncestors } from "./ancestors";
+import { setRuleSpecs, hasRuleSpecs, evaluateRules } from "./rules";
+import { initReveal, isRevealed, setDisplayPolicy } from "./reveal";
+import { setGate, updateGates, isGatedButton } from "./gate";
+import { setValidatorStrategy, preferredStrategy } from "./placement";
+import { tooltipStrategy } from "./tooltip";
+import { nativeStrategy } from "./native";
+import { describeState, subscribe, hasSubscribers, notifySubscribers } from "./state";
+import { sanitizeData, setSanitizer } from "./sanitize";
+import { addTranslations, localizeData, onLanguageChange } from "./i18n";
+import { setValidatorTiming, noteInputChanged, noteDisplayed, displayDelay, defer, cancelDeferred } from "./timing";
+
 /**
  * When shinyvalidate receives a notification that an id is invalid or valid,
  * it doesn't have a priori knowledge of how to show/hide validation feedback
- * for that id. Instead, we use several strategies that we try in turn; once
- * a strategy succeeds, we stop.
+ * for that id. Instead, we use several strategies that we try in turn, from
+ * highest priority to lowest; once a strategy succeeds, we stop.
  */
  
- const strategies = [];
+const strategies = [];
+
+/**
+ * Adds a strategy to the list of strategies, or replaces an existing strategy
+ * with the same name. A strategy is an object with `name` (string), `priority`
+ * (number), and `setInvalid`/`clearInvalid` methods; the methods must return
+ * `true` if they handled the input, or `false` to let the next strategy try.
+ *
+ * Strategies with higher priority are tried first. Among strategies with equal
+ * priority, the one registered first is tried first.
+ */
+function registerStrategy(strategy) {
+  if (!strategy || typeof(strategy.name) !== "string" || strategy.name === "") {
+    throw new Error("shinyvalidate strategies must have a non-empty `name`");
+  }
+  if (typeof(strategy.priority) !== "number" || isNaN(strategy.priority)) {
+    throw new Error("shinyvalidate strategy '" + strategy.name + "' must have a numeric `priority`");
+  }
+  if (typeof(strategy.setInvalid) !== "function" || typeof(strategy.clearInvalid) !== "function") {
+    throw new Error("shinyvalidate strategy '" + strategy.name + "' must implement `setInvalid` and `clearInvalid`");
+  }
+  
+  unregisterStrategy(strategy.name);
+  
+  // Insert after any strategies with the same or higher priority, so that
+  // ties are broken by registration order
+  let index = 0;
+  while (index < strategies.length && strategies[index].priority >= strategy.priority) {
+    index++;
+  }
+  strategies.splice(index, 0, strategy);
+}
+
+/**
+ * Removes the strategy with the given name. Returns `true` if a strategy was
+ * removed, `false` if no strategy by that name was registered.
+ */
+function unregisterStrategy(name) {
+  for (let i = 0; i < strategies.length; i++) {
+    if (strategies[i].name === name) {
+      strategies.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Returns the names and priorities of the registered strategies, in the order
+ * in which they're tried.
+ */
+function listStrategies() {
+  return strategies.map(function(strategy) {
+    return {name: strategy.name, priority: strategy.priority};
+  });
+}
 
 /**
  * This strategy depends on jQuery event handlers. Event handlers
@@ -14,12 +84,18 @@
  * the showing/clearing.
  */
 const eventStrategy = {
+  name: "event",
+  priority: 300,
   setInvalid: function(el, binding, id, data) {
-    const e = $.Event("shinyvalidate:show", $.extend({
+    // data.type can't be passed through as-is, since jQuery would take it as
+    // the name of the event to trigger
+    const e = $.Event("shinyvalidate:show", $.extend({}, data, {
       el: el,
       binding: binding,
       id: id,
-    }, data));
+      type: "shinyvalidate:show",
+      severity: data.type
+    }));
     $(el).trigger(e);
     
     return e.isDefaultPrevented();
@@ -35,13 +111,15 @@ const eventStrategy = {
     return e.isDefaultPrevented();
   }
 };
-strategies.push(eventStrategy);
+registerStrategy(eventStrategy);
 
 /**
  * This strategy depends on the input binding itself implementing methods for
  * setInvalid/clearInvalid.
  */
 const bindingStrategy = {
+  name: "binding",
+  priority: 200,
   setInvalid: function(el, binding, id, data) {
     if (typeof(binding.setInvalid) !== "function") {
       return false;
@@ -57,61 +135,171 @@ const bindingStrategy = {
     return true;
   }
 };
-strategies.push(bindingStrategy);
+registerStrategy(bindingStrategy);
+
+// Only for inputs that opt in; see tooltip.js
+registerStrategy(tooltipStrategy);
 
 /**
- * This strategy detects .shiny-input-container at or above the el, and uses
- * Bootstrap 3 & 4 classes to display validation messages.
+ * This strategy detects .form-group at or above the el, and uses Bootstrap 3,
+ * 4 & 5 classes to display validation messages. Bootstrap only has styles for
+ * errors, so warnings and infos get shinyvalidate's own classes (see
+ * shinyvalidate.css).
+ *
+ * Where the message goes can be changed declaratively (see
+ * validation_placement() on the R side): a `data-sv-message-target` attribute
+ * on the input or an ancestor names (by CSS selector) an element to render
+ * the message into, and a `data-sv-container` attribute on an ancestor makes
+ * that element the one the message is appended to. An ancestor with
+ * `data-sv-container` also stands in for a missing .form-group.
  */
 const bsStrategy = {
-  isBS3: function() {
-    if (!$.fn.tab) {
-      return false;
+  name: "bootstrap",
+  priority: 100,
+  // Classes that BS3 puts on the .form-group, by message type
+  bs3Classes: {
+    error: "has-error",
+    warning: "has-warning",
+    info: "sv-has-info"
+  },
+  // Classes that BS4+ puts on the .form-control, by message type
+  bs4Classes: {
+    error: "is-invalid",
+    warning: "sv-is-warning",
+    info: "sv-is-info"
+  },
+  bs4FeedbackClasses: {
+    error: "invalid-feedback",
+    warning: "sv-feedback sv-warning-feedback",
+    info: "sv-feedback sv-info-feedback"
+  },
+  /**
+   * Returns the major version of Bootstrap on the page (3, 4, or 5). BS5
+   * doesn't depend on jQuery, so we can't rely on its plugins being
+   * registered on $.fn; look at window.bootstrap first, then $.fn, then
+   * fall back to looking for markup that only BS5/bslib pages have.
+   */
+  bootstrapVersion: function() {
+    const bs = window.bootstrap;
+    if (bs && bs.Tooltip && bs.Tooltip.VERSION) {
+      return parseInt(bs.Tooltip.VERSION, 10);
+    }
+    if ($.fn.tab && $.fn.tab.Constructor && $.fn.tab.Constructor.VERSION) {
+      return parseInt($.fn.tab.Constructor.VERSION, 10);
     }
-    return $.fn.tab.Constructor.VERSION.match(/^3\./);
+    if (document.querySelector("[data-bs-toggle], [data-bs-theme], .bslib-page-fill, .bslib-card, .bslib-sidebar-layout")) {
+      return 5;
+    }
+    return 4;
   },
   findInputContainer: function(el) {
     el = $(el);
-    const inputContainer = el.is(".form-group") ? el : el.parents(".form-group");
-    return inputContainer.length === 0 ? null : inputContainer;
+    let inputContainer = el.is(".form-group") ? el : el.parents(".form-group");
+    if (inputContainer.length === 0) {
+      inputContainer = el.closest("[data-sv-container]");
+    }
+    return inputContainer.length === 0 ? null : inputContainer.first();
+  },
+  // Returns the element that the message should be rendered into, if the app
+  // has asked for a particular one
+  findCustomParent: function(el) {
+    const target = $(el).closest("[data-sv-message-target]").attr("data-sv-message-target");
+    if (target) {
+      const targetEl = $(target).first();
+      if (targetEl.length) {
+        return targetEl;
+      }
+    }
+    const container = $(el).closest("[data-sv-container]");
+    return container.length ? container : null;
+  },
+  // The message elements that are displayed for each input id (kept here,
+  // rather than looked up in the document, so that updating many inputs
+  // doesn't scan the page for each of them)
+  messages: new Map(),
+  findMessages: function(id) {
+    return this.messages.get(id) || $();
+  },
+  findControl: function(inputContainer) {
+    return inputContainer.find(".form-control, .form-select");
+  },
+  // Returns the element that should receive the state classes, and removes
+  // any state classes left over from an earlier message
+  resetState: function(inputContainer) {
+    if (this.bootstrapVersion() === 3) {
+      inputContainer.removeClass(Object.values(this.bs3Classes).join(" "));
+      return inputContainer;
+    }
+    // BS4+ wants .is-invalid on a .form-control (e.g., <input class="form-control">)
+    // *and* wants it to be a _sibling_ of .invalid-message in order to be displayed. 
+    //
+    // Unfortunately, we can't always assume that .form-control exists 
+    // (it conflicts with selectize CSS), so in the event that it's missing , 
+    // we fallback to putting is-invalid on the container, which should be compatible 
+    // with Selectize + BS4 https://github.com/rstudio/shiny/blob/2bd158a4/inst/www/shared/selectize/scss/selectize.bootstrap4.scss#L131-L140
+    // (shinyvalidate.css makes sure the feedback is displayed in that case.)
+    const control = this.findControl(inputContainer);
+    const target = control.length ? control : inputContainer;
+    target.removeClass(Object.values(this.bs4Classes).join(" "));
+    inputContainer.find(".input-group.sv-has-validation").removeClass("has-validation sv-has-validation");
+    return target;
+  },
+  /**
+   * Returns the element that the feedback should be appended to. For BS4+,
+   * the feedback needs to follow the control inside of a .form-floating
+   * (i.e., after its label) or .input-group (i.e., after any addons);
+   * otherwise, it goes at the end of the container.
+   */
+  findFeedbackParent: function(inputContainer) {
+    if (this.bootstrapVersion() === 3) {
+      return inputContainer;
+    }
+    const wrapper = this.findControl(inputContainer).first().closest(".form-floating, .input-group");
+    if (wrapper.length && $.contains(inputContainer[0], wrapper[0])) {
+      return wrapper;
+    }
+    return inputContainer;
   },
   setInvalid: function(el, binding, id, data) {
-    if (data.type !== "error") {
+    if (!Object.prototype.hasOwnProperty.call(this.bs4Classes, data.type)) {
       return false;
     }
     const inputContainer = this.findInputContainer(el);
     if (!inputContainer) {
       return false;
     }
-    if (this.isBS3()) {
-      inputContainer.addClass("has-error");
-    } else {
-      // BS4 wants .is-invalid on a .form-control (e.g., <input class="form-control">)
-      // *and* wants it to be a _sibling_ of .invalid-message in order to be displayed. 
-      //
-      // Unfortunately, we can't always assume that .form-control exists 
-      // (it conflicts with selectize CSS), so in the event that it's missing , 
-      // we fallback to putting is-invalid on the container, which should be compatible 
-      // with Selectize + BS4 https://github.com/rstudio/shiny/blob/2bd158a4/inst/www/shared/selectize/scss/selectize.bootstrap4.scss#L131-L140
-      const control = inputContainer.find(".form-control");
-      if (control.length) {
-        control.addClass("is-invalid");
-      } else {
-        inputContainer.addClass("is-invalid");
-      }
-    }
+    const isBS3 = this.bootstrapVersion() === 3;
+    const target = this.resetState(inputContainer);
+    const stateClasses = isBS3 ? this.bs3Classes : this.bs4Classes;
+    target.addClass(stateClasses[data.type]);
     
-    inputContainer.children(".shiny-validation-message").remove();
+    this.findMessages(id).remove();
+    this.messages.delete(id);
     if (data.message) {
-      const feedbackClass = this.isBS3() ? "help-block" : "invalid-feedback";
-      const method = data.is_html ? "html" : "text";
-      const msg = $(document.createElement("span")).
-        addClass([feedbackClass, "shiny-validation-message"])
-        [method](data.message);
-      // Yes, this is a terrible hack to get feedback to display when
-      // there is no .form-control in BS4
-      msg.attr('style', function(i, s) { return (s || '') + 'display: block !important;' });
-      inputContainer.append(msg);
+      // One feedback line per message (see messages.js)
+      const lines = $(messageList(data).map(function(message) {
+        const feedbackClass = isBS3 ? "help-block" : this.bs4FeedbackClasses[message.type];
+        const method = message.is_html ? "html" : "text";
+        return $(document.createElement("span")).
+          addClass(feedbackClass)
+          [method](message.message)[0];
+      }, this));
+      // Multiple lines are grouped in a single element, which is what
+      // aria-errormessage refers to
+      const msg = lines.length > 1 ?
+        $(document.createElement("div")).addClass("sv-feedback-group").append(lines) :
+        lines;
+      msg.addClass("shiny-validation-message").attr("data-sv-for", id);
+      const feedbackParent = this.findCustomParent(el) || this.findFeedbackParent(inputContainer);
+      if (feedbackParent.is(".input-group:not(.has-validation)")) {
+        // BS5 needs this to keep the rounded corners on the last addon
+        feedbackParent.addClass("has-validation sv-has-validation");
+      }
+      feedbackParent.append(msg);
+      this.messages.set(id, msg);
+      setAriaInvalid(el, msg, data.type);
+    } else {
+      setAriaInvalid(el, null, data.type);
     }
     return true;
   },
@@ -120,68 +308,739 @@ const bsStrategy = {
     if (!inputContainer) {
       return false;
     }
-    if (this.isBS3()) {
-      inputContainer.removeClass("has-error");
-    } else {
-      const control = inputContainer.find(".form-control");
-      if (control.length) {
-        control.removeClass("is-invalid");
-      } else {
-        inputContainer.removeClass("is-invalid");
-      }
-    }
+    this.resetState(inputContainer);
     
-    inputContainer.children(".shiny-validation-message").remove();
+    this.findMessages(id).remove();
+    this.messages.delete(id);
+    clearAriaInvalid(el);
     return true;
   }
 };
-strategies.push(bsStrategy);
+registerStrategy(bsStrategy);
+
+// For inputs without Bootstrap markup; see native.js
+registerStrategy(nativeStrategy);
 
+/**
+ * Returns the strategies to try for an input, in order. If the input asks for
+ * a registered strategy (see placement.js), that one is tried first, except
+ * that event handlers (app-level overrides) still take precedence; if it
+ * doesn't handle the input, the others are tried as usual.
+ */
+function strategiesFor(el, id) {
+  const preferred = preferredStrategy(el, id);
+  const index = strategies.findIndex(function(strategy) {
+    return strategy.name === preferred;
+  });
+  if (index === -1) {
+    return strategies;
+  }
+  const ordered = strategies.slice();
+  const named = ordered.splice(index, 1)[0];
+  const eventIndex = ordered.findIndex(function(strategy) {
+    return strategy.name === "event";
+  });
+  ordered.splice(eventIndex + 1, 0, named);
+  return ordered;
+}
+
+// Returns the name of the strategy that displayed the feedback, or null if
+// none did
 function setInvalid(el, binding, id, data = null) {
-  for (var i = 0; i < strategies.length; i++) {
-    if (strategies[i].setInvalid(el, binding, id, data)) {
-      return;
+  if (preferredStrategy(el, id) === "none") {
+    return null;
+  }
+  const ordered = strategiesFor(el, id);
+  for (var i = 0; i < ordered.length; i++) {
+    if (ordered[i].setInvalid(el, binding, id, data)) {
+      return ordered[i].name;
     }
   }
   console.warn("Don't know how to display input validation feedback for input '" + id + "'. The message was:\n" + JSON.stringify(data));
+  return null;
 }
 
+// Returns the name of the strategy that cleared the feedback, or null if none
+// did
 function clearInvalid(el, binding, id) {
-  for (var i = 0; i < strategies.length; i++) {
-    if (strategies[i].clearInvalid(el, binding, id)) {
-      return;
+  if (preferredStrategy(el, id) === "none") {
+    return null;
+  }
+  const ordered = strategiesFor(el, id);
+  for (var i = 0; i < ordered.length; i++) {
+    if (ordered[i].clearInvalid(el, binding, id)) {
+      return ordered[i].name;
     }
   }
   console.warn("Don't know how to clear input validation feedback for input '" + id + "'");
+  return null;
+}
+
+/**
+ * Once a strategy has displayed (or cleared) an input's feedback, a
+ * `shinyvalidate:shown` (or `shinyvalidate:cleared`) event is triggered on the
+ * input, with the name of that strategy. Unlike shinyvalidate:show and
+ * shinyvalidate:clear, these events can't be canceled; they're for code that
+ * needs to react to what's displayed.
+ */
+function triggerDisplayed(render, strategy) {
+  const props = {
+    el: render.el,
+    binding: render.binding,
+    id: render.id,
+    strategy: strategy
+  };
+  if (render.data === null) {
+    $(render.el).trigger($.Event("shinyvalidate:cleared", props));
+  } else {
+    // As with shinyvalidate:show, data.type is passed as severity
+    $(render.el).trigger($.Event("shinyvalidate:shown", $.extend({}, render.data, props, {
+      type: "shinyvalidate:shown",
+      severity: render.data.type
+    })));
+  }
+}
+
+/**
+ * The validation data that's currently displayed for each input id (translated
+ * into the page's language; see i18n.js), along with the data it was
+ * translated from (`source`), the element it's displayed on, and that
+ * element's binding and host (see findHost). Used to avoid invoking the strategies when nothing has changed,
+ * which would otherwise cause flicker (and repeated shinyvalidate:show events)
+ * on every validation update.
+ */
+const displayedData = new Map();
+
+/**
+ * Returns the element that's most likely to hold an input's feedback, i.e.
+ * its container. If a widget or renderUI() replaces the container but keeps
+ * the input element, the feedback is lost along with it; see
+ * observeReplacedHosts.
+ */
+function findHost(el) {
+  const host = $(el).closest(".form-group, .shiny-input-container");
+  return host.length ? host[0] : el.parentNode;
+}
+
+function isSameData(a, b) {
+  if (a === null || b === null) {
+    return a === b;
+  }
+  return a.type === b.type &&
+    a.message === b.message &&
+    Boolean(a.is_html) === Boolean(b.is_html) &&
+    JSON.stringify(a.messages || null) === JSON.stringify(b.messages || null);
+}
+
+/**
+ * Strategy calls waiting for the next animation frame, by input id. All of the
+ * DOM writes for an update (which may touch hundreds of inputs) happen in one
+ * batch, along with the summaries and other indicators.
+ */
+const pendingRenders = new Map();
+let indicatorsDirty = false;
+let frameRequested = false;
+
+function requestRender() {
+  if (frameRequested) {
+    return;
+  }
+  frameRequested = true;
+  const requestFrame = window.requestAnimationFrame || function(callback) {
+    return setTimeout(callback, 0);
+  };
+  requestFrame(flushRenders);
+}
+
+function flushRenders() {
+  frameRequested = false;
+  const renders = Array.from(pendingRenders.values());
+  pendingRenders.clear();
+  const changed = [];
+  renders.forEach(function(render) {
+    // Changes that cancel out (e.g., A to B and back to A) need no writes
+    if (isSameData(render.rendered, render.data) &&
+        (render.data === null || render.el === render.renderedEl)) {
+      return;
+    }
+    changed.push(render.id);
+    try {
+      const strategy = render.data === null ?
+        clearInvalid(render.el, render.binding, render.id) :
+        setInvalid(render.el, render.binding, render.id, render.data);
+      if (strategy !== null) {
+        triggerDisplayed(render, strategy);
+      }
+    } catch (e) {
+      // Don't let one input's strategy keep the rest from being displayed
+      console.error(e);
+    }
+  });
+  const entries = displayedEntries();
+  if (indicatorsDirty) {
+    indicatorsDirty = false;
+    renderIndicators(entries);
+  }
+  triggerUpdated(entries, changed);
+}
+
+/**
+ * After each batch that changes what's displayed, a `shinyvalidate:updated`
+ * event is triggered on the document, with `totals` (the number of inputs
+ * displaying feedback of each severity) and `changed` (the ids of the inputs
+ * whose feedback changed in the batch).
+ */
+let lastTotals = null;
+
+function triggerUpdated(entries, changed) {
+  const totals = {error: 0, warning: 0, info: 0};
+  entries.forEach(function(entry) {
+    if (Object.prototype.hasOwnProperty.call(totals, entry.data.type)) {
+      totals[entry.data.type]++;
+    }
+  });
+  // Inputs removed from the page can change the totals without any renders
+  if (changed.length === 0 && JSON.stringify(totals) === JSON.stringify(lastTotals)) {
+    return;
+  }
+  lastTotals = totals;
+  $(document).trigger($.Event("shinyvalidate:updated", {
+    totals: $.extend({}, totals),
+    changed: changed
+  }));
+}
+
+/**
+ * Displays (or clears, if data is null) validation feedback for an input,
+ * unless that's what the input is already displaying. Feedback that the
+ * input's display policy hasn't revealed yet (see reveal.js) is held back, and
+ * the input's timing (see timing.js) may delay the change, unless `immediate`
+ * is true. Otherwise, displayedData is updated right away; the strategies are
+ * invoked on the next animation frame.
+ */
+function updateInput(el, binding, id, data, immediate = false) {
+  const requested = data;
+  if (data !== null && !isRevealed(id)) {
+    data = null;
+  }
+  const source = data;
+  data = localizeData(data);
+  const displayed = displayedData.get(id);
+  const current = displayed && displayed.el === el ? displayed.data : null;
+  if (isSameData(current, data)) {
+    cancelDeferred(id);
+    return;
+  }
+  
+  const delay = immediate ? 0 : displayDelay(id, current, data);
+  if (delay > 0) {
+    defer(id, delay, function() {
+      updateInput(el, binding, id, requested);
+      refreshIndicators();
+    });
+    return;
+  }
+  cancelDeferred(id);
+  noteDisplayed(id, data);
+  
+  if (data === null) {
+    displayedData.delete(id);
+  } else {
+    displayedData.set(id, {el: el, binding: binding, data: data, source: source, host: findHost(el)});
+  }
+  // Remember what was rendered before the first of any pending changes
+  const pending = pendingRenders.get(id);
+  pendingRenders.set(id, {
+    el: el,
+    binding: binding,
+    id: id,
+    data: data,
+    renderedEl: pending ? pending.renderedEl : (displayed ? displayed.el : null),
+    rendered: pending ? pending.rendered : (displayed ? displayed.data : null)
+  });
+  requestRender();
+}
+
+// The elements that shinyvalidate itself removes as it re-renders feedback,
+// which can't be the host of an input
+const ownElements = ".shiny-validation-message, .shinyvalidate-summary-list, .sv-invalid-badge, .sv-tooltip-fallback";
+
+// Whether a mutation removed an element that may have been an input's host
+// (removed text nodes, and shinyvalidate's own elements, can't have been)
+function mayRemoveHost(mutation) {
+  return Array.from(mutation.removedNodes).some(function(node) {
+    return node.nodeType === Node.ELEMENT_NODE && !$(node).is(ownElements);
+  });
+}
+
+/**
+ * Reapplies the displayed feedback of inputs that are still on the page, but
+ * whose host element has been removed from it.
+ */
+function observeReplacedHosts() {
+  const observer = new MutationObserver(function(mutations) {
+    if (!mutations.some(mayRemoveHost)) {
+      return;
+    }
+    let reapplied = false;
+    displayedData.forEach(function(displayed, id) {
+      const root = document.documentElement;
+      if (!displayed.host || root.contains(displayed.host) || !root.contains(displayed.el)) {
+        return;
+      }
+      displayedData.delete(id);
+      updateInput(displayed.el, displayed.binding, id, displayed.source, true);
+      reapplied = true;
+    });
+    if (reapplied) {
+      refreshIndicators();
+    }
+  });
+  observer.observe(document.documentElement, {childList: true, subtree: true});
+}
+
+function refreshIndicators() {
+  indicatorsDirty = true;
+  requestRender();
 }
 
-function getBoundInputsMap() {
-  const results = new Map();
+// Returns the displayed feedback of the inputs that are on the page
+function displayedEntries() {
+  const entries = [];
+  displayedData.forEach(function(displayed, id) {
+    // Skip inputs that have been removed from the page
+    if (document.documentElement.contains(displayed.el)) {
+      entries.push({id: id, el: displayed.el, data: displayed.data});
+    }
+  });
+  return entries;
+}
+
+function renderIndicators(entries) {
+  updateSummaries(entries);
+  updateAncestors(entries);
+}
+
+/**
+ * The most recent (non-null) validation data sent by the server for each input
+ * id, merged across validators (see validatorData). This includes ids that
+ * aren't bound (yet): inputs created by renderUI, insertUI, or modal dialogs
+ * are often bound after the first validation update, and inputs may be
+ * unbound and rebound (e.g., when re-rendered). The data is applied when an
+ * input with that id is bound.
+ */
+const latestData = new Map();
+
+/**
+ * The most recent (non-null) validation data sent by each validator, as a Map
+ * of validator ids to Maps of input ids to data. Multiple validators may have
+ * rules for the same input; the most severe of their results is displayed
+ * (the earliest validator's, among equally severe results), and disabling one
+ * of them only clears its own results.
+ */
+const validatorData = new Map();
+
+const severityRanks = {info: 1, warning: 2, error: 3};
+
+// Updates latestData for input id from validatorData
+function mergeValidatorData(id) {
+  let merged = null;
+  validatorData.forEach(function(results) {
+    const data = results.get(id);
+    if (data && (merged === null || severityRanks[data.type] > severityRanks[merged.type])) {
+      merged = data;
+    }
+  });
+  if (merged === null) {
+    latestData.delete(id);
+  } else {
+    latestData.set(id, merged);
+  }
+  return merged;
+}
+
+function setValidatorData(validator, id, data) {
+  let results = validatorData.get(validator);
+  if (data !== null) {
+    if (!results) {
+      results = new Map();
+      validatorData.set(validator, results);
+    }
+    results.set(id, data);
+  } else if (results) {
+    results.delete(id);
+    if (results.size === 0) {
+      validatorData.delete(validator);
+    }
+  }
+  return mergeValidatorData(id);
+}
+
+/**
+ * The server sends each validator's results as numbered patches (see
+ * InputValidator's send_results()): `set` has new or changed results, `clear`
+ * has the ids of inputs that no longer have any, and `reset` means that the
+ * validator's previous results are discarded first. If the numbers skip, a
+ * patch was missed and the results may be stale, so the browser asks the
+ * server to send all of that validator's results again.
+ */
+const lastSeqs = new Map();
+// Validators whose results have been requested, but not received yet
+const pendingResyncs = new Set();
+let resyncNonce = 0;
+
+// Asks the server to rerun the given validators (or all validators, if
+// validators is null) and send all of their results
+function sendResyncRequest(validators) {
+  Shiny.setInputValue("shinyvalidate_resync", {
+    validators: validators,
+    nonce: ++resyncNonce
+  }, {priority: "event"});
+}
+
+function requestResync(validator) {
+  if (pendingResyncs.has(validator)) {
+    return;
+  }
+  pendingResyncs.add(validator);
+  // All pending requests are sent, in case an earlier one hasn't been seen
+  // by the server (e.g., if it was overwritten before being sent)
+  sendResyncRequest(Array.from(pendingResyncs));
+}
+
+/**
+ * Asks the server to rerun the rules of the validator with id `validatorId`
+ * (see InputValidator$id()), or of all validators if it's omitted, and send
+ * all of their results. This is for widgets whose state can change without
+ * their input value changing.
+ */
+function revalidate(validatorId) {
+  if (validatorId === undefined || validatorId === null) {
+    sendResyncRequest(null);
+    return;
+  }
+  if (typeof(validatorId) !== "string") {
+    throw new Error("shinyvalidate.revalidate() requires a validator id (string)");
+  }
+  const validators = new Set(pendingResyncs);
+  validators.add(validatorId);
+  sendResyncRequest(Array.from(validators));
+}
+
+/**
+ * Applies a `validation-jcheng5` patch to validatorData (and latestData), and
+ * returns the ids of the inputs it may have changed.
+ */
+function applyResults(message) {
+  const validator = message.validator;
+  const lastSeq = lastSeqs.get(validator);
+  if (message.reset) {
+    pendingResyncs.delete(validator);
+  } else if (lastSeq === undefined || message.seq !== lastSeq + 1) {
+    requestResync(validator);
+  }
+  lastSeqs.set(validator, message.seq);
+
+  const ids = new Set();
+  if (message.reset && validatorData.has(validator)) {
+    validatorData.get(validator).forEach(function(data, id) {
+      ids.add(id);
+    });
+    validatorData.delete(validator);
+    ids.forEach(mergeValidatorData);
+  }
+  for (const [id, data] of Object.entries(message.set || {})) {
+    setValidatorData(validator, id, sanitizeData(data));
+    ids.add(id);
+  }
+  [].concat(message.clear || []).forEach(function(id) {
+    setValidatorData(validator, id, null);
+    ids.add(id);
+  });
+  return ids;
+}
+
+/**
+ * Ids of inputs whose displayed feedback was computed in the browser (see
+ * rules.js) rather than sent by the server. Once the server's next update
+ * arrives, these inputs are reconciled with the server's results.
+ */
+const predictedIds = new Set();
+
+/**
+ * Bound inputs by id ({id, el, binding}), kept up to date by the shiny:bound
+ * and shiny:unbound handlers, so that updates don't need to scan the page.
+ */
+const boundInputs = new Map();
+
+// Indexes the inputs that were bound before this script was loaded
+function indexBoundInputs() {
   $(".shiny-bound-input").each(function(index, el) {
     const binding = $(el).data("shiny-input-binding");
     if (binding) {
       const id = binding.getId(el);
-      results.set(id, {id: id, el: el, binding: binding});
+      boundInputs.set(id, {id: id, el: el, binding: binding});
     }
   });
-  return results;
 }
 
+/**
+ * Returns the state of input `id` according to the server's latest results
+ * (see state.js), or null if it has no result.
+ */
+function getState(id) {
+  if (!latestData.has(id)) {
+    return null;
+  }
+  return describeState(latestData.get(id), displayedData.has(id));
+}
+
+/**
+ * Returns an object that maps the ids of all inputs with a result (including
+ * inputs that aren't bound) to their state.
+ */
+function getAll() {
+  const states = {};
+  latestData.forEach(function(data, id) {
+    states[id] = getState(id);
+  });
+  return states;
+}
+
+/**
+ * Returns the same as getAll(), but with the ids in sorted order, so that end
+ * to end tests can compare it as JSON.
+ */
+function snapshot() {
+  const states = {};
+  Array.from(latestData.keys()).sort().forEach(function(id) {
+    states[id] = getState(id);
+  });
+  return states;
+}
+
+/**
+ * Returns false if any input has an error. If `scope` (an element, a jQuery
+ * object, or a selector) is given, only the bound inputs inside it count.
+ */
+function isValid(scope) {
+  const scopes = scope === undefined || scope === null ? null : $(scope).get();
+  for (const [id, data] of latestData) {
+    if (data.type !== "error") {
+      continue;
+    }
+    if (scopes === null) {
+      return false;
+    }
+    const input = boundInputs.get(id);
+    if (input && scopes.some(function(el) { return el === input.el || $.contains(el, input.el); })) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Registers a strategy from window.shinyvalidate.queue (see below)
+function registerQueued(strategy) {
+  try {
+    registerStrategy(strategy);
+  } catch (e) {
+    // Don't let one bad strategy keep the others from being registered
+    console.error(e);
+  }
+}
+
+/**
+ * The public API. shinyvalidate may be loaded after the page (e.g., it's
+ * inserted once an InputValidator is created), so scripts that run earlier
+ * can't call it directly. Instead, they can queue strategies to register:
+ *
+ *   window.shinyvalidate = window.shinyvalidate || {};
+ *   (window.shinyvalidate.queue = window.shinyvalidate.queue || []).push(strategy);
+ *
+ * or wait for the `shinyvalidate:ready` event on the document. Any other
+ * properties of an existing window.shinyvalidate object are kept.
+ */
+const api = window.shinyvalidate = $.extend(window.shinyvalidate || {}, {
+  registerStrategy: registerStrategy,
+  unregisterStrategy: unregisterStrategy,
+  listStrategies: listStrategies,
+  setAriaInvalid: setAriaInvalid,
+  clearAriaInvalid: clearAriaInvalid,
+  getState: getState,
+  getAll: getAll,
+  isValid: isValid,
+  subscribe: subscribe,
+  snapshot: snapshot,
+  revalidate: revalidate,
+  setSanitizer: setSanitizer,
+  addTranslations: addTranslations
+});
+
+const queuedStrategies = Array.isArray(api.queue) ? api.queue : [];
+// From now on, strategies pushed to the queue are registered right away
+api.queue = {
+  push: function() {
+    Array.from(arguments).forEach(registerQueued);
+  }
+};
+queuedStrategies.forEach(registerQueued);
+
 if (window.Shiny) {
+  indexBoundInputs();
+  
   Shiny.addCustomMessageHandler("validation-jcheng5", function(message) {
-    const boundInputsMap = getBoundInputsMap();
-    for (const [key, value] of Object.entries(message)) {
-      const input = boundInputsMap.get(key);
+    if (message.version !== 2) {
+      console.warn("Unsupported shinyvalidate message version: " + message.version);
+      return;
+    }
+    // Only needed to tell subscribers what changed
+    const before = hasSubscribers() ? new Map(latestData) : null;
+    const changed = applyResults(message);
+    changed.forEach(function(id) {
+      const input = boundInputs.get(id);
       if (!input) {
-        console.warn("Couldn't perform validation update on input with id '" + key + "': input not found");
-        continue;
+        // Will be applied by the shiny:bound handler, if the input shows up
+        return;
       }
       
-      if (value === null) {
-        clearInvalid(input.el, input.binding, input.id);
-      } else {
-        setInvalid(input.el, input.binding, input.id, value);
+      updateInput(input.el, input.binding, id, latestData.has(id) ? latestData.get(id) : null);
+    });
+    
+    // Inputs that the server didn't mention have the same results as before,
+    // which may differ from what the browser predicted
+    if (predictedIds.size > 0) {
+      predictedIds.forEach(function(id) {
+        const input = boundInputs.get(id);
+        if (input && !changed.has(id)) {
+          updateInput(input.el, input.binding, id, latestData.has(id) ? latestData.get(id) : null);
+        }
+      });
+      predictedIds.clear();
+    }
+    refreshIndicators();
+    updateGates(latestData);
+    
+    if (before !== null) {
+      const changes = {};
+      changed.forEach(function(id) {
+        const previous = before.has(id) ? before.get(id) : null;
+        const current = latestData.has(id) ? latestData.get(id) : null;
+        if (!isSameData(previous, current)) {
+          changes[id] = getState(id);
+        }
+      });
+      notifySubscribers(changes);
+    }
+  });
+  
+  Shiny.addCustomMessageHandler("shinyvalidate-rules", function(message) {
+    setRuleSpecs(message);
+    setNamespaces(message);
+    refreshIndicators();
+  });
+  
+  Shiny.addCustomMessageHandler("shinyvalidate-gate", function(message) {
+    setGate(message, latestData);
+  });
+  
+  Shiny.addCustomMessageHandler("shinyvalidate-display", function(message) {
+    setDisplayPolicy(message);
+    setValidatorStrategy(message);
+    setValidatorTiming(message);
+  });
+  
+  // When feedback is revealed (or hidden) by a display policy, show the
+  // server's latest results for those inputs (right away, since the user has
+  // moved on from the input or clicked the submit button)
+  initReveal(function(ids) {
+    ids.forEach(function(id) {
+      const input = boundInputs.get(id);
+      if (input) {
+        updateInput(input.el, input.binding, id, latestData.has(id) ? latestData.get(id) : null, true);
+      }
+    });
+    refreshIndicators();
+    // A submit button may now be gated
+    updateGates(latestData);
+  });
+  
+  // Re-render displayed messages in the page's (new) language
+  onLanguageChange(function() {
+    Array.from(displayedData.entries()).forEach(function([id, displayed]) {
+      updateInput(displayed.el, displayed.binding, id, displayed.source);
+    });
+    refreshIndicators();
+    updateGates(latestData);
+  });
+  
+  // Evaluate the built-in rules right away, instead of waiting for the server
+  $(document).on("shiny:inputchanged", function(e) {
+    noteInputChanged(e.name);
+    if (!hasRuleSpecs(e.name)) {
+      return;
+    }
+    const data = evaluateRules(e.name, e.value, e.inputType);
+    if (data === undefined) {
+      return;
+    }
+    let el = e.el;
+    let binding = e.binding;
+    if (!el || !binding) {
+      const input = boundInputs.get(e.name);
+      if (!input) {
+        return;
       }
+      el = input.el;
+      binding = input.binding;
+    }
+    predictedIds.add(e.name);
+    updateInput(el, binding, e.name, data);
+    refreshIndicators();
+  });
+  
+  $(document).on("shiny:bound", function(e) {
+    if (e.bindingType !== "input" || !e.binding) {
+      return;
+    }
+    const id = e.binding.getId(e.target);
+    boundInputs.set(id, {id: id, el: e.target, binding: e.binding});
+    if (isGatedButton(id)) {
+      updateGates(latestData);
+    }
+    if (latestData.has(id)) {
+      updateInput(e.target, e.binding, id, latestData.get(id));
+      refreshIndicators();
     }
   });
+  
+  // The input's feedback is reapplied (from latestData) if it's bound again
+  $(document).on("shiny:unbound", function(e) {
+    if (e.bindingType !== "input" || !e.binding) {
+      return;
+    }
+    const id = e.binding.getId(e.target);
+    const input = boundInputs.get(id);
+    if (input && input.el === e.target) {
+      boundInputs.delete(id);
+      cancelDeferred(id);
+    }
+    const displayed = displayedData.get(id);
+    if (displayed && displayed.el === e.target) {
+      displayedData.delete(id);
+      noteDisplayed(id, null);
+      refreshIndicators();
+    }
+  });
+  
+  if (window.MutationObserver) {
+    observeReplacedHosts();
+  }
 }
+
+// A native event, so that listeners added with either addEventListener() or
+// jQuery's on() are called (created the old way, since IE 11 has no
+// CustomEvent constructor)
+const readyEvent = document.createEvent("CustomEvent");
+readyEvent.initCustomEvent("shinyvalidate:ready", false, false, api);
+document.dispatchEvent(readyEvent);
@@ -0,0 +1,67 @@
+/**
+ * Browser code can query the server's latest validation results through the
+ * `window.shinyvalidate` object (getState(), getAll(), isValid(), snapshot()),
+ * and subscribe() to be notified when they change. States are plain objects
+ * (copies, so they can't be used to change shinyvalidate's own), and don't
+ * reflect the rules evaluated in the browser (see rules.js) until the server
+ * has confirmed them.
+ */
+
+const subscribers = new Set();
+
+/**
+ * Returns the state of an input with validation data `data`, whose feedback
+ * is `displayed` (or held back by a display policy; see reveal.js). The keys
+ * are always in the same order, so that states can be compared as JSON.
+ */
+export function describeState(data, displayed) {
+  const state = {
+    type: data.type,
+    message: data.message,
+    is_html: Boolean(data.is_html)
+  };
+  if (data.messages) {
+    state.messages = [].concat(data.messages).map(function(message) {
+      return {
+        type: message.type,
+        message: message.message,
+        is_html: Boolean(message.is_html)
+      };
+    });
+  }
+  state.displayed = displayed;
+  return state;
+}
+
+/**
+ * Calls `callback` whenever the server's results change, with an object that
+ * maps the ids of the inputs that changed to their new state (or null, if they
+ * no longer have a result). Returns a function that unsubscribes.
+ */
+export function subscribe(callback) {
+  if (typeof(callback) !== "function") {
+    throw new Error("shinyvalidate.subscribe() requires a function");
+  }
+  subscribers.add(callback);
+  return function() {
+    subscribers.delete(callback);
+  };
+}
+
+export function hasSubscribers() {
+  return subscribers.size > 0;
+}
+
+export function notifySubscribers(changes) {
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  subscribers.forEach(function(callback) {
+    try {
+      callback(changes);
+    } catch (e) {
+      // Don't let one subscriber keep the others from being notified
+      console.error(e);
+    }
+  });
+}
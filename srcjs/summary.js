@@ -0,0 +1,154 @@
+import { findFocusable } from "./aria";
+import { messageList } from "./messages";
+
+/**
+ * Validation summaries (see validation_summary() on the R side) list all of the
+ * validation messages that are currently displayed, in the order that their
+ * inputs appear on the page, so users don't have to hunt for problems in long
+ * forms. Messages for inputs in Shiny modules are grouped by their namespace.
+ */
+
+// The module namespace of each input id, as sent by the server ("" for inputs
+// that aren't in a module)
+const namespaces = new Map();
+
+function namespaceOf(id) {
+  return namespaces.get(id) || "";
+}
+
+/**
+ * Records the module namespaces of a validator's inputs, from the
+ * `namespaces` of a `shinyvalidate-rules` message.
+ */
+export function setNamespaces(message) {
+  for (const [id, ns] of Object.entries(message.namespaces || {})) {
+    namespaces.set(id, String(ns));
+  }
+}
+
+function compareDocumentPosition(a, b) {
+  if (a.el === b.el) {
+    return 0;
+  }
+  return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
+
+// The bound input element of each id in the summaries
+const inputEls = new Map();
+
+function inputLink(id) {
+  return $(document.createElement("a")).
+    attr("href", "#" + id).
+    attr("data-sv-input-id", id);
+}
+
+// The text of the input's label (Shiny's inputs label themselves with an
+// element whose id is the input's id followed by "-label"), or else its id
+function inputLabel(id) {
+  const label = document.getElementById(id + "-label");
+  const text = label ? $(label).text().trim() : "";
+  return text || id;
+}
+
+// Returns an item for each of an input's messages. Plain text messages link to
+// the input; HTML messages may contain links of their own (which can't be
+// nested in another link), so they're preceded by a link labeled with the
+// input's label instead.
+function renderItems(entry) {
+  return messageList(entry.data).map(function(message) {
+    const item = $(document.createElement("li")).
+      addClass("shinyvalidate-summary-item sv-summary-" + message.type);
+    if (!message.is_html) {
+      return item.append(inputLink(entry.id).text(message.message));
+    }
+    return item.
+      append(inputLink(entry.id).
+        addClass("shinyvalidate-summary-input").
+        text(inputLabel(entry.id))).
+      append(" ").
+      append($(document.createElement("span")).
+        addClass("shinyvalidate-summary-message").
+        html(message.message));
+  });
+}
+
+function renderList(entries) {
+  const list = $(document.createElement("ul")).addClass("shinyvalidate-summary-list");
+
+  // Group by namespace, keeping groups in the order of their first input
+  const groups = new Map();
+  entries.forEach(function(entry) {
+    const ns = namespaceOf(entry.id);
+    if (!groups.has(ns)) {
+      groups.set(ns, []);
+    }
+    groups.get(ns).push(entry);
+  });
+
+  groups.forEach(function(groupEntries, ns) {
+    const items = [].concat.apply([], groupEntries.map(renderItems));
+    if (ns === "") {
+      list.append(items);
+      return;
+    }
+    const group = $(document.createElement("li")).
+      addClass("shinyvalidate-summary-group").
+      attr("data-sv-namespace", ns).
+      append($(document.createElement("span")).
+        addClass("shinyvalidate-summary-group-label").
+        text(ns)).
+      append($(document.createElement("ul")).append(items));
+    list.append(group);
+  });
+
+  return list;
+}
+
+// Identifies what a summary displays for entries, to tell when it changes
+function renderedKey(entries) {
+  return JSON.stringify(entries.map(function(entry) {
+    return [entry.id, namespaceOf(entry.id), messageList(entry.data).map(function(message) {
+      return [message.type, Boolean(message.is_html), message.message];
+    })];
+  }));
+}
+
+/**
+ * Re-renders the validation summaries on the page. entries is an array of
+ * objects with `id`, `el` (the bound input element), and `data` (the
+ * validation data that's displayed for that input).
+ */
+export function updateSummaries(entries) {
+  const summaries = $(".shinyvalidate-summary");
+  if (summaries.length === 0) {
+    return;
+  }
+
+  inputEls.clear();
+  entries.forEach(function(entry) {
+    inputEls.set(entry.id, entry.el);
+  });
+
+  entries = entries.slice().sort(compareDocumentPosition);
+  // Summaries are live regions, which screen readers announce whenever their
+  // list is replaced, so they're only re-rendered when their entries change
+  const key = renderedKey(entries);
+  summaries.each(function(i, summary) {
+    if ($(summary).data("shinyvalidate-rendered") === key) {
+      return;
+    }
+    $(summary).children(".shinyvalidate-summary-list").replaceWith(renderList(entries));
+    summary.hidden = entries.length === 0;
+    $(summary).data("shinyvalidate-rendered", key);
+  });
+}
+
+$(document).on("click", ".shinyvalidate-summary a[data-sv-input-id]", function(e) {
+  const input = inputEls.get($(this).attr("data-sv-input-id"));
+  if (!input || !document.documentElement.contains(input)) {
+    return;
+  }
+  e.preventDefault();
+  input.scrollIntoView({block: "center"});
+  findFocusable(input).first().trigger("focus");
+});
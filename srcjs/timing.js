@@ -0,0 +1,103 @@
+/**
+ * Display hysteresis for validators created with `show_delay` and/or
+ * `min_visible` (see InputValidator$new()), so that feedback doesn't flicker
+ * while the user types. A new message is only shown once the input hasn't
+ * changed for `show_delay` milliseconds, and a message stays visible for at
+ * least `min_visible` milliseconds before it's cleared. Other changes
+ * (including clearing a message that's not shown yet) are displayed right
+ * away. Only the display is delayed; the validation results aren't.
+ */
+
+// Timings by validator id: {fields, showDelay, minVisible}
+const validatorTimings = new Map();
+// The timing for each input id: {validator, showDelay, minVisible}
+const fieldTimings = new Map();
+// When each input's value last changed
+const lastChanged = new Map();
+// When each input's (currently displayed) message was shown
+const shownAt = new Map();
+// Pending (delayed) display updates by input id
+const timers = new Map();
+
+/**
+ * Updates a validator's timing from a `shinyvalidate-display` message.
+ */
+export function setValidatorTiming(message) {
+  const previous = validatorTimings.get(message.validator);
+  if (previous) {
+    previous.fields.forEach(function(id) {
+      const timing = fieldTimings.get(id);
+      if (timing && timing.validator === message.validator) {
+        fieldTimings.delete(id);
+      }
+    });
+    validatorTimings.delete(message.validator);
+  }
+
+  const fields = message.fields ? [].concat(message.fields) : [];
+  const timing = {
+    validator: message.validator,
+    showDelay: Number(message.show_delay) || 0,
+    minVisible: Number(message.min_visible) || 0
+  };
+  if (fields.length > 0 && (timing.showDelay > 0 || timing.minVisible > 0)) {
+    validatorTimings.set(message.validator, $.extend({fields: fields}, timing));
+    fields.forEach(function(id) {
+      fieldTimings.set(id, timing);
+    });
+  }
+}
+
+// Records that input id's value has changed (i.e., the user is typing)
+export function noteInputChanged(id) {
+  if (fieldTimings.has(id)) {
+    lastChanged.set(id, Date.now());
+  }
+}
+
+/**
+ * Records that input `id`'s display has changed to `data` (null if it's been
+ * cleared).
+ */
+export function noteDisplayed(id, data) {
+  if (data === null) {
+    shownAt.delete(id);
+  } else if (!shownAt.has(id)) {
+    shownAt.set(id, Date.now());
+  }
+}
+
+/**
+ * Returns the number of milliseconds to wait before input `id`, which is
+ * displaying `current`, displays `data` instead; 0 means right away.
+ */
+export function displayDelay(id, current, data) {
+  const timing = fieldTimings.get(id);
+  if (!timing) {
+    return 0;
+  }
+  if (current === null && data !== null && lastChanged.has(id)) {
+    return Math.max(0, lastChanged.get(id) + timing.showDelay - Date.now());
+  }
+  if (current !== null && data === null && shownAt.has(id)) {
+    return Math.max(0, shownAt.get(id) + timing.minVisible - Date.now());
+  }
+  return 0;
+}
+
+// Calls callback after delay milliseconds, unless input id's display is
+// updated (or another update is deferred) first
+export function defer(id, delay, callback) {
+  cancelDeferred(id);
+  timers.set(id, setTimeout(function() {
+    timers.delete(id);
+    callback();
+  }, delay));
+}
+
+export function cancelDeferred(id) {
+  if (timers.has(id)) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  }
+}
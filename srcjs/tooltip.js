@@ -0,0 +1,141 @@
+import { setAriaInvalid, clearAriaInvalid } from "./aria";
+import { preferredStrategy } from "./placement";
+import { messageList, renderMessages } from "./messages";
+
+/**
+ * The tooltip strategy displays feedback in a tooltip that's anchored to the
+ * input's control and shown on hover and focus, instead of in a block below
+ * the input; the control itself gets a persistent outline. This keeps dense
+ * layouts (inline filter bars, toolbars, compact sidebars) from shifting when
+ * feedback appears. Inputs opt in with `data-sv-strategy="tooltip"`, or via
+ * InputValidator$new(strategy = "tooltip").
+ *
+ * Bootstrap's tooltip plugin is used when it's available; otherwise, a
+ * positioned element is shown instead.
+ */
+
+const dataKey = "shinyvalidate-tooltip";
+
+function findAnchor(el) {
+  const container = $(el).closest(".shiny-input-container");
+  const control = container.find(".selectize-input, .form-control, .form-select").first();
+  return control.length > 0 ? control : $(el);
+}
+
+function bootstrapTooltip() {
+  if (window.bootstrap && window.bootstrap.Tooltip) {
+    return "bootstrap";
+  }
+  if ($.fn.tooltip && $.fn.tooltip.Constructor) {
+    return "jquery";
+  }
+  return null;
+}
+
+function showFallback(anchor, state) {
+  const rect = anchor[0].getBoundingClientRect();
+  state.fallback.prop("hidden", false).css({
+    left: rect.left + window.pageXOffset,
+    top: rect.top + window.pageYOffset
+  });
+}
+
+function createTooltip(anchor, data) {
+  const tooltipClass = "sv-tooltip sv-tooltip-" + data.type;
+  const state = {plugin: bootstrapTooltip()};
+  // Multiple messages are rendered as an HTML list
+  const isHTML = Boolean(data.is_html) || messageList(data).length > 1;
+  const title = isHTML ? renderMessages($(document.createElement("div")), data).html() : data.message;
+
+  if (state.plugin === "bootstrap") {
+    new window.bootstrap.Tooltip(anchor[0], {
+      title: title,
+      html: isHTML,
+      trigger: "hover focus",
+      placement: "top",
+      customClass: tooltipClass
+    });
+  } else if (state.plugin === "jquery") {
+    anchor.tooltip({
+      title: title,
+      html: isHTML,
+      trigger: "hover focus",
+      placement: "top",
+      template: '<div class="tooltip ' + tooltipClass + '" role="tooltip">' +
+        '<div class="tooltip-arrow arrow"></div><div class="tooltip-inner"></div></div>'
+    });
+  } else {
+    state.fallback = $(document.createElement("div")).
+      addClass("sv-tooltip-fallback " + tooltipClass).
+      attr("role", "tooltip").
+      prop("hidden", true).
+      appendTo(document.body);
+    renderMessages(state.fallback, data);
+    anchor.on("mouseenter.shinyvalidate focusin.shinyvalidate", function() {
+      showFallback(anchor, state);
+    });
+    anchor.on("mouseleave.shinyvalidate focusout.shinyvalidate", function() {
+      state.fallback.prop("hidden", true);
+    });
+  }
+  return state;
+}
+
+function destroyTooltip(anchor, state) {
+  anchor.off(".shinyvalidate");
+  if (state.plugin === "bootstrap") {
+    const tooltip = window.bootstrap.Tooltip.getInstance(anchor[0]);
+    if (tooltip) {
+      tooltip.dispose();
+    }
+  } else if (state.plugin === "jquery") {
+    // Bootstrap 3 calls it destroy; Bootstrap 4 calls it dispose
+    const version = $.fn.tooltip.Constructor.VERSION || "";
+    anchor.tooltip(/^3\./.test(version) ? "destroy" : "dispose");
+  } else if (state.fallback) {
+    state.fallback.remove();
+  }
+}
+
+export const tooltipStrategy = {
+  name: "tooltip",
+  priority: 250,
+  setInvalid: function(el, binding, id, data) {
+    if (preferredStrategy(el, id) !== "tooltip") {
+      return false;
+    }
+    this.clearInvalid(el, binding, id);
+
+    const anchor = findAnchor(el);
+    const state = createTooltip(anchor, data);
+    anchor.addClass("sv-tooltip-anchor sv-tooltip-" + data.type);
+
+    // Screen readers get the message from a visually hidden element, since
+    // the tooltip only exists while it's shown
+    state.message = $(document.createElement("div")).
+      addClass("shiny-validation-message sv-visually-hidden").
+      insertAfter(anchor);
+    renderMessages(state.message, data);
+    state.anchor = anchor;
+    setAriaInvalid(el, state.message[0], data.type);
+    // Bootstrap's tooltips remove aria-describedby when they're hidden
+    anchor.on("hidden.bs.tooltip.shinyvalidate", function() {
+      setAriaInvalid(el, state.message[0], data.type);
+    });
+
+    $(el).data(dataKey, state);
+    return true;
+  },
+  clearInvalid: function(el, binding, id) {
+    const state = $(el).data(dataKey);
+    if (!state) {
+      return preferredStrategy(el, id) === "tooltip";
+    }
+    destroyTooltip(state.anchor, state);
+    state.anchor.removeClass("sv-tooltip-anchor sv-tooltip-error sv-tooltip-warning sv-tooltip-info");
+    state.message.remove();
+    clearAriaInvalid(el);
+    $(el).removeData(dataKey);
+    return true;
+  }
+};